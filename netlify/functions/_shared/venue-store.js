@@ -0,0 +1,51 @@
+// The venue store is an ES module shared with the site and scripts. Netlify deploys
+// the functions read-only, with the bundled src/data/venues.json alongside them, so
+// the functions can read it as it is but changes need VENUE_STORE_PATH pointing at a
+// writable store. Netlify doesn't deploy this file as a function of its own.
+
+let storeModule = null;
+
+const loadStoreModule = async () => {
+  storeModule = storeModule || await import('../../../src/lib/venue-store.js');
+  return storeModule;
+};
+
+// Running on Netlify rather than under `netlify dev`
+const inLambda = () => Boolean(process.env.LAMBDA_TASK_ROOT || process.env.AWS_LAMBDA_FUNCTION_NAME);
+
+// Open the store for a function that only reads it
+const loadVenueStore = async () => {
+  const { openVenueStore } = await loadStoreModule();
+  return openVenueStore();
+};
+
+// Open the store for a function that changes it. Throws VenueStoreReadOnlyError
+// before the function does any work if the store can't be written.
+const loadWritableVenueStore = async () => {
+  const { openVenueStore, VenueStoreReadOnlyError } = await loadStoreModule();
+  if (inLambda() && !process.env.VENUE_STORE_PATH) {
+    throw new VenueStoreReadOnlyError('VENUE_STORE_PATH isn\'t set, and the venue store deployed with the site is read-only');
+  }
+
+  const store = openVenueStore();
+  // An empty transaction takes the lock, which needs the store's directory to be writable
+  store.transaction(() => {});
+  return store;
+};
+
+// The response for a store that can't be written, or null for any other error
+const storeErrorResponse = error => {
+  if (!storeModule || !(error instanceof storeModule.VenueStoreReadOnlyError)) return null;
+  return {
+    statusCode: 503,
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      error: 'The venue store is read-only',
+      message: error.message
+    })
+  };
+};
+
+module.exports = { loadVenueStore, loadWritableVenueStore, storeErrorResponse };
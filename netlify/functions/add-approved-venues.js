@@ -1,41 +1,12 @@
-const fs = require('fs-extra');
-const path = require('path');
-const { parse } = require('csv-parse/sync');
-const { stringify } = require('csv-stringify/sync');
+const { loadWritableVenueStore, storeErrorResponse } = require('./_shared/venue-store');
 
-const DISCOVERED_VENUES_PATH = path.join('/tmp', 'discovered_venues.csv');
-const MAIN_VENUES_PATH = path.join('/tmp', 'venues_master.csv');
+const loadVenueDuplicates = () => import('../../src/lib/venue-duplicates.js');
+const loadProposedChanges = () => import('../../src/lib/proposed-changes.js');
 
-// Load discovered venues
-const loadDiscoveredVenues = () => {
-  try {
-    if (!fs.existsSync(DISCOVERED_VENUES_PATH)) return [];
-    const csvContent = fs.readFileSync(DISCOVERED_VENUES_PATH, 'utf8');
-    if (!csvContent.trim()) return [];
-    return parse(csvContent, { columns: true, skip_empty_lines: true });
-  } catch (error) {
-    console.error('Error loading discovered venues:', error);
-    return [];
-  }
-};
-
-// Load main venues
-const loadMainVenues = () => {
-  try {
-    if (!fs.existsSync(MAIN_VENUES_PATH)) return [];
-    const csvContent = fs.readFileSync(MAIN_VENUES_PATH, 'utf8');
-    if (!csvContent.trim()) return [];
-    return parse(csvContent, { columns: true, skip_empty_lines: true });
-  } catch (error) {
-    console.error('Error loading main venues:', error);
-    return [];
-  }
-};
-
-// Get approved venues
-const getApprovedVenues = () => {
-  return loadDiscoveredVenues().filter(venue => venue.status === 'approved');
-};
+// What enrichment found on a discovery's site, with the page and extractor of each value
+const enrichedValues = discovered => Object.fromEntries(
+  Object.entries(discovered.enriched_fields || {}).map(([field, found]) => [field, { ...found, value: discovered[field] }])
+);
 
 exports.handler = async (event, context) => {
   if (event.httpMethod !== 'POST') {
@@ -46,92 +17,108 @@ exports.handler = async (event, context) => {
   }
   
   try {
-    const approvedVenues = getApprovedVenues();
+    const store = await loadWritableVenueStore();
+    const { findLikelyDuplicate } = await loadVenueDuplicates();
+    const { proposeChanges } = await loadProposedChanges();
     
-    if (approvedVenues.length === 0) {
+    // Read the approvals and write the directory in one transaction so nothing is lost in between
+    const result = store.transaction(tx => {
+      // Approved venues that haven't been added to the directory yet
+      const approvedVenues = tx.all('discovered').filter(venue => venue.status === 'approved' && !venue.venue_id);
+      
+      if (approvedVenues.length === 0) {
+        return { approvedCount: 0 };
+      }
+      
+      // Fuzzy match against the directory, including venues added earlier in this run
+      const addedVenues = [];
+      const skipped = [];
+      let duplicates = 0;
+      let changesProposed = 0;
+      
+      approvedVenues.forEach(discovered => {
+        // One venue the directory won't take is reported and left approved, and the rest are still added
+        try {
+          const match = findLikelyDuplicate(discovered, tx.all('venues'));
+          let venueId = match ? match.venue.id : '';
+          
+          if (venueId) {
+            // What its site says goes to the listing's review queue, like scraped values
+            changesProposed += proposeChanges(tx, venueId, enrichedValues(discovered));
+            duplicates++;
+          } else {
+            // Convert approved venue to main venue format, with what enrichment found on its
+            // site. Each of those values keeps the page and confidence it was found with.
+            const venue = tx.insert('venues', {
+              name: discovered.name,
+              location: discovered.location,
+              address: discovered.address,
+              venue_type: discovered.venue_type || 'Music Venue',
+              capacity: discovered.capacity ?? null, // Scraped later if enrichment didn't find it
+              contact_email: discovered.contact_email || '',
+              contact_phone: discovered.contact_phone || '',
+              contact_name: discovered.contact_name || '',
+              website: discovered.website,
+              typical_genres: discovered.typical_genres || ''
+            }, { source: 'discovery', source_url: discovered.website, fields: discovered.enriched_fields || {} });
+            venueId = venue.id;
+            addedVenues.push(venue);
+          }
+          
+          // Link the discovery to its directory entry so it's never added twice
+          tx.update('discovered', discovered.id, { venue_id: venueId });
+        } catch (error) {
+          console.error(`Skipped approved venue ${discovered.name}:`, error.message);
+          skipped.push({ id: discovered.id, name: discovered.name, reason: error.message });
+        }
+      });
+      
       return {
-        statusCode: 200,
-        body: JSON.stringify({ 
-          message: 'No approved venues to add',
-          venuesAdded: 0
-        })
+        approvedCount: approvedVenues.length,
+        addedVenues,
+        duplicates,
+        changesProposed,
+        skipped,
+        totalVenues: tx.all('venues').length
       };
-    }
-    
-    // Load existing venues
-    const existingVenues = loadMainVenues();
-    
-    // Create backup in /tmp
-    const backupPath = path.join('/tmp', 'venues_backup_before_additions.csv');
-    if (fs.existsSync(MAIN_VENUES_PATH)) {
-      fs.copyFileSync(MAIN_VENUES_PATH, backupPath);
-    }
-    
-    // Convert approved venues to main venue format
-    const newVenues = approvedVenues.map(venue => ({
-      name: venue.name,
-      location: venue.location,
-      address: venue.address,
-      venue_type: venue.venue_type,
-      capacity: null, // Will be scraped later
-      contact_email: '',
-      contact_phone: '',
-      contact_name: '',
-      website: venue.website,
-      typical_genres: ''
-    }));
-    
-    // Check for duplicates
-    const existingNames = new Set(existingVenues.map(v => v.name.toLowerCase()));
-    const uniqueNewVenues = newVenues.filter(venue => 
-      !existingNames.has(venue.name.toLowerCase())
-    );
+    });
     
-    if (uniqueNewVenues.length === 0) {
+    if (result.approvedCount === 0) {
       return {
         statusCode: 200,
         body: JSON.stringify({ 
-          message: 'All approved venues already exist in the main directory',
-          venuesAdded: 0,
-          duplicates: approvedVenues.length
+          message: 'No new approved venues to add',
+          venuesAdded: 0
         })
       };
     }
     
-    // Add new venues to main directory
-    const allVenues = [...existingVenues, ...uniqueNewVenues];
+    console.log(`Added ${result.addedVenues.length} new venues to main directory`);
     
-    // Define columns in correct order
-    const columns = [
-      'name', 'location', 'address', 'venue_type', 'capacity',
-      'contact_email', 'contact_phone', 'contact_name', 'website', 'typical_genres'
+    const messages = [
+      result.addedVenues.length === 0 && result.skipped.length === 0
+        ? 'All approved venues already exist in the main directory.'
+        : `Successfully added ${result.addedVenues.length} new venues to the main directory.`,
+      result.changesProposed > 0 ? `Proposed ${result.changesProposed} changes to existing venues.` : '',
+      result.skipped.length > 0 ? `Skipped ${result.skipped.length} venues that couldn't be added.` : ''
     ];
     
-    const csvContent = stringify(allVenues, {
-      header: true,
-      columns: columns
-    });
-    
-    // /tmp directory always exists in Netlify functions
-    
-    fs.writeFileSync(MAIN_VENUES_PATH, csvContent);
-    
-    console.log(`Added ${uniqueNewVenues.length} new venues to main directory`);
-    
     return {
       statusCode: 200,
       body: JSON.stringify({ 
-        message: `Successfully added ${uniqueNewVenues.length} new venues to the main directory.`,
-        venuesAdded: uniqueNewVenues.length,
-        duplicates: approvedVenues.length - uniqueNewVenues.length,
-        totalVenues: allVenues.length,
-        addedVenues: uniqueNewVenues.map(v => ({ name: v.name, location: v.location }))
+        message: messages.filter(Boolean).join(' '),
+        venuesAdded: result.addedVenues.length,
+        duplicates: result.duplicates,
+        changesProposed: result.changesProposed,
+        skipped: result.skipped,
+        totalVenues: result.totalVenues,
+        addedVenues: result.addedVenues.map(v => ({ id: v.id, slug: v.slug, name: v.name, location: v.location }))
       })
     };
     
   } catch (error) {
     console.error('Error adding approved venues:', error);
-    return {
+    return storeErrorResponse(error) || {
       statusCode: 500,
       body: JSON.stringify({ 
         error: 'Error adding approved venues',
@@ -1,169 +1,91 @@
-const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
-const { parse } = require('csv-parse/sync');
-const { stringify } = require('csv-stringify/sync');
 const puppeteer = require('puppeteer');
 
-// For serverless, we can't persist files between function calls
-// This function will discover venues and return them without saving
-// The frontend will need to handle displaying and managing the results
+const { loadWritableVenueStore, storeErrorResponse } = require('./_shared/venue-store');
 
-// Search patterns for different types of venues
-const venueSearchTerms = [
-  'music venues',
-  'concert halls', 
-  'live music bars',
-  'jazz clubs',
-  'blues clubs',
-  'rock venues',
-  'music clubs',
-  'performance spaces',
-  'theaters with concerts',
-  'breweries with live music',
-  'coffee shops with live music'
-];
+// The same discovery sources the discovery script uses
+const loadDiscoverySources = () => import('../../src/lib/discovery-sources/index.js');
+const loadSearchResults = () => import('../../src/lib/discovery-sources/search-results.js');
+const loadPoliteFetch = () => import('../../src/lib/polite-fetch.js');
+const loadPageFetcher = () => import('../../src/lib/page-fetcher.js');
+const loadDiscoveryEnrichment = () => import('../../src/lib/discovery-enrichment.js');
+
+// Fewer searches, and shorter waits, to fit in the function's timeout
+const SEARCHES = 6;
+const RESULTS_PER_SEARCH = 8;
+
+// Discovery and enrichment together stop starting new work after this (the function
+// times out at 300s). Venues left unenriched are crawled by the next call.
+const TIME_BUDGET_MS = 240 * 1000;
+
+const launchBrowser = () => puppeteer.launch({ 
+  headless: 'new',
+  args: [
+    '--no-sandbox', 
+    '--disable-setuid-sandbox',
+    '--ignore-certificate-errors',
+    '--ignore-ssl-errors',
+    '--disable-dev-shm-usage',
+    '--disable-gpu'
+  ]
+});
 
 // Discover venues in a city
-const discoverVenuesInCity = async (city, maxResults = 25) => {
+const discoverVenuesInCity = async (store, city, maxResults = 25, sources = null) => {
   console.log(`Starting venue discovery for ${city}...`);
   
-  // For serverless, we just discover new venues without checking existing ones
-  const existingVenues = new Set(); // Empty set for now
+  const { discoverCandidates, saveDiscoveredCandidates, resolveDiscoveryOptions } = await loadDiscoverySources();
+  const { createBrowserSearch, createSavedSearch, SEARCH_TERMS } = await loadSearchResults();
+  const { createPoliteFetcher } = await loadPoliteFetch();
+  
+  const options = { ...resolveDiscoveryOptions(), searchTerms: SEARCH_TERMS.slice(0, SEARCHES), resultsPerSearch: RESULTS_PER_SEARCH };
+  const search = options.searchDir
+    ? createSavedSearch(options.searchDir)
+    : createBrowserSearch({ launchBrowser, timeout: 10000, pause: 1000 });
   
-  let browser;
-  const newVenues = [];
+  let newVenues;
   
   try {
-    browser = await puppeteer.launch({ 
-      headless: 'new',
-      args: [
-        '--no-sandbox', 
-        '--disable-setuid-sandbox',
-        '--ignore-certificate-errors',
-        '--ignore-ssl-errors',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ]
-    });
-    
-    const page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36');
-    
-    // Limit search terms for serverless function timeout
-    const limitedSearchTerms = venueSearchTerms.slice(0, 6);
-    
-    for (const searchTerm of limitedSearchTerms) {
-      if (newVenues.length >= maxResults) break;
-      
-      try {
-        const query = `${searchTerm} in ${city}`;
-        console.log(`Searching: ${query}`);
-        
-        await page.goto(`https://www.google.com/search?q=${encodeURIComponent(query)}`, {
-          waitUntil: 'networkidle2',
-          timeout: 10000
-        });
-        
-        // Wait for results to load
-        await page.waitForSelector('[data-content-feature="1"], .g', { timeout: 5000 });
-        
-        // Extract venue information from search results
-        const venues = await page.evaluate((searchTerm, city) => {
-          const results = [];
-          const elements = document.querySelectorAll('.g, [data-content-feature="1"]');
-          
-          elements.forEach((element, index) => {
-            if (index >= 8) return; // Limit results per search for speed
-            
-            try {
-              const name = element.querySelector('h3')?.textContent?.trim() || 
-                          element.querySelector('a')?.textContent?.trim();
-              
-              const link = element.querySelector('a')?.href;
-              
-              const snippet = element.textContent?.trim() || '';
-              
-              // Try to extract address
-              let address = '';
-              const addressMatch = snippet.match(/\d+[^,]*(?:street|st|avenue|ave|road|rd|drive|dr|blvd|boulevard)[^,]*/i);
-              if (addressMatch) {
-                address = addressMatch[0].trim();
-              }
-              
-              // Determine venue type
-              let venueType = 'Music Venue';
-              const content = (name + ' ' + snippet).toLowerCase();
-              
-              if (content.includes('theater') || content.includes('theatre')) venueType = 'Theater';
-              else if (content.includes('club') && content.includes('jazz')) venueType = 'Jazz Club';
-              else if (content.includes('club') && content.includes('blues')) venueType = 'Blues Club';  
-              else if (content.includes('bar') || content.includes('pub')) venueType = 'Bar/Restaurant';
-              else if (content.includes('coffee') || content.includes('cafe')) venueType = 'Coffee Shop';
-              else if (content.includes('brewery')) venueType = 'Brewery';
-              else if (content.includes('outdoor') || content.includes('amphitheater')) venueType = 'Outdoor Venue';
-              else if (content.includes('hall') || content.includes('center')) venueType = 'Concert Hall';
-              
-              if (!name || !link || name.length < 3) return;
-              
-              // Filter out non-venue results
-              if (content.includes('wikipedia') || 
-                  content.includes('ticketmaster') || 
-                  content.includes('eventbrite') ||
-                  content.includes('facebook.com') ||
-                  content.includes('instagram.com') ||
-                  name.toLowerCase().includes('event') ||
-                  name.toLowerCase().includes('ticket')) {
-                return;
-              }
-              
-              results.push({
-                name: name.substring(0, 100),
-                location: city,
-                address: address.substring(0, 200),
-                venue_type: venueType,
-                website: link,
-                discovered_from: searchTerm,
-                discovery_date: new Date().toISOString().split('T')[0],
-                status: 'pending'
-              });
-            } catch (error) {
-              // Skip invalid results
-            }
-          });
-          
-          return results;
-        }, searchTerm, city);
-        
-        // Add unique venues
-        venues.forEach(venue => {
-          const key = venue.name.toLowerCase() + venue.location.toLowerCase();
-          if (!existingVenues.has(key) && newVenues.length < maxResults) {
-            existingVenues.add(key);
-            newVenues.push(venue);
-          }
-        });
-        
-        console.log(`Found ${venues.length} potential venues from "${searchTerm}"`);
-        
-        // Shorter wait for serverless
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-      } catch (error) {
-        console.error(`Error searching for "${searchTerm}":`, error.message);
-        continue;
-      }
-    }
-    
-  } catch (error) {
-    console.error(`Critical error in venue discovery:`, error);
-    throw error;
+    // Skip anything already in the directory or the review queue
+    const known = [...store.all('venues'), ...store.all('discovered')];
+    const log = message => console.log(message);
+    // The deployed function's own directory is read-only, so listing pages are cached in /tmp
+    const http = createPoliteFetcher({ cacheDir: process.env.SCRAPER_CACHE_DIR || path.join(os.tmpdir(), 'venue-scraper-cache'), log });
+    const context = { city, date: new Date().toISOString().split('T')[0], options, search, http, log };
+    newVenues = await discoverCandidates(context, { sources, maxResults, known });
   } finally {
-    if (browser) await browser.close();
+    await search.close();
   }
   
-  console.log(`Discovery complete! Found ${newVenues.length} venues in ${city}`);
+  // Save to the pending review queue, re-checking for venues added while we were searching
+  const savedVenues = store.transaction(tx => saveDiscoveredCandidates(tx, newVenues));
   
-  return newVenues;
+  const rejected = savedVenues.filter(venue => venue.status === 'rejected').length;
+  console.log(`Discovery complete! Found ${savedVenues.length - rejected} new venues in ${city} and rejected ${rejected}`);
+  
+  return savedVenues;
+};
+
+// Crawl the sites of pending venues for their details, with whatever time is left
+const enrichPendingVenues = async (store, timeBudget) => {
+  const { enrichDiscoveredVenues } = await loadDiscoveryEnrichment();
+  const { createTieredFetcher } = await loadPageFetcher();
+  const { createPoliteFetcher } = await loadPoliteFetch();
+  
+  const log = message => console.log(message);
+  const fetcher = createTieredFetcher({
+    http: createPoliteFetcher({ cacheDir: process.env.SCRAPER_CACHE_DIR || path.join(os.tmpdir(), 'venue-scraper-cache'), log }),
+    launchBrowser,
+    timeout: 8000,
+    log
+  });
+  
+  try {
+    return await enrichDiscoveredVenues(store, { fetcher, timeBudget, log });
+  } finally {
+    await fetcher.close();
+  }
 };
 
 exports.handler = async (event, context) => {
@@ -178,7 +100,7 @@ exports.handler = async (event, context) => {
   }
   
   try {
-    const { city, maxResults = 25 } = JSON.parse(event.body);
+    const { city, maxResults = 25, sources = null } = JSON.parse(event.body);
     
     if (!city || typeof city !== 'string') {
       return {
@@ -187,8 +109,28 @@ exports.handler = async (event, context) => {
       };
     }
     
+    // All of them unless some are picked
+    const { getDiscoverySources } = await loadDiscoverySources();
+    const sourceNames = getDiscoverySources().map(source => source.name);
+    if (sources !== null && (!Array.isArray(sources) || sources.length === 0 || sources.some(name => !sourceNames.includes(name)))) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `sources must be a list of discovery sources: ${sourceNames.join(', ')}` })
+      };
+    }
+    
     // Run discovery
-    const newVenues = await discoverVenuesInCity(city, Math.min(maxResults, 30)); // Limit for timeout
+    const startedAt = Date.now();
+    const store = await loadWritableVenueStore();
+    const savedVenues = await discoverVenuesInCity(store, city, Math.min(maxResults, 30), sources); // Limit for timeout
+    
+    const { results, remaining } = await enrichPendingVenues(store, Math.max(0, TIME_BUDGET_MS - (Date.now() - startedAt)));
+    const enriched = results.filter(result => !result.error).length;
+    // Those scoring under the minimum were saved as rejected, or rejected once their sites were read
+    const newVenues = savedVenues
+      .map(venue => store.find('discovered', venue.id) || venue)
+      .filter(venue => venue.status === 'pending');
+    const rejected = savedVenues.length - newVenues.length;
     
     return {
       statusCode: 200,
@@ -196,15 +138,20 @@ exports.handler = async (event, context) => {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({ 
-        message: `Venue discovery completed for ${city}. Found ${newVenues.length} venues.`,
+        message: `Venue discovery completed for ${city}. Found ${newVenues.length} venues.` +
+          (rejected > 0 ? ` Rejected ${rejected} more that didn't look like venues.` : '') +
+          (enriched > 0 ? ` Filled in ${enriched} from their websites.` : '') +
+          (remaining > 0 ? ` ${remaining} more will be filled in next time.` : ''),
         venuesFound: newVenues.length,
-        venues: newVenues // Return all discovered venues
+        venuesRejected: rejected,
+        venuesEnriched: enriched,
+        venues: newVenues // Return the venues added to the pending queue
       })
     };
     
   } catch (error) {
     console.error('Error in venue discovery:', error);
-    return {
+    return storeErrorResponse(error) || {
       statusCode: 500,
       headers: {
         'Content-Type': 'application/json'
@@ -0,0 +1,78 @@
+const { loadVenueStore } = require('./_shared/venue-store');
+
+const loadScrapeJobs = () => import('../../src/lib/scrape-jobs.js');
+
+// How many past jobs /api/jobs lists
+const RECENT_JOBS = 10;
+
+// Progress changes by the second while a job runs
+const headers = {
+  'Content-Type': 'application/json',
+  'Cache-Control': 'no-store'
+};
+
+// The job id from /api/jobs/:id, or null for /api/jobs
+const jobIdFromPath = (path = '') => {
+  const last = path.split('/').filter(Boolean).pop();
+  return last && !['jobs', 'get-scrape-jobs'].includes(last) ? decodeURIComponent(last) : null;
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+  
+  try {
+    const store = await loadVenueStore();
+    const { activeScrapeJob, scrapeJobProgress } = await loadScrapeJobs();
+    const jobs = store.all('scrape_jobs');
+    const tasks = store.all('scrape_tasks');
+    const venues = store.all('venues');
+    const id = jobIdFromPath(event.path);
+    
+    if (id) {
+      const job = store.find('scrape_jobs', id);
+      if (!job) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Job not found' })
+        };
+      }
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(scrapeJobProgress(job, tasks, venues))
+      };
+    }
+    
+    const active = activeScrapeJob(jobs);
+    const recent = [...jobs]
+      .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''))
+      .slice(0, RECENT_JOBS);
+    
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        active: active ? scrapeJobProgress(active, tasks, venues) : null,
+        jobs: recent.map(job => scrapeJobProgress(job, tasks, venues))
+      })
+    };
+    
+  } catch (error) {
+    console.error('Error loading scrape jobs:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ 
+        error: 'Error loading scrape jobs',
+        message: error.message 
+      })
+    };
+  }
+};
@@ -0,0 +1,73 @@
+const { loadVenueStore } = require('./_shared/venue-store');
+
+const loadVenueQuery = () => import('../../src/lib/venue-query.js');
+const loadAddress = () => import('../../src/lib/address.js');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Cache-Control': 'public, max-age=300'
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+  
+  const {
+    getUniqueRegions, getUniqueLocations, getUniqueGenres, getUniqueVenueTypes, parseVenueQuery, countVenueFacets,
+    listedVenues, eventSearchParams, VenueQueryError, SORT_FIELDS, SELECTABLE_FIELDS
+  } = await loadVenueQuery();
+  const { locatePlace } = await loadAddress();
+  
+  try {
+    // Counts honour the same filters as /api/venues, so a client can show live facet counts
+    const query = parseVenueQuery(eventSearchParams(event), locatePlace);
+    const store = await loadVenueStore();
+    const venues = listedVenues(store.all('venues'));
+    const capacities = venues.map(venue => venue.capacity).filter(capacity => capacity !== null);
+    
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        total: venues.length,
+        regions: getUniqueRegions(venues),
+        locations: getUniqueLocations(venues),
+        genres: getUniqueGenres(venues),
+        venue_types: getUniqueVenueTypes(venues),
+        capacity: {
+          min: capacities.length ? Math.min(...capacities) : null,
+          max: capacities.length ? Math.max(...capacities) : null,
+          unknown: venues.length - capacities.length
+        },
+        counts: countVenueFacets(venues, query),
+        sort_fields: SORT_FIELDS,
+        fields: SELECTABLE_FIELDS
+      })
+    };
+    
+  } catch (error) {
+    if (error instanceof VenueQueryError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid query', message: error.message })
+      };
+    }
+    
+    console.error('Error loading venue facets:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ 
+        error: 'Error loading venue facets',
+        message: error.message 
+      })
+    };
+  }
+};
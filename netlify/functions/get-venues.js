@@ -0,0 +1,70 @@
+const { loadVenueStore } = require('./_shared/venue-store');
+
+const loadVenueQuery = () => import('../../src/lib/venue-query.js');
+const loadAddress = () => import('../../src/lib/address.js');
+
+// GET /api/venues takes the directory page's filters:
+//   q                     free-text search
+//   region                mountains, charlotte, triad, triangle, sandhills or coast
+//   location, genre, type repeat to match any of several, e.g. type=bar&type=club;
+//                         genres match whole names, so genre=Rock doesn't match Hard Rock
+//   min_capacity, max_capacity, exclude_unknown_capacity=true
+//                         venues of unknown capacity never match a capacity range
+//   near, radius          an NC town or ZIP code, and miles from it (1-500, default 25);
+//                         venues are closest first and get distance_miles
+//   sort                  name, location, venue_type, capacity, updated_at or (with near)
+//                         distance; prefix with - for descending
+//   limit, cursor         1-100 a page (default 25), and the previous page's next_cursor
+//   fields                comma-separated fields to return; id is always included
+// /api/facets takes the same filters, and counts each facet under all the others.
+
+// Read-only API, so any booking tool may call it from the browser
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Cache-Control': 'public, max-age=60'
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+  
+  const { parseVenueQuery, queryVenues, listedVenues, eventSearchParams, VenueQueryError } = await loadVenueQuery();
+  const { locatePlace } = await loadAddress();
+  
+  try {
+    const query = parseVenueQuery(eventSearchParams(event), locatePlace);
+    const store = await loadVenueStore();
+    const result = queryVenues(listedVenues(store.all('venues')), query);
+    
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(result)
+    };
+    
+  } catch (error) {
+    if (error instanceof VenueQueryError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid query', message: error.message })
+      };
+    }
+    
+    console.error('Error querying venues:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ 
+        error: 'Error querying venues',
+        message: error.message 
+      })
+    };
+  }
+};
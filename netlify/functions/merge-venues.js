@@ -0,0 +1,89 @@
+const { loadWritableVenueStore, storeErrorResponse } = require('./_shared/venue-store');
+
+const loadVenueSchema = () => import('../../src/lib/venue-schema.js');
+const loadVenueDuplicates = () => import('../../src/lib/venue-duplicates.js');
+
+const SOURCE_COLLECTIONS = ['venues', 'discovered'];
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { action = 'merge', targetId, source, values = {} } = JSON.parse(event.body);
+
+    if (!targetId || !source || !source.id || !SOURCE_COLLECTIONS.includes(source.collection)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Missing required parameters' })
+      };
+    }
+
+    if (action !== 'merge' && action !== 'dismiss') {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Invalid action. Must be "merge" or "dismiss"' })
+      };
+    }
+
+    if (source.collection === 'venues' && source.id === targetId) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'A venue cannot be merged into itself' })
+      };
+    }
+
+    const { VENUE_COLUMNS, validateVenue } = await loadVenueSchema();
+    const { mergeVenues } = await loadVenueDuplicates();
+    const store = await loadWritableVenueStore();
+
+    const result = store.transaction(tx => {
+      const target = tx.find('venues', targetId);
+      const sourceRecord = tx.find(source.collection, source.id);
+
+      if (!target || !sourceRecord) {
+        return { statusCode: 404, error: 'Venue not found' };
+      }
+
+      if (action === 'dismiss') {
+        tx.insert('not_duplicates', { venue_id: target.id, other_id: sourceRecord.id });
+        return { statusCode: 200, message: `Marked "${target.name}" and "${sourceRecord.name}" as different venues` };
+      }
+
+      // Only directory fields can be carried over
+      const patch = Object.fromEntries(
+        Object.entries(values).filter(([field]) => VENUE_COLUMNS.includes(field))
+      );
+      const { errors } = validateVenue({ ...target, ...patch });
+      if (errors.length > 0) {
+        return { statusCode: 400, error: 'Validation errors in merged venue', message: errors.join('; ') };
+      }
+
+      const venue = mergeVenues(tx, target, sourceRecord, source.collection, patch);
+      return { statusCode: 200, message: `Merged "${sourceRecord.name}" into "${venue.name}"`, venue };
+    });
+
+    const { statusCode, ...body } = result;
+    return {
+      statusCode,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    };
+
+  } catch (error) {
+    console.error('Error merging venues:', error);
+    return storeErrorResponse(error) || {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Error merging venues',
+        message: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,68 @@
+const { loadWritableVenueStore, storeErrorResponse } = require('./_shared/venue-store');
+
+// Which side of a history entry to put back: the value it set, or the one it replaced
+const RESTORE_OPTIONS = ['value', 'previous_value'];
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { historyId, restore = 'value' } = JSON.parse(event.body);
+
+    if (!historyId || !RESTORE_OPTIONS.includes(restore)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Missing required parameters' })
+      };
+    }
+
+    const store = await loadWritableVenueStore();
+    const result = store.transaction(tx => {
+      const entry = tx.find('venue_history', historyId);
+      const venue = entry && tx.find('venues', entry.venue_id);
+
+      if (!entry || !venue) {
+        return { statusCode: 404, error: 'Venue or history entry not found' };
+      }
+
+      const value = entry[restore];
+      if (venue[entry.field] === value) {
+        return { statusCode: 200, message: `${entry.field} on "${venue.name}" already has that value`, venue };
+      }
+
+      // Restoring is a manual edit, recorded with the entry it came from. Old values
+      // may no longer pass validation, e.g. a venue_type from before the vocabulary.
+      let updated;
+      try {
+        updated = tx.update('venues', venue.id, { [entry.field]: value }, { source: 'manual', reverted_from: entry.id });
+      } catch (error) {
+        return { statusCode: 400, error: 'That value can no longer be restored', message: error.message };
+      }
+      return { statusCode: 200, message: `Restored ${entry.field} on "${updated.name}"`, venue: updated };
+    });
+
+    const { statusCode, ...body } = result;
+    return {
+      statusCode,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    };
+
+  } catch (error) {
+    console.error('Error reverting venue field:', error);
+    return storeErrorResponse(error) || {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Error reverting venue field',
+        message: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,79 @@
+const { loadWritableVenueStore, storeErrorResponse } = require('./_shared/venue-store');
+
+const loadProposedChanges = () => import('../../src/lib/proposed-changes.js');
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { ids, action, value } = JSON.parse(event.body);
+    const { REVIEW_ACTIONS, reviewProposedChange } = await loadProposedChanges();
+
+    if (!Array.isArray(ids) || ids.length === 0 || !action) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Missing required parameters' })
+      };
+    }
+
+    if (!REVIEW_ACTIONS.includes(action)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `Invalid action. Must be one of ${REVIEW_ACTIONS.join(', ')}` })
+      };
+    }
+
+    // An edited value only makes sense for a single field
+    if (value !== undefined && (action !== 'approve' || ids.length !== 1)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'An edited value can only be approved for one change at a time' })
+      };
+    }
+
+    // Each change is reviewed on its own, so one bad value doesn't hold up the rest
+    const store = await loadWritableVenueStore();
+    const { reviewed, errors } = store.transaction(tx => {
+      const reviewed = [];
+      const errors = [];
+      ids.forEach(id => {
+        try {
+          const { proposal, venue } = reviewProposedChange(tx, id, action, value);
+          reviewed.push({ id, status: proposal.status, venue: venue && { id: venue.id, name: venue.name, [proposal.field]: venue[proposal.field] } });
+        } catch (error) {
+          errors.push({ id, message: error.message });
+        }
+      });
+      return { reviewed, errors };
+    });
+
+    const verb = action === 'approve' ? 'Approved' : 'Rejected';
+    return {
+      statusCode: reviewed.length > 0 ? 200 : 400,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ...(reviewed.length > 0 ? {} : { error: 'No changes were reviewed' }),
+        message: `${verb} ${reviewed.length} of ${ids.length} proposed ${ids.length === 1 ? 'change' : 'changes'}`,
+        reviewed,
+        errors
+      })
+    };
+
+  } catch (error) {
+    console.error('Error reviewing proposed changes:', error);
+    return storeErrorResponse(error) || {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Error reviewing proposed changes',
+        message: error.message
+      })
+    };
+  }
+};
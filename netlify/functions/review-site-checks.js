@@ -0,0 +1,66 @@
+const { loadWritableVenueStore, storeErrorResponse } = require('./_shared/venue-store');
+
+const loadSiteHealth = () => import('../../src/lib/site-health.js');
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { venue_id: venueId, action } = JSON.parse(event.body);
+    const { SITE_REVIEW_ACTIONS, SiteReviewError, reviewSiteCheck } = await loadSiteHealth();
+
+    if (!venueId || !action) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'Missing required parameters' })
+      };
+    }
+
+    if (!SITE_REVIEW_ACTIONS.includes(action)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `Invalid action. Must be one of ${SITE_REVIEW_ACTIONS.join(', ')}` })
+      };
+    }
+
+    const store = await loadWritableVenueStore();
+    let reviewed;
+    try {
+      reviewed = store.transaction(tx => reviewSiteCheck(tx, venueId, action));
+    } catch (error) {
+      if (!(error instanceof SiteReviewError)) throw error;
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+
+    const { check, venue } = reviewed;
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        message: venue ? `Marked "${venue.name}" as closed` : 'Dismissed the website check',
+        check,
+        venue: venue && { id: venue.id, name: venue.name, operating_status: venue.operating_status }
+      })
+    };
+
+  } catch (error) {
+    console.error('Error reviewing website check:', error);
+    return storeErrorResponse(error) || {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Error reviewing website check',
+        message: error.message
+      })
+    };
+  }
+};
@@ -1,168 +1,45 @@
-const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
-const { parse } = require('csv-parse/sync');
-const { stringify } = require('csv-stringify/sync');
 const puppeteer = require('puppeteer');
 
-const CSV_PATH = path.join('/tmp', 'venues_master.csv');
-const BACKUP_PATH = path.join('/tmp', 'venues_backup.csv');
+const { loadWritableVenueStore, storeErrorResponse } = require('./_shared/venue-store');
 
-// Load venues from CSV
-const loadVenues = () => {
-  try {
-    if (!fs.existsSync(CSV_PATH)) return [];
-    const csvContent = fs.readFileSync(CSV_PATH, 'utf8');
-    return parse(csvContent, { columns: true, skip_empty_lines: true });
-  } catch (error) {
-    console.error(`Error loading venues: ${error.message}`);
-    return [];
-  }
-};
+// How long to keep starting new venues (the function times out at 300s). Whatever's
+// left is picked up by the next call.
+const TIME_BUDGET_MS = 200 * 1000;
+const PAGES_PER_VENUE = 3;
 
-// Save venues to CSV
-const saveVenues = (venues) => {
-  try {
-    // Create backup first
-    if (fs.existsSync(CSV_PATH)) {
-      fs.copyFileSync(CSV_PATH, BACKUP_PATH);
-    }
-    
-    const csvContent = stringify(venues, { header: true });
-    fs.writeFileSync(CSV_PATH, csvContent);
-    console.log(`Successfully updated ${venues.length} venues`);
-  } catch (error) {
-    console.error(`Error saving venues: ${error.message}`);
-    throw error;
-  }
-};
-
-// Extract email from website content
-const extractEmail = (content, url) => {
-  const emailPatterns = [
-    /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g,
-    /(?:booking|info|contact|events|music)@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/gi,
-    /mailto:([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/gi
-  ];
-  
-  const foundEmails = new Set();
-  
-  for (const pattern of emailPatterns) {
-    const matches = content.match(pattern);
-    if (matches) {
-      matches.forEach(match => {
-        const email = match.replace(/mailto:/i, '').trim();
-        if (email.includes('@') && !email.includes('noreply') && !email.includes('example')) {
-          foundEmails.add(email.toLowerCase());
-        }
-      });
-    }
-  }
-  
-  const emails = Array.from(foundEmails);
-  const priorityEmails = emails.filter(email => 
-    /^(booking|info|contact|events|music)@/.test(email)
-  );
-  
-  return priorityEmails.length > 0 ? priorityEmails[0] : emails[0] || null;
-};
+const loadProposedChanges = () => import('../../src/lib/proposed-changes.js');
+const loadScrapeJobs = () => import('../../src/lib/scrape-jobs.js');
 
-// Extract phone number from website content
-const extractPhone = (content, url) => {
-  const phonePatterns = [
-    /(?:phone|tel|call|contact)[:\s]*(\(\d{3}\)\s*\d{3}[-.\s]*\d{4})/gi,
-    /(?:phone|tel|call|contact)[:\s]*(\d{3}[-.\s]*\d{3}[-.\s]*\d{4})/gi,
-    /\b(\(\d{3}\)\s*\d{3}[-.\s]*\d{4})\b/g,
-    /\b(\d{3}[-.\s]*\d{3}[-.\s]*\d{4})\b/g,
-    /tel:([+]?[\d\s\-\(\)\.]+)/gi
-  ];
-  
-  const foundPhones = new Set();
-  
-  for (const pattern of phonePatterns) {
-    const matches = content.match(pattern);
-    if (matches) {
-      matches.forEach(match => {
-        let phone = match.replace(/(?:phone|tel|call|contact)[:\s]*/gi, '').replace(/tel:/gi, '').trim();
-        phone = phone.replace(/[^\d\+\(\)\-\.\s]/g, '');
-        
-        const digits = phone.replace(/\D/g, '');
-        
-        if (digits.length === 10 || (digits.length === 11 && digits.startsWith('1'))) {
-          let formattedPhone;
-          if (digits.length === 11) {
-            formattedPhone = `(${digits.slice(1, 4)}) ${digits.slice(4, 7)}-${digits.slice(7)}`;
-          } else {
-            formattedPhone = `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
-          }
-          foundPhones.add(formattedPhone);
-        }
-      });
-    }
-  }
-  
-  const phones = Array.from(foundPhones);
-  return phones.length > 0 ? phones[0] : null;
-};
+// The same extractor registry and fetcher the scraper script uses
+const loadExtractors = () => import('../../src/lib/extractors/index.js');
+const loadPageFetcher = () => import('../../src/lib/page-fetcher.js');
+const loadPoliteFetch = () => import('../../src/lib/polite-fetch.js');
+const loadSiteCrawler = () => import('../../src/lib/site-crawler.js');
 
-// Quick scrape function for serverless environment
-const quickScrapeVenue = async (venue, browser) => {
-  if (!venue.website) return null;
+// Quick scrape function for serverless environment. A few pages of each site are
+// crawled, fetched over plain HTTP where that's enough and in the browser only
+// where it isn't. Throws if the site can't be read at all.
+const quickScrapeVenue = async (venue, fetcher) => {
+  const { missingFields, describeExtractions } = await loadExtractors();
+  const { crawlSite } = await loadSiteCrawler();
   
-  // Skip if venue already has email and phone
-  if (venue.contact_email && venue.contact_phone) return null;
+  // Only fields the venue is missing are extracted
+  const fields = missingFields(venue);
+  if (!venue.website || fields.length === 0) return { found: {}, pages: [] };
   
-  let page;
+  const { found, pages } = await crawlSite(venue.website, fields, {
+    fetcher,
+    maxPages: PAGES_PER_VENUE,
+    timeBudget: 20000,
+    log: message => console.log(message)
+  });
   
-  try {
-    page = await browser.newPage();
-    
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36');
-    await page.setViewport({ width: 1280, height: 720 });
-    
-    // Disable images and CSS for speed
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-      if (req.resourceType() === 'stylesheet' || req.resourceType() === 'image') {
-        req.abort();
-      } else {
-        req.continue();
-      }
-    });
-    
-    await page.goto(venue.website, { 
-      waitUntil: 'domcontentloaded', 
-      timeout: 8000
-    });
-    
-    const content = await page.content();
-    const text = await page.evaluate(() => document.body.innerText || '');
-    const fullContent = content + ' ' + text;
-    
-    const email = !venue.contact_email ? extractEmail(fullContent, venue.website) : null;
-    const phone = !venue.contact_phone ? extractPhone(fullContent, venue.website) : null;
-    
-    if (email || phone) {
-      const found = [];
-      if (email) found.push(`email: ${email}`);
-      if (phone) found.push(`phone: ${phone}`);
-      console.log(`Found for ${venue.name}: ${found.join(', ')}`);
-      return { email, phone };
-    }
-    
-    return null;
-    
-  } catch (error) {
-    console.log(`Error scraping ${venue.name}: ${error.message}`);
-    return null;
-  } finally {
-    if (page) {
-      try {
-        await page.close();
-      } catch (e) {
-        // Ignore close errors
-      }
-    }
+  if (Object.keys(found).length > 0) {
+    console.log(`Found for ${venue.name} across ${pages.length} pages: ${describeExtractions(found)}`);
   }
+  return { found, pages };
 };
 
 exports.handler = async (event, context) => {
@@ -179,28 +56,37 @@ exports.handler = async (event, context) => {
   try {
     console.log('Starting quick venue scraping...');
     
-    const venues = loadVenues();
-    const venuesNeedingInfo = venues.filter(v => v.website && (!v.contact_email || !v.contact_phone));
+    const store = await loadWritableVenueStore();
+    const { missingFields } = await loadExtractors();
+    const { proposeChanges } = await loadProposedChanges();
+    const { startScrapeJob, claimScrapeTask, completeScrapeTask, failScrapeTask, scrapeJobProgress, withScrapeLease } = await loadScrapeJobs();
+    const { createTieredFetcher } = await loadPageFetcher();
+    const { createPoliteFetcher, RobotsDisallowedError } = await loadPoliteFetch();
+    
+    // Carry on with the job that's running, or start one. Closed venues aren't scraped.
+    const venuesNeedingInfo = store.all('venues').filter(v => v.website && v.operating_status !== 'closed' && missingFields(v).length > 0);
+    const { job, created } = store.transaction(tx => startScrapeJob(tx, venuesNeedingInfo.map(v => v.id), { trigger: 'admin' }));
     
-    if (venuesNeedingInfo.length === 0) {
+    if (!job) {
       return {
         statusCode: 200,
         body: JSON.stringify({ 
-          message: 'No venues need scraping - all have contact info or no websites',
+          message: 'No venues need scraping - all have their details, have no websites or were scraped in the last week',
+          job: null,
           venuesProcessed: 0
         })
       };
     }
     
-    // Limit venues for serverless timeout - process first 10
-    const limitedVenues = venuesNeedingInfo.slice(0, 10);
-    console.log(`Processing ${limitedVenues.length} venues (limited for serverless)`);
+    console.log(created ? `Started scrape job ${job.id} for ${job.total} venues` : `Continuing scrape job ${job.id}`);
     
-    let browser;
-    let updatedCount = 0;
-    
-    try {
-      browser = await puppeteer.launch({ 
+    const fetcher = createTieredFetcher({
+      // The deployed function's own directory is read-only, but /tmp lasts while it's warm
+      http: createPoliteFetcher({
+        cacheDir: process.env.SCRAPER_CACHE_DIR || path.join(os.tmpdir(), 'venue-scraper-cache'),
+        log: message => console.log(message)
+      }),
+      launchBrowser: () => puppeteer.launch({ 
         headless: 'new',
         args: [
           '--no-sandbox', 
@@ -211,57 +97,68 @@ exports.handler = async (event, context) => {
           '--disable-gpu',
           '--disable-features=VizDisplayCompositor'
         ]
-      });
-      
-      for (const venue of limitedVenues) {
+      }),
+      timeout: 8000,
+      log: message => console.log(message)
+    });
+    
+    const startedAt = Date.now();
+    // The pages crawled for each venue in this call, and how each was fetched
+    const scraped = [];
+    let changesProposed = 0;
+    
+    try {
+      while (Date.now() - startedAt < TIME_BUDGET_MS) {
+        const task = store.transaction(tx => claimScrapeTask(tx, job.id));
+        if (!task) break;
+        
+        // The venue may have been merged away since the job started
+        const venue = store.find('venues', task.venue_id);
+        const name = venue ? venue.name : task.venue_id;
+        
         try {
-          const result = await quickScrapeVenue(venue, browser);
-          if (result) {
-            let updated = false;
-            
-            if (result.email && !venue.contact_email) {
-              venue.contact_email = result.email;
-              updated = true;
-            }
-            
-            if (result.phone && !venue.contact_phone) {
-              venue.contact_phone = result.phone;
-              updated = true;
-            }
-            
-            if (updated) {
-              updatedCount++;
-            }
-          }
+          const { found, pages } = venue ? await withScrapeLease(store, task.id, () => quickScrapeVenue(venue, fetcher)) : { found: {}, pages: [] };
+          
+          // Findings are queued for review on /admin, together with the task's result
+          const proposed = store.transaction(tx => {
+            const count = proposeChanges(tx, task.venue_id, found);
+            completeScrapeTask(tx, task.id, { fieldsFound: Object.keys(found), pages: pages.length, changesProposed: count });
+            return count;
+          });
+          changesProposed += proposed;
+          scraped.push({ name, pages, fields: Object.keys(found) });
         } catch (error) {
-          console.log(`Failed to process ${venue.name}: ${error.message}`);
+          console.log(`Error scraping ${name}: ${error.message}`);
+          // A Disallow won't change by asking again; robots.txt that couldn't be read is tried again
+          store.transaction(tx => failScrapeTask(tx, task.id, error.message, { retry: !(error instanceof RobotsDisallowedError) }));
+          scraped.push({ name, pages: [], fields: [], error: error.message });
         }
-        
-        // Small delay between venues
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-      
-      if (updatedCount > 0) {
-        saveVenues(venues);
       }
-      
     } finally {
-      if (browser) await browser.close();
+      await fetcher.close();
     }
     
+    const fetchMethods = fetcher.counts();
+    const progress = scrapeJobProgress(store.find('scrape_jobs', job.id), store.all('scrape_tasks'), store.all('venues'));
+    const remaining = progress.status === 'completed'
+      ? 'The job is complete.'
+      : `${progress.done + progress.failed} of ${progress.total} venues done.`;
+    
     return {
       statusCode: 200,
       body: JSON.stringify({ 
-        message: `Quick scraping completed. Updated ${updatedCount} venues with new contact information.`,
-        venuesProcessed: limitedVenues.length,
-        venuesUpdated: updatedCount,
-        totalVenuesNeedingWork: venuesNeedingInfo.length
+        message: `Scraped ${scraped.length} venues and proposed ${changesProposed} changes for review. ${remaining} Fetched ${fetchMethods.http} pages over HTTP and ${fetchMethods.browser} in the browser.`,
+        job: progress,
+        venuesProcessed: scraped.length,
+        changesProposed,
+        fetchMethods,
+        venues: scraped
       })
     };
-    
+  
   } catch (error) {
     console.error('Error in scraper function:', error);
-    return {
+    return storeErrorResponse(error) || {
       statusCode: 500,
       body: JSON.stringify({ 
         error: 'Error running scraper',
@@ -269,4 +166,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
\ No newline at end of file
+};
@@ -1,66 +1,8 @@
-const fs = require('fs-extra');
-const path = require('path');
-const { parse } = require('csv-parse/sync');
-const { stringify } = require('csv-stringify/sync');
+const { loadWritableVenueStore, storeErrorResponse } = require('./_shared/venue-store');
 
-const DISCOVERED_VENUES_PATH = path.join('/tmp', 'discovered_venues.csv');
-
-// Load discovered venues
-const loadDiscoveredVenues = () => {
-  try {
-    if (!fs.existsSync(DISCOVERED_VENUES_PATH)) return [];
-    const csvContent = fs.readFileSync(DISCOVERED_VENUES_PATH, 'utf8');
-    if (!csvContent.trim()) return [];
-    return parse(csvContent, { columns: true, skip_empty_lines: true });
-  } catch (error) {
-    console.error('Error loading discovered venues:', error);
-    return [];
-  }
-};
-
-// Save discovered venues
-const saveDiscoveredVenues = (venues) => {
-  try {
-    const headers = [
-      'name', 'location', 'address', 'venue_type', 'website', 
-      'discovered_from', 'discovery_date', 'status'
-    ];
-    
-    const csvContent = stringify(venues, { 
-      header: true,
-      columns: headers
-    });
-    
-    // /tmp directory always exists in Netlify functions
-    
-    fs.writeFileSync(DISCOVERED_VENUES_PATH, csvContent);
-    console.log(`Updated venue statuses for ${venues.length} venues`);
-  } catch (error) {
-    console.error('Error saving discovered venues:', error);
-    throw error;
-  }
-};
-
-// Update venue status
-const updateVenueStatus = (venueName, location, status) => {
-  try {
-    const venues = loadDiscoveredVenues();
-    const venueIndex = venues.findIndex(v => 
-      v.name.toLowerCase() === venueName.toLowerCase() && 
-      v.location.toLowerCase() === location.toLowerCase()
-    );
-    
-    if (venueIndex === -1) {
-      return false;
-    }
-    
-    venues[venueIndex].status = status;
-    saveDiscoveredVenues(venues);
-    return true;
-  } catch (error) {
-    console.error('Error updating venue status:', error);
-    return false;
-  }
+// Update venue status. A reviewer's decision replaces an automatic rejection.
+const updateVenueStatus = (store, id, status) => {
+  return store.transaction(tx => tx.update('discovered', id, { status, rejected_by: status === 'rejected' ? 'reviewer' : '' }));
 };
 
 exports.handler = async (event, context) => {
@@ -72,9 +14,9 @@ exports.handler = async (event, context) => {
   }
   
   try {
-    const { name, location, status } = JSON.parse(event.body);
+    const { id, status } = JSON.parse(event.body);
     
-    if (!name || !location || !status) {
+    if (!id || !status) {
       return {
         statusCode: 400,
         body: JSON.stringify({ error: 'Missing required parameters' })
@@ -88,9 +30,10 @@ exports.handler = async (event, context) => {
       };
     }
     
-    const success = updateVenueStatus(name, location, status);
+    const store = await loadWritableVenueStore();
+    const venue = updateVenueStatus(store, id, status);
     
-    if (success) {
+    if (venue) {
       return {
         statusCode: 200,
         headers: {
@@ -98,7 +41,7 @@ exports.handler = async (event, context) => {
         },
         body: JSON.stringify({ 
           message: `Venue ${status} successfully`,
-          venue: { name, location, status }
+          venue: { id, name: venue.name, location: venue.location, status }
         })
       };
     } else {
@@ -110,7 +53,7 @@ exports.handler = async (event, context) => {
     
   } catch (error) {
     console.error('Error updating venue status:', error);
-    return {
+    return storeErrorResponse(error) || {
       statusCode: 500,
       body: JSON.stringify({ 
         error: 'Error updating venue status',
@@ -1,60 +1,10 @@
-const fs = require('fs-extra');
-const path = require('path');
 const { parse } = require('csv-parse/sync');
-const { stringify } = require('csv-stringify/sync');
 
-// Load existing venues from the build
-const loadExistingVenues = () => {
-  try {
-    const csvPath = path.join(process.cwd(), 'src/data/venues_master.csv');
-    if (!fs.existsSync(csvPath)) return [];
-    const csvContent = fs.readFileSync(csvPath, 'utf8');
-    if (!csvContent.trim()) return [];
-    return parse(csvContent, { columns: true, skip_empty_lines: true });
-  } catch (error) {
-    console.error('Error loading existing venues:', error);
-    return [];
-  }
-};
+const { loadWritableVenueStore, storeErrorResponse } = require('./_shared/venue-store');
 
-// Validate and normalize venue data
-const validateVenue = (venue, rowIndex) => {
-  const errors = [];
-  const requiredFields = ['name', 'location', 'venue_type'];
-  
-  // Check required fields
-  requiredFields.forEach(field => {
-    if (!venue[field] || !venue[field].toString().trim()) {
-      errors.push(`Row ${rowIndex + 2}: Missing required field '${field}'`);
-    }
-  });
-  
-  // Normalize and validate venue
-  const normalizedVenue = {
-    name: (venue.name || '').toString().trim(),
-    location: (venue.location || '').toString().trim(),
-    address: (venue.address || '').toString().trim(),
-    venue_type: (venue.venue_type || '').toString().trim(),
-    capacity: venue.capacity ? parseInt(venue.capacity) || null : null,
-    contact_email: (venue.contact_email || '').toString().trim(),
-    contact_phone: (venue.contact_phone || '').toString().trim(),
-    contact_name: (venue.contact_name || '').toString().trim(),
-    website: (venue.website || '').toString().trim(),
-    typical_genres: (venue.typical_genres || '').toString().trim()
-  };
-  
-  // Validate email format if provided
-  if (normalizedVenue.contact_email && !normalizedVenue.contact_email.includes('@')) {
-    errors.push(`Row ${rowIndex + 2}: Invalid email format`);
-  }
-  
-  // Validate capacity if provided
-  if (venue.capacity && (isNaN(venue.capacity) || venue.capacity < 0 || venue.capacity > 1000000)) {
-    errors.push(`Row ${rowIndex + 2}: Invalid capacity (should be a number between 0 and 1,000,000)`);
-  }
-  
-  return { venue: normalizedVenue, errors };
-};
+const loadVenueSchema = () => import('../../src/lib/venue-schema.js');
+const loadVenueDuplicates = () => import('../../src/lib/venue-duplicates.js');
+const loadGenres = () => import('../../src/lib/genres.js');
 
 exports.handler = async (event, context) => {
   if (event.httpMethod !== 'POST') {
@@ -65,7 +15,7 @@ exports.handler = async (event, context) => {
   }
   
   try {
-    const { csvContent } = JSON.parse(event.body);
+    const { csvContent, fileName = '' } = JSON.parse(event.body);
     
     if (!csvContent || typeof csvContent !== 'string') {
       return {
@@ -99,16 +49,25 @@ exports.handler = async (event, context) => {
       };
     }
     
-    // Validate all venues
+    // Validate all venues against the shared schema
+    const { VENUE_COLUMNS, validateVenue } = await loadVenueSchema();
+    const { unknownGenres } = await loadGenres();
     const validationErrors = [];
+    const genreWarnings = [];
     const validVenues = [];
     
     uploadedVenues.forEach((venue, index) => {
-      const { venue: normalizedVenue, errors } = validateVenue(venue, index);
+      // Genres are normalized to the taxonomy; ones it doesn't know are kept but reported
+      unknownGenres(venue.typical_genres).forEach(genre => {
+        genreWarnings.push(`Row ${index + 2}: Unknown genre '${genre}'`);
+      });
+      
+      const { record, errors } = validateVenue(venue);
       if (errors.length > 0) {
-        validationErrors.push(...errors);
+        validationErrors.push(...errors.map(error => `Row ${index + 2}: ${error}`));
       } else {
-        validVenues.push(normalizedVenue);
+        // Only keep the schema columns from the upload
+        validVenues.push(Object.fromEntries(VENUE_COLUMNS.map(column => [column, record[column]])));
       }
     });
     
@@ -123,16 +82,27 @@ exports.handler = async (event, context) => {
       };
     }
     
-    // Load existing venues to check for duplicates
-    const existingVenues = loadExistingVenues();
-    const existingNames = new Set(existingVenues.map(v => v.name.toLowerCase().trim()));
-    
-    // Filter out duplicates
-    const newVenues = validVenues.filter(venue => 
-      !existingNames.has(venue.name.toLowerCase().trim())
-    );
+    // Check for duplicates and add the new venues in one transaction
+    const store = await loadWritableVenueStore();
+    const { findLikelyDuplicate } = await loadVenueDuplicates();
+    const duplicates = [];
+    const newVenues = store.transaction(tx => {
+      // Likely duplicates (including earlier rows of this upload) are skipped;
+      // weaker matches are added and left for review on the merge screen
+      return validVenues
+        .filter(venue => {
+          const match = findLikelyDuplicate(venue, tx.all('venues'));
+          if (!match) return true;
+          duplicates.push({
+            name: venue.name,
+            match: { id: match.venue.id, name: match.venue.name, score: match.score, reasons: match.reasons }
+          });
+          return false;
+        })
+        .map(venue => tx.insert('venues', venue, { source: 'upload', source_url: fileName }));
+    });
     
-    const duplicateCount = validVenues.length - newVenues.length;
+    const duplicateCount = duplicates.length;
     
     if (newVenues.length === 0) {
       return {
@@ -141,32 +111,29 @@ exports.handler = async (event, context) => {
           message: 'No new venues to add - all venues already exist in the directory',
           venuesAdded: 0,
           duplicates: duplicateCount,
+          duplicateMatches: duplicates,
+          genreWarnings,
           totalProcessed: validVenues.length
         })
       };
     }
     
-    // Note: In a serverless environment, we can't actually update the CSV file
-    // Instead, we'll return the new venues data for manual processing
-    // In a real implementation, you'd want to use a database or external storage
-    
     return {
       statusCode: 200,
       body: JSON.stringify({
-        message: `Processed ${validVenues.length} venues from CSV. ${newVenues.length} are new.`,
+        message: `Processed ${validVenues.length} venues from CSV. Added ${newVenues.length} new venues to the directory.`,
         venuesAdded: newVenues.length,
         duplicates: duplicateCount,
+        duplicateMatches: duplicates,
+        genreWarnings,
         totalProcessed: validVenues.length,
-        // Include the data so it could be manually added
-        newVenuesPreview: newVenues.slice(0, 5),
-        note: 'In serverless mode, venues cannot be automatically added to the CSV file. Please use the data below to manually update your venues file.',
-        csvData: stringify(newVenues, { header: true })
+        newVenuesPreview: newVenues.slice(0, 5)
       })
     };
     
   } catch (error) {
     console.error('Error processing CSV upload:', error);
-    return {
+    return storeErrorResponse(error) || {
       statusCode: 500,
       body: JSON.stringify({
         error: 'Error processing CSV upload',
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import path from 'path';
+import cron from 'node-cron';
+import { fileURLToPath } from 'url';
+import { openVenueStore } from '../src/lib/venue-store.js';
+import { createPoliteFetcher } from '../src/lib/polite-fetch.js';
+import { checkSite, recordSiteCheck, venuesDueCheck, isFlagged, SITE_STATUS_LABELS } from '../src/lib/site-health.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const store = openVenueStore();
+const LOG_PATH = path.join(__dirname, '../logs/site-health.log');
+
+// If this many sites in a row are unreachable from the start, it's our connection that's down
+const OFFLINE_AFTER = 10;
+
+// Ensure logs directory exists
+await fs.ensureDir(path.dirname(LOG_PATH));
+
+// Logging function
+function log(message) {
+  const timestamp = new Date().toISOString();
+  const logEntry = `[${timestamp}] ${message}\n`;
+  console.log(logEntry.trim());
+  fs.appendFileSync(LOG_PATH, logEntry);
+}
+
+// What a check found, for the logs
+function describeCheck(check) {
+  const details = [
+    check.http_status && `HTTP ${check.http_status}`,
+    check.status === 'redirected' && `now ${check.final_url}`,
+    check.closure_phrase && `"${check.closure_phrase}"`,
+    check.error
+  ].filter(Boolean);
+  return `${SITE_STATUS_LABELS[check.status]}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+// Check the websites of venues not checked in the last week, or all of them with --all
+async function checkVenueSites({ all = false } = {}) {
+  log('Starting venue website checks...');
+
+  const venues = store.all('venues');
+  const due = all
+    ? venues.filter(venue => venue.website && venue.operating_status !== 'closed')
+    : venuesDueCheck(venues, store.all('site_checks'));
+
+  if (due.length === 0) {
+    log('No venue websites are due a check');
+    return;
+  }
+
+  log(`Checking ${due.length} venue websites`);
+
+  // One request at a time per host, following robots.txt, like the scraper
+  const http = createPoliteFetcher({ log });
+  const counts = {};
+  let flagged = 0;
+  let checked = 0;
+
+  // Saved as it goes, so a run that's stopped keeps what it's checked
+  const save = (venue, result) => {
+    const check = store.transaction(tx => recordSiteCheck(tx, venue.id, result));
+    checked++;
+    counts[check.status] = (counts[check.status] || 0) + 1;
+    if (isFlagged(check)) flagged++;
+    log(`${venue.name}: ${describeCheck(check)}`);
+  };
+
+  // Results are held back until a site answers, so an offline run doesn't count
+  // as an outage for every venue
+  let held = [];
+
+  for (const venue of due) {
+    try {
+      const result = await checkSite(http, venue.website);
+      if (!held) {
+        save(venue, result);
+        continue;
+      }
+      held.push([venue, result]);
+      if (result.status !== 'unreachable') {
+        held.forEach(([heldVenue, heldResult]) => save(heldVenue, heldResult));
+        held = null;
+      } else if (held.length === OFFLINE_AFTER) {
+        log(`The first ${OFFLINE_AFTER} sites were all unreachable; stopping without saving in case this machine is offline`);
+        return;
+      }
+    } catch (error) {
+      log(`Error checking ${venue.name}: ${error.message}`);
+    }
+  }
+  // Fewer venues were due than it takes to tell
+  if (held) held.forEach(([heldVenue, heldResult]) => save(heldVenue, heldResult));
+
+  log(`Checked ${checked} websites: ${Object.entries(counts).map(([status, count]) => `${count} ${SITE_STATUS_LABELS[status].toLowerCase()}`).join(', ')}`);
+  log(flagged > 0 ? `${flagged} venues need a look on /admin` : 'Nothing new to look at');
+}
+
+// Manual run mode
+if (process.argv.includes('--manual')) {
+  checkVenueSites({ all: process.argv.includes('--all') }).then(() => {
+    log('Manual website check completed');
+    process.exit(0);
+  }).catch(error => {
+    log(`Error checking websites: ${error.message}`);
+    process.exit(1);
+  });
+} else {
+  log('Starting scheduled venue website checks...');
+  const scheduledCheck = () => checkVenueSites().catch(error => log(`Error checking websites: ${error.message}`));
+
+  // Every night; each venue comes up once a week
+  cron.schedule('0 4 * * *', () => {
+    log('Scheduled website check triggered');
+    scheduledCheck();
+  });
+
+  // Run immediately on start
+  scheduledCheck();
+}
@@ -5,6 +5,7 @@ import path from 'path';
 import { parse } from 'csv-parse/sync';
 import { stringify } from 'csv-stringify/sync';
 import { fileURLToPath } from 'url';
+import { VENUE_COLUMNS } from '../src/lib/venue-schema.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const CSV_PATH = path.join(__dirname, '../src/data/venues_master.csv');
@@ -23,19 +24,8 @@ const venues = parse(csvContent, { columns: true, skip_empty_lines: true });
 
 console.log(`📊 Loaded ${venues.length} venues`);
 
-// Define columns to keep (in desired order)
-const columnsToKeep = [
-  'name',
-  'location', 
-  'address',
-  'venue_type',
-  'capacity',
-  'contact_email',
-  'contact_phone',
-  'contact_name',
-  'website',
-  'typical_genres'
-];
+// Keep the canonical schema columns (in schema order)
+const columnsToKeep = VENUE_COLUMNS;
 
 console.log('🎯 Keeping columns:', columnsToKeep.join(', '));
 
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { fileURLToPath } from 'url';
+import { openVenueStore } from '../src/lib/venue-store.js';
+import { VENUE_COLUMNS, DISCOVERED_VENUE_COLUMNS } from '../src/lib/venue-schema.js';
+import { scoreDiscoveredVenue } from '../src/lib/discovery-scoring.js';
+import { normalizeVenueAddress } from '../src/lib/address.js';
+import { findLikelyDuplicate } from '../src/lib/venue-duplicates.js';
+
+// Import the venue CSV files into the venue store: the statewide master list,
+// the regional lists and the discovery queue.
+// Usage: node scripts/import-csv.js [--force | --merge] [--source <name>]
+//   --force   replace everything in the store
+//   --merge   keep the store and add venues it doesn't already list
+//   --source  only import one source, e.g. --source raleigh
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../src/data');
+const DISCOVERED_CSV_PATH = path.join(DATA_DIR, 'discovered_venues.csv');
+
+// Raleigh labels that aren't venue types anywhere else
+const RALEIGH_TYPES = {
+  University: 'other',
+  Festival: 'outdoor'
+};
+
+// Directory venue sources, in order; a venue already imported from an earlier
+// source is skipped. Regional lists don't always share the master list's columns
+// or labels, so each source can map its rows onto the schema first.
+const VENUE_SOURCES = [
+  { name: 'master', file: 'venues_master.csv' },
+  {
+    name: 'raleigh',
+    file: 'raleigh.csv',
+    // No contact_name column. Locations are often neighbourhoods ("Glenwood South"),
+    // which address.js resolves to their town.
+    skip: record => record.venue_type === 'Former Venue' && 'closed',
+    map: record => ({
+      ...record,
+      address: /^(multiple|various) locations$/i.test(record.address) ? '' : record.address,
+      venue_type: RALEIGH_TYPES[record.venue_type] || record.venue_type
+    })
+  }
+];
+
+function readCsv(csvPath) {
+  if (!fs.existsSync(csvPath)) return [];
+  const csvContent = fs.readFileSync(csvPath, 'utf8');
+  if (!csvContent.trim()) return [];
+  return parse(csvContent, { columns: true, skip_empty_lines: true, trim: true });
+}
+
+// Missing columns and "N/A" placeholders both become empty fields
+function pick(record, columns) {
+  const picked = {};
+  columns.forEach(column => {
+    const value = record[column] || '';
+    picked[column] = /^n\/?a$/i.test(value) ? '' : value;
+  });
+  return picked;
+}
+
+function readVenueSource(source) {
+  return readCsv(path.join(DATA_DIR, source.file)).map((record, index) => {
+    // Header is line 1
+    const row = { source, line: index + 2, name: record.name };
+    const skipReason = source.skip ? source.skip(record) : '';
+    if (skipReason) return { ...row, skipReason };
+
+    const venue = pick(source.map ? source.map(record) : record, VENUE_COLUMNS);
+    const capacity = parseInt(venue.capacity, 10);
+    venue.capacity = Number.isNaN(capacity) ? null : capacity;
+    return { ...row, venue };
+  });
+}
+
+function valueAfter(flag) {
+  const index = process.argv.indexOf(flag);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+const force = process.argv.includes('--force');
+const merge = process.argv.includes('--merge');
+const sourceName = valueAfter('--source');
+
+const sources = sourceName ? VENUE_SOURCES.filter(source => source.name === sourceName) : VENUE_SOURCES;
+if (sources.length === 0) {
+  console.error(`❌ Unknown source '${sourceName}' (must be one of ${VENUE_SOURCES.map(source => source.name).join(', ')})`);
+  process.exit(1);
+}
+if (force && merge) {
+  console.error('❌ Pass either --force or --merge, not both');
+  process.exit(1);
+}
+
+const store = openVenueStore();
+const rows = sources.flatMap(readVenueSource);
+// Merging only adds directory venues; the discovery queue has its own review flow.
+// The discovered CSV predates discovery sources, when everything came from search.
+const discovered = merge ? [] : readCsv(DISCOVERED_CSV_PATH)
+  .map(record => pick(record, DISCOVERED_VENUE_COLUMNS))
+  .map(venue => ({ ...venue, source: venue.source || 'search' }))
+  .map(venue => ({ ...venue, ...scoreDiscoveredVenue(venue), rejected_by: venue.status === 'rejected' ? 'reviewer' : '', enriched_fields: {} }));
+
+console.log(`📥 Importing ${rows.length} venues from ${sources.map(source => source.file).join(', ')}` +
+  `${merge ? '' : ` and ${discovered.length} discovered venues`} into ${store.path}`);
+
+try {
+  store.transaction(tx => {
+    if (!merge && !force && (tx.all('venues').length > 0 || tx.all('discovered').length > 0)) {
+      throw new Error('Venue store already has data. Re-run with --merge to add to it, or --force to replace it.');
+    }
+    if (!merge) {
+      tx.replaceAll('venues', []);
+      tx.replaceAll('venue_history', []);
+      tx.replaceAll('discovered', discovered);
+    }
+
+    // Near-duplicates within one source are left for /admin/duplicates to review
+    const addedIds = new Map(sources.map(source => [source, new Set()]));
+
+    rows.forEach(row => {
+      if (row.skipReason) return;
+
+      // Compare on the canonical location, as the store will save it
+      const candidates = tx.all('venues').filter(venue => !addedIds.get(row.source).has(venue.id));
+      const duplicate = findLikelyDuplicate({ ...row.venue, ...normalizeVenueAddress(row.venue) }, candidates);
+      if (duplicate) {
+        row.skipReason = `already listed as ${duplicate.venue.name} (${duplicate.venue.location})`;
+        return;
+      }
+
+      try {
+        const venue = tx.insert('venues', row.venue, { source: 'import', source_url: row.source.file });
+        addedIds.get(row.source).add(venue.id);
+        row.added = true;
+      } catch (error) {
+        row.skipReason = error.message;
+      }
+    });
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+sources.forEach(source => {
+  const sourceRows = rows.filter(row => row.source === source);
+  const skipped = sourceRows.filter(row => !row.added);
+  console.log(`\n📄 ${source.file}: ${sourceRows.length - skipped.length} added, ${skipped.length} skipped`);
+  skipped.forEach(row => console.log(`   ⚠️  Line ${row.line}: ${row.name}: ${row.skipReason}`));
+});
+
+console.log('\n✅ Import complete!');
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+import { openVenueStore } from '../src/lib/venue-store.js';
+import { normalizeVenueType, VENUE_TYPE_VALUES } from '../src/lib/venue-types.js';
+
+// Rewrite venue_type on directory and discovered venues to the controlled vocabulary
+// in src/lib/venue-types.js, and list the ones that can't be mapped.
+// Usage: node scripts/reclassify-venue-types.js [--dry-run] [--other]
+//   --dry-run  report what would change without writing
+//   --other    file venues whose type can't be mapped under "other"
+
+const dryRun = process.argv.includes('--dry-run');
+const useOther = process.argv.includes('--other');
+const store = openVenueStore();
+
+const changes = [];
+const unmapped = [];
+
+try {
+  store.transaction(tx => {
+    ['venues', 'discovered'].forEach(collection => {
+      tx.all(collection).forEach(venue => {
+        // Discoveries may not have been classified yet
+        if (collection === 'discovered' && !venue.venue_type) return;
+
+        const mapped = normalizeVenueType(venue.venue_type);
+        if (mapped === venue.venue_type) return;
+
+        if (!mapped) {
+          unmapped.push({ collection, venue });
+          if (!useOther) return;
+        }
+
+        const venueType = mapped || 'other';
+        changes.push({ collection, venue, venueType });
+        if (!dryRun) tx.update(collection, venue.id, { venue_type: venueType });
+      });
+    });
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+changes.forEach(({ collection, venue, venueType }) => {
+  console.log(`${dryRun ? '🔎' : '✏️ '} ${collection}: ${venue.name} (${venue.id}): "${venue.venue_type}" → ${venueType}`);
+});
+
+if (unmapped.length > 0) {
+  console.log(`\n⚠️  ${unmapped.length} venues have a type that isn't in the vocabulary (${VENUE_TYPE_VALUES.join(', ')}):`);
+  unmapped.forEach(({ collection, venue }) => {
+    console.log(`   ${collection}: ${venue.name} (${venue.id}): "${venue.venue_type}"`);
+  });
+  if (!useOther) {
+    console.log('   Fix them by hand, add the label to src/lib/venue-types.js, or re-run with --other.');
+  }
+}
+
+const summary = dryRun
+  ? `🔎 Dry run: ${changes.length} venue types would be rewritten`
+  : `✅ Rewrote ${changes.length} venue types`;
+console.log(`\n${summary} in ${store.path}`);
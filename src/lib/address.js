@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import { createGazetteer } from './gazetteer.js';
+import { venueRegion } from './regions.js';
+
+// Address normalization and offline geocoding against the bundled NC gazetteer
+// (ZIP centroids and place names), so no live geocoding service is needed.
+
+/**
+ * @typedef {object} ParsedAddress
+ * @property {string} street Street line, including any suite or unit
+ * @property {string} city
+ * @property {string} state Two-letter state code
+ * @property {string} zip Five-digit ZIP code
+ */
+
+/**
+ * @typedef {'zip' | 'place' | ''} GeoPrecision
+ */
+
+const GAZETTEER_PATH = path.join(process.cwd(), 'src/data/nc-gazetteer.json');
+
+const STATE_NAMES = { 'north carolina': 'NC' };
+const UNIT_PATTERN = /^(?:suite|ste|unit|apt|#)\.?\s*#?\w+$/i;
+// A unit run into the city when there's no comma between them, e.g. "Suite 200 Durham"
+const UNIT_BEFORE_CITY = /^((?:suite|ste|unit|apt|#)\.?\s*#?\w+)\s+(.+)$/i;
+
+let gazetteer = null;
+
+function loadGazetteer() {
+  if (!gazetteer) {
+    gazetteer = createGazetteer(JSON.parse(fs.readFileSync(GAZETTEER_PATH, 'utf8')));
+  }
+  return gazetteer;
+}
+
+function titleCase(text) {
+  return text.toLowerCase().replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+function cleanPart(text) {
+  return (text || '').replace(/\s+/g, ' ').replace(/^[\s,.]+|[\s,]+$/g, '').replace(/\.$/, '');
+}
+
+/**
+ * Canonical gazetteer name for a town, neighbourhood or alias, or null if unknown.
+ * @param {string} name
+ * @returns {string | null}
+ */
+export function resolvePlace(name) {
+  return loadGazetteer().resolvePlace(name);
+}
+
+/**
+ * Coordinates for a town name or ZIP typed by a user, or null if it isn't in the gazetteer.
+ * @param {string} query
+ */
+export function locatePlace(query) {
+  return loadGazetteer().locate(query);
+}
+
+/**
+ * Whether two town names, as typed or in "City, ST" form, are the same place.
+ * Towns the gazetteer doesn't know are compared by name.
+ * @param {string} a
+ * @param {string} b
+ */
+export function samePlace(a, b) {
+  const town = text => (text || '').split(',')[0].trim();
+  const key = text => resolvePlace(town(text)) || town(text).toLowerCase();
+  return town(a) !== '' && key(a) === key(b);
+}
+
+// Split a known place name off the end of text that has no comma before the city
+function splitTrailingPlace(text) {
+  const words = text.split(' ');
+  // Longest match first, so "West Asheville" wins over "Asheville"
+  for (let start = 0; start < words.length; start++) {
+    const candidate = words.slice(start).join(' ');
+    if (resolvePlace(candidate)) {
+      return { street: words.slice(0, start).join(' '), city: candidate };
+    }
+  }
+  return { street: text, city: '' };
+}
+
+/**
+ * Parse a free-text address such as "179 Howard St. Boone, NC 28607" or
+ * "8320 Litchford Rd, Ste 106, Raleigh, NC 27615" into its parts.
+ * The city is returned as written; use resolvePlace() for the canonical name.
+ * @param {string} address
+ * @returns {ParsedAddress}
+ */
+export function parseAddress(address) {
+  let rest = cleanPart(address);
+  let zip = '';
+  let state = '';
+
+  const zipMatch = rest.match(/[\s,]*\b(\d{5})(?:-\d{4})?$/);
+  if (zipMatch) {
+    zip = zipMatch[1];
+    rest = rest.slice(0, zipMatch.index);
+  }
+
+  // Two-letter codes must be upper case so "Howard St" isn't read as a state, except our own
+  const stateMatch = rest.match(/(?:^|[\s,])(North Carolina|[A-Z]{2})$/i);
+  const isState = code => code.length > 2 || /^[A-Z]{2}$/.test(code) || code.toUpperCase() === loadGazetteer().state;
+  if (stateMatch && isState(stateMatch[1])) {
+    state = STATE_NAMES[stateMatch[1].toLowerCase()] || stateMatch[1].toUpperCase();
+    rest = rest.slice(0, stateMatch.index);
+  }
+
+  const parts = rest.split(',').map(cleanPart).filter(Boolean);
+  let city = '';
+
+  const unit = parts.length > 1 ? parts[parts.length - 1].match(UNIT_BEFORE_CITY) : null;
+  if (unit) parts.splice(parts.length - 1, 1, unit[1], unit[2]);
+
+  if (parts.length > 1 && !UNIT_PATTERN.test(parts[parts.length - 1])) {
+    city = parts.pop();
+  } else if (parts.length > 0) {
+    // No comma before the city, e.g. "179 Howard St. Boone"
+    const split = splitTrailingPlace(parts.pop());
+    city = split.city;
+    if (split.street) parts.push(split.street);
+  }
+
+  return { street: cleanPart(parts.join(', ')), city, state, zip };
+}
+
+/**
+ * Coordinates for a ZIP code, falling back to the town's centroid.
+ * @param {{ zip?: string, city?: string }} place
+ * @returns {{ lat: number, lng: number, precision: GeoPrecision } | null}
+ */
+export function geocode(place) {
+  return loadGazetteer().geocode(place);
+}
+
+/**
+ * Structured address fields, coordinates and region for a venue, plus its location
+ * rewritten as a canonical "City, ST" so the location facet has one entry per town.
+ * The street address wins over the location, which is often a neighbourhood.
+ * An address in another state isn't placed, as the gazetteer only knows NC's towns,
+ * and is flagged with address_issue 'out_of_state'.
+ * @param {{ address?: string, location?: string }} venue
+ */
+export function normalizeVenueAddress(venue) {
+  const { state: defaultState, zipCity: cityForZip } = loadGazetteer();
+  const parsed = parseAddress(venue.address);
+  // Locations like "Raleigh/Durham" list several towns; the first is the home town
+  const fromLocation = parseAddress((venue.location || '').split('/')[0]);
+
+  const outOfState = (parsed.state || fromLocation.state || defaultState) !== defaultState;
+  if (outOfState) {
+    const city = titleCase(parsed.city || fromLocation.city);
+    const state = parsed.state || fromLocation.state;
+    return {
+      location: city ? `${city}, ${state}` : (venue.location || ''),
+      street: parsed.street,
+      city,
+      state,
+      zip: parsed.zip,
+      lat: null,
+      lng: null,
+      geo_precision: '',
+      region: '',
+      address_issue: 'out_of_state'
+    };
+  }
+
+  const zipCity = cityForZip(parsed.zip);
+
+  const city = resolvePlace(parsed.city) || resolvePlace(fromLocation.city) || zipCity ||
+    titleCase(parsed.city || fromLocation.city);
+  const state = parsed.state || fromLocation.state || defaultState;
+  const coordinates = geocode({ zip: parsed.zip, city });
+  const lat = coordinates ? coordinates.lat : null;
+  const lng = coordinates ? coordinates.lng : null;
+
+  return {
+    location: city ? `${city}, ${state}` : (venue.location || ''),
+    street: parsed.street,
+    city,
+    state,
+    zip: parsed.zip,
+    lat,
+    lng,
+    geo_precision: coordinates ? coordinates.precision : '',
+    region: venueRegion({ lat, lng }),
+    address_issue: ''
+  };
+}
+
+/**
+ * One-line address from the structured fields, e.g. "179 Howard St, Boone, NC 28607".
+ * @param {{ street?: string, city?: string, state?: string, zip?: string }} venue
+ */
+export function formatAddress({ street = '', city = '', state = '', zip = '' }) {
+  const region = [state, zip].filter(Boolean).join(' ');
+  return [street, city, region].filter(Boolean).join(', ');
+}
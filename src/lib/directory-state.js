@@ -0,0 +1,119 @@
+import { regionLabel } from './regions.js';
+
+// Directory page filters <-> URL query parameters, so a search can be bookmarked,
+// shared and restored with back/forward. Parameter names follow /api/venues where
+// the two overlap. Pure functions only, so this runs in the browser.
+
+/**
+ * @typedef {object} DirectoryState
+ * @property {string} region Region picked in the switcher; '' for all of them
+ * @property {string} q
+ * @property {string[]} location
+ * @property {string[]} genre
+ * @property {string[]} type
+ * @property {number | null} minCapacity
+ * @property {number | null} maxCapacity
+ * @property {boolean} excludeUnknownCapacity
+ * @property {string} near Town or ZIP typed into the Near box
+ * @property {number} radius Miles
+ * @property {'grid' | 'map'} view
+ * @property {[number, number, number, number] | null} bbox Map area as west, south, east, north
+ * @property {number} page
+ */
+
+export const DEFAULT_RADIUS = 25;
+
+function parseNumber(value, { min = -Infinity, max = Infinity, integer = true } = {}) {
+  if (value === null || value.trim() === '') return null;
+  const number = integer ? Number.parseInt(value, 10) : Number.parseFloat(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+function parseBbox(value) {
+  const parts = (value || '').split(',').map(part => parseNumber(part, { integer: false }));
+  if (parts.length !== 4 || parts.some(part => part === null)) return null;
+  const [west, south, east, north] = parts;
+  return west < east && south < north ? /** @type {[number, number, number, number]} */ (parts) : null;
+}
+
+/**
+ * Read the directory state from a query string, ignoring anything malformed.
+ * @param {string | URLSearchParams} search
+ * @returns {DirectoryState}
+ */
+export function parseDirectoryState(search) {
+  const params = new URLSearchParams(search);
+  const text = name => (params.get(name) || '').trim();
+  const list = name => [...new Set(params.getAll(name).map(value => value.trim()).filter(Boolean))];
+
+  return {
+    region: text('region').toLowerCase(),
+    q: text('q'),
+    location: list('location'),
+    genre: list('genre'),
+    type: list('type'),
+    minCapacity: parseNumber(params.get('min_capacity'), { min: 0 }),
+    maxCapacity: parseNumber(params.get('max_capacity'), { min: 0 }),
+    excludeUnknownCapacity: ['true', '1'].includes(params.get('exclude_unknown_capacity')),
+    near: text('near'),
+    radius: parseNumber(params.get('radius'), { min: 1, max: 500 }) || DEFAULT_RADIUS,
+    view: params.get('view') === 'map' ? 'map' : 'grid',
+    bbox: parseBbox(params.get('bbox')),
+    page: parseNumber(params.get('page'), { min: 1 }) || 1
+  };
+}
+
+/**
+ * Query string for a directory state, without the leading "?". Defaults are left
+ * out so a plain directory link stays plain.
+ * @param {DirectoryState} state
+ */
+export function serializeDirectoryState(state) {
+  const params = new URLSearchParams();
+  const set = (name, value, defaultValue) => {
+    if (value !== null && value !== undefined && value !== defaultValue) params.set(name, String(value));
+  };
+
+  set('region', state.region, '');
+  set('q', state.q, '');
+  // Facets repeat, e.g. type=bar&type=brewery, as /api/venues takes them
+  ['location', 'genre', 'type'].forEach(name => state[name].forEach(value => params.append(name, value)));
+  set('min_capacity', state.minCapacity, null);
+  set('max_capacity', state.maxCapacity, null);
+  set('exclude_unknown_capacity', state.excludeUnknownCapacity, false);
+  set('near', state.near, '');
+  // The radius only means something next to a place
+  if (state.near) set('radius', state.radius, DEFAULT_RADIUS);
+  set('view', state.view, 'grid');
+  if (state.view === 'map' && state.bbox) params.set('bbox', state.bbox.map(value => value.toFixed(3)).join(','));
+  set('page', state.page, 1);
+
+  return params.toString();
+}
+
+/**
+ * Short description of a search, used as the default name when saving it,
+ * e.g. "brewery or bar · Durham, NC · 0–300 cap".
+ * @param {DirectoryState} state
+ */
+export function describeDirectoryState(state) {
+  const { minCapacity: min, maxCapacity: max } = state;
+  const capacity = min !== null && max !== null ? `${min}–${max} cap`
+    : min !== null ? `${min}+ cap`
+    : max !== null ? `up to ${max} cap`
+    : state.excludeUnknownCapacity ? 'known cap'
+    : '';
+
+  const parts = [
+    state.region && regionLabel(state.region),
+    state.q && `"${state.q}"`,
+    state.type.join(' or '),
+    state.genre.join(' or '),
+    state.location.join(' or '),
+    capacity,
+    state.near && `within ${state.radius} mi of ${state.near}`,
+    state.view === 'map' && state.bbox && 'map area'
+  ].filter(Boolean);
+
+  return parts.length > 0 ? parts.join(' · ') : 'All venues';
+}
@@ -0,0 +1,150 @@
+import { SCRAPED_FIELDS, describeExtractions } from './extractors/index.js';
+import { crawlSite } from './site-crawler.js';
+import { PageFetchError } from './page-fetcher.js';
+import { RobotsDisallowedError } from './polite-fetch.js';
+import { resolveMinScore } from './discovery-scoring.js';
+import { scoreCandidate } from './discovery-sources/index.js';
+import { DISCOVERED_VENUE_FIELDS, validateRecord } from './venue-schema.js';
+
+// Fills in discovered venues from their own websites before they're reviewed, so
+// /admin/discovery can show what a venue is without opening its site. The same
+// crawler and extractors the scraper runs over the directory look for the venue's
+// address and contact details, capacity and genres, and the homepage gives a short
+// excerpt. Where each value was found is kept, and carried into the directory's
+// history when the venue is approved. The venue is scored again with what was found,
+// and rejected like any other discovery if it now scores under the minimum.
+
+/**
+ * @typedef {object} EnrichmentResult
+ * @property {string} id The discovered venue
+ * @property {string} name
+ * @property {string[]} fields Fields filled in
+ * @property {number} pages Pages crawled
+ * @property {boolean} rejected Scored under the minimum with what its site said
+ * @property {string} [error]
+ */
+
+// Fields a discovered venue can be missing that its site might have
+export const ENRICHED_FIELDS = ['address', ...SCRAPED_FIELDS];
+
+const EXCERPT_LENGTH = 400;
+// Shorter paragraphs are usually menus, buttons and opening hours
+const MIN_PARAGRAPH_LENGTH = 40;
+
+const squash = value => (value || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * A short description of a site from its homepage: the page's own description if
+ * it has one, or else its first few paragraphs.
+ * @param {import('./extractors/index.js').ExtractorPage} page
+ * @returns {string}
+ */
+export function pageExcerpt(page) {
+  const $ = page.$;
+  const described = squash($('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content'));
+  const paragraphs = $('p').toArray().map(p => squash($(p).text())).filter(text => text.length >= MIN_PARAGRAPH_LENGTH);
+  const text = described || paragraphs.slice(0, 3).join(' ') || squash(page.text);
+  if (text.length <= EXCERPT_LENGTH) return text;
+  // Cut at the last whole word
+  return `${text.substring(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Crawl a discovered venue's site for the fields it's missing. Values the discovered
+ * venue wouldn't accept are dropped. The venue is scored again with what was found,
+ * and the patch rejects it if it scores under the minimum.
+ * Throws if the homepage can't be fetched.
+ * @param {import('./venue-schema.js').DiscoveredVenue} venue
+ * @param {object} options
+ * @param {ReturnType<typeof import('./page-fetcher.js').createTieredFetcher>} options.fetcher
+ * @param {number} [options.maxPages]
+ * @param {number} [options.timeBudget] In milliseconds, for this venue
+ * @param {number} [options.minScore]
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{ patch: Partial<import('./venue-schema.js').DiscoveredVenue>, pages: number }>}
+ */
+export async function enrichDiscoveredVenue(venue, { fetcher, maxPages = 3, timeBudget = 20000, minScore = resolveMinScore(), log = () => {} }) {
+  const fields = ENRICHED_FIELDS.filter(field => !venue[field]);
+  const { found, pages, home } = await crawlSite(venue.website, fields, { fetcher, maxPages, timeBudget, log });
+
+  const values = {};
+  const enrichedFields = {};
+  Object.entries(found).forEach(([field, { value, extractor, confidence, source_url }]) => {
+    const { record, errors } = validateRecord({ [field]: DISCOVERED_VENUE_FIELDS[field] }, { [field]: value });
+    if (errors.length > 0 || record[field] === null || record[field] === '') return;
+    values[field] = record[field];
+    enrichedFields[field] = { extractor, confidence, source_url };
+  });
+
+  if (Object.keys(found).length > 0) {
+    log(`Found for ${venue.name} across ${pages.length} pages: ${describeExtractions(found)}`);
+  }
+
+  const enriched = { ...values, excerpt: pageExcerpt(home), enriched_fields: enrichedFields, enrichment_error: '' };
+  // The same check discovery makes, so a venue whose site gives it away is rejected too
+  const { score, score_reasons, status, rejected_by } = scoreCandidate({ ...venue, ...enriched }, minScore);
+  const rejected = status === 'rejected' ? { status, rejected_by } : {};
+  return { patch: { ...enriched, score, score_reasons, ...rejected }, pages: pages.length };
+}
+
+// Failures the next run would meet again: robots.txt turning the crawler away, or a
+// homepage the site says isn't there. Anything else, like a timeout or a server error,
+// may have passed by then.
+function isPermanentFailure(error) {
+  return error instanceof RobotsDisallowedError ||
+    (error instanceof PageFetchError && error.status >= 400 && error.status < 500 && ![408, 429].includes(error.status));
+}
+
+/**
+ * Enrich the pending discovered venues whose sites haven't been crawled yet, oldest
+ * first, until the time budget runs out. Each is saved as it's done, so whatever's
+ * left is picked up by the next run. A site that can't be read is marked with the
+ * error. It's tried again on the next run unless the failure looks permanent.
+ * @param {ReturnType<typeof import('./venue-store.js').openVenueStore>} store
+ * @param {object} options
+ * @param {ReturnType<typeof import('./page-fetcher.js').createTieredFetcher>} options.fetcher
+ * @param {number} [options.timeBudget] In milliseconds; no new venue is started after it
+ * @param {number} [options.maxPages] Per venue
+ * @param {number} [options.minScore] Venues scoring under it once enriched are rejected
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{ results: EnrichmentResult[], remaining: number }>}
+ */
+export async function enrichDiscoveredVenues(store, { fetcher, timeBudget = 120000, maxPages = 3, minScore = resolveMinScore(), log = () => {} }) {
+  const startedAt = Date.now();
+  const waiting = store.all('discovered').filter(venue => venue.status === 'pending' && venue.website && !venue.enriched_at);
+  const results = [];
+
+  for (const venue of waiting) {
+    if (Date.now() - startedAt >= timeBudget) {
+      log(`Stopped enriching at the time limit; ${waiting.length - results.length} venues left for next time`);
+      break;
+    }
+
+    let patch;
+    let result;
+    let enrichedAt = new Date().toISOString();
+    try {
+      const enriched = await enrichDiscoveredVenue(venue, { fetcher, maxPages, minScore, log });
+      patch = enriched.patch;
+      result = { id: venue.id, name: venue.name, fields: Object.keys(patch.enriched_fields), pages: enriched.pages };
+    } catch (error) {
+      log(`Error enriching ${venue.name}: ${error.message}`);
+      patch = { enrichment_error: error.message };
+      // Left to be tried again on the next run
+      if (!isPermanentFailure(error)) enrichedAt = '';
+      result = { id: venue.id, name: venue.name, fields: [], pages: 0, error: error.message };
+    }
+
+    result.rejected = store.transaction(tx => {
+      // A reviewer who got to it while the site was crawled has the last word
+      const { status, rejected_by, ...details } = patch;
+      const reject = Boolean(status) && tx.find('discovered', venue.id)?.status === 'pending';
+      tx.update('discovered', venue.id, { ...(reject ? patch : details), enriched_at: enrichedAt });
+      return reject;
+    });
+    if (result.rejected) log(`Rejected ${venue.name} after reading its site, scoring ${patch.score}`);
+    results.push(result);
+  }
+
+  return { results, remaining: waiting.length - results.length };
+}
@@ -0,0 +1,130 @@
+import { normalizeName } from './venue-duplicates.js';
+import { resolvePlace } from './address.js';
+
+// Scores discovered venues on how likely each is to be a music venue, rather than a
+// list of them, a news story or a city's tourism page. Every venue starts at an even
+// chance, and each signal found adds or takes away points: where its website is, whether
+// that's a venue's own site or an article on someone else's, whether it has an address
+// and phone number, and whether it mentions music. Venues scoring under the minimum
+// are rejected as they're found; the reasons are shown on /admin/discovery.
+
+/**
+ * @typedef {object} ScoreReason
+ * @property {string} reason
+ * @property {number} points Added to the score, or taken away if negative
+ */
+
+/**
+ * @typedef {object} DiscoveryScore
+ * @property {number} score 0 to 1
+ * @property {ScoreReason[]} score_reasons
+ */
+
+export const DEFAULT_MIN_SCORE = 0.4;
+const BASE_SCORE = 0.5;
+
+// Sites about many businesses: directories, reviews, maps, social media and ticket sellers
+const DIRECTORY_HOSTS = /(^|\.)(yelp|tripadvisor|foursquare|yellowpages|mapquest|google|bing|facebook|instagram|twitter|x|tiktok|youtube|wikipedia|eventbrite|ticketmaster|livenation|songkick|bandsintown|allevents|jambase|reddit|thrillist|timeout|opentable|untappd|nextdoor|linktr)\.[a-z.]+$/i;
+// Newspapers, TV and radio stations and magazines around the state, and news.* hosts.
+// Matched on whole host name parts, so newsroomtavern.com and goodnews.cafe aren't news.
+const NEWS_HOSTS = /(^|\.)(newsobserver|indyweek|wral|wunc|abc11|cbs17|wcnc|wlos|wfae|wxii12|wfmynews2|wbtv|wsoctv|citizen-times|charlotteobserver|journalnow|starnewsonline|news-record|axios|patch|ourstate|qcnerve)\.[a-z.]+$|(^|\.)news\./i;
+// Chambers of commerce, visitors bureaus and local government, again matched on whole
+// host name parts so chambermusicraleigh.org isn't one
+const TOURISM_HOSTS = /(^|\.)(charlottesgotalot|outerbanks)\.[a-z.]+$|(^|\.)[a-z0-9-]*(tourism|chamber|chamberofcommerce|cvb)\.|\.gov$/i;
+// A visitors bureau named for its town or the state, e.g. visitraleigh.com, discoverdurham.com
+// or visitwilmingtonnc.com; the rest of the name must be a place, so visitorlounge.com isn't one
+const TOURISM_NAME = /^(visit|explore|discover)-?(.+?)-?(nc)?$/;
+
+// Paths of articles, lists, guides and search pages rather than a business's own site
+const ARTICLE_PATH = /\/(blog|news|stories|story|articles?|lists?|guides?|things-to-do|search|best-|top-|20\d\d\/)/i;
+// "THE BEST 10 Music Venues in Raleigh", "7 Breweries With Live Music in Asheville"
+const LIST_NAME = /\b(best|top \d+|guide to|things to do|where to|list of|near me|updated 20\d\d)\b|^\d+\s|\b(venues|bars|clubs|breweries|places|spots|taprooms) (in|near|with)\b/i;
+
+const MUSIC_WORDS = /\b(live music|music|concerts?|jazz|blues|bands?|stage|shows?|open mic|listening room|songwriters?|djs?|bluegrass|karaoke)\b/i;
+
+// Words in a name that don't identify the venue, so they don't count towards a domain match
+const COMMON_NAME_WORDS = new Set(['the', 'and', 'bar', 'club', 'music', 'hall', 'house', 'room', 'live', 'company']);
+
+// How much each source's own say-so counts for
+const SOURCE_REASONS = {
+  seed: { reason: 'Added to the seed list by hand', points: 0.4 },
+  osm: { reason: 'Mapped as a venue on OpenStreetMap', points: 0.1 },
+  ticketing: { reason: 'Hosts shows sold on a ticketing site', points: 0.1 }
+};
+
+/**
+ * The minimum score from DISCOVERY_MIN_SCORE, between 0 and 1.
+ * @param {Record<string, string | undefined>} [env]
+ */
+export function resolveMinScore(env = process.env) {
+  const value = Number(env.DISCOVERY_MIN_SCORE);
+  return env.DISCOVERY_MIN_SCORE && value >= 0 && value <= 1 ? value : DEFAULT_MIN_SCORE;
+}
+
+function isTourismHost(host) {
+  const match = host.split('.').slice(-2)[0].match(TOURISM_NAME);
+  return TOURISM_HOSTS.test(host) || Boolean(match && (/^(nc|northcarolina)$/.test(match[2]) || resolvePlace(match[2])));
+}
+
+function websiteReasons(website, name) {
+  let url;
+  try {
+    url = new URL(website);
+  } catch (error) {
+    return [{ reason: 'No website', points: -0.1 }];
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const reasons = [];
+
+  if (DIRECTORY_HOSTS.test(host)) {
+    reasons.push({ reason: `${host} is a directory, review or social site`, points: -0.4 });
+  } else if (isTourismHost(host)) {
+    reasons.push({ reason: `${host} is a tourism or government site`, points: -0.4 });
+  } else if (NEWS_HOSTS.test(host)) {
+    reasons.push({ reason: `${host} is a news or magazine site`, points: -0.4 });
+  } else {
+    const words = normalizeName(name).split(' ').filter(word => word.length >= 3 && !COMMON_NAME_WORDS.has(word));
+    const label = host.split('.').slice(0, -1).join('').replace(/[^a-z0-9]/g, '');
+    if (words.some(word => label.includes(word))) {
+      reasons.push({ reason: 'The website\'s domain matches the name', points: 0.15 });
+    }
+  }
+
+  if (ARTICLE_PATH.test(url.pathname)) {
+    reasons.push({ reason: 'Links to an article, list or search page', points: -0.25 });
+  } else if (url.pathname === '/' && !url.search) {
+    reasons.push({ reason: 'Links to a homepage', points: 0.1 });
+  }
+
+  return reasons;
+}
+
+/**
+ * How likely a discovered venue is to be a music venue, and why.
+ * @param {Pick<import('./venue-schema.js').DiscoveredVenue, 'name' | 'address' | 'website' | 'contact_phone' | 'source' | 'description'> & { excerpt?: string }} venue
+ * @returns {DiscoveryScore}
+ */
+export function scoreDiscoveredVenue(venue) {
+  const reasons = [];
+
+  if (SOURCE_REASONS[venue.source]) reasons.push({ ...SOURCE_REASONS[venue.source] });
+  reasons.push(...websiteReasons(venue.website, venue.name));
+
+  if (LIST_NAME.test(venue.name)) {
+    reasons.push({ reason: 'The name reads like a list or article', points: -0.35 });
+  }
+
+  if (venue.address) reasons.push({ reason: 'Has a street address', points: 0.15 });
+  if (venue.contact_phone) reasons.push({ reason: 'Has a phone number', points: 0.1 });
+  if (!venue.address && !venue.contact_phone) reasons.push({ reason: 'No address or phone number', points: -0.1 });
+
+  if (MUSIC_WORDS.test(`${venue.name} ${venue.description || ''} ${venue.excerpt || ''}`)) {
+    reasons.push({ reason: 'Mentions live music or shows', points: 0.15 });
+  } else {
+    reasons.push({ reason: 'Doesn\'t mention music', points: -0.05 });
+  }
+
+  const total = reasons.reduce((sum, { points }) => sum + points, BASE_SCORE);
+  return { score: Math.round(Math.min(1, Math.max(0, total)) * 100) / 100, score_reasons: reasons };
+}
@@ -0,0 +1,226 @@
+import path from 'path';
+import { formatPhone } from '../extractors/values.js';
+import { findLikelyDuplicate } from '../venue-duplicates.js';
+import { normalizeVenueType, classifyVenueType } from '../venue-types.js';
+import { scoreDiscoveredVenue, resolveMinScore } from '../discovery-scoring.js';
+import { seedListSource } from './seed-list.js';
+import { openStreetMapSource } from './openstreetmap.js';
+import { ticketingSource } from './ticketing.js';
+import { searchResultsSource, SEARCH_TERMS } from './search-results.js';
+
+// Registry of the places discovery finds new venues, shared by the discovery script
+// and the discover-venues function. Each source turns what it reads into candidates
+// in whatever shape suits it; they're normalized here into pending discovered
+// venues, checked against the directory and each other, and saved for review on
+// /admin/discovery. Sources run in the order they were registered: the local
+// files first, then the slower, noisier search results. Each candidate is scored
+// (see discovery-scoring.js), and those under the minimum are saved as rejected.
+
+/**
+ * Where each source reads from, and how much it reads.
+ * @typedef {object} DiscoveryOptions
+ * @property {string[]} searchTerms Searched for in each city, e.g. "jazz clubs"
+ * @property {number} resultsPerSearch Results read from each results page
+ * @property {string} searchDir Saved results pages to use instead of searching, if set
+ * @property {string} osmFile An Overpass API JSON extract, if there is one
+ * @property {string[]} ticketingPages Listing page URLs or files
+ * @property {string} seedFile The hand-curated seed list
+ * @property {number} minScore Candidates scoring less are rejected
+ */
+
+/**
+ * What a source is given for each run.
+ * @typedef {object} DiscoveryContext
+ * @property {string} city As typed, e.g. "Raleigh, NC"
+ * @property {string} date Discovery date, YYYY-MM-DD
+ * @property {DiscoveryOptions} options
+ * @property {import('./search-results.js').SearchEngine} [search] For the search results source
+ * @property {ReturnType<typeof import('../polite-fetch.js').createPoliteFetcher>} [http] For fetching listing pages
+ * @property {(message: string) => void} log
+ */
+
+/**
+ * @typedef {object} DiscoverySource
+ * @property {string} name Kept as each candidate's source
+ * @property {string} label Shown on /admin/discovery and in the logs
+ * @property {(options: DiscoveryOptions) => boolean} configured Whether it has what it needs to run
+ * @property {(context: DiscoveryContext) => AsyncIterable<Record<string, any>> | Iterable<Record<string, any>>} discover
+ *   Candidates as the source found them; reading stops once discovery has enough
+ */
+
+/**
+ * A candidate venue, normalized into a pending discovered venue.
+ * @typedef {Omit<import('../venue-schema.js').DiscoveredVenue, 'id' | 'venue_id' | 'created_at' | 'updated_at'>} DiscoveryCandidate
+ */
+
+const DEFAULT_SEED_FILE = path.join(process.cwd(), 'src/data/discovery-seeds.json');
+
+const sources = [];
+
+/**
+ * Add a discovery source. It runs after the ones already registered.
+ * @param {DiscoverySource} source
+ */
+export function registerDiscoverySource(source) {
+  if (sources.some(registered => registered.name === source.name)) {
+    throw new Error(`Discovery source already registered: ${source.name}`);
+  }
+  sources.push(source);
+}
+
+export function getDiscoverySources() {
+  return [...sources];
+}
+
+[seedListSource, openStreetMapSource, ticketingSource, searchResultsSource].forEach(registerDiscoverySource);
+
+/**
+ * Discovery options from the environment: DISCOVERY_SEARCH_DIR, DISCOVERY_OSM_FILE,
+ * DISCOVERY_TICKETING_PAGES (comma-separated), DISCOVERY_SEED_FILE and DISCOVERY_MIN_SCORE.
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {DiscoveryOptions}
+ */
+export function resolveDiscoveryOptions(env = process.env) {
+  return {
+    searchTerms: SEARCH_TERMS,
+    resultsPerSearch: 10,
+    searchDir: env.DISCOVERY_SEARCH_DIR || '',
+    osmFile: env.DISCOVERY_OSM_FILE || '',
+    ticketingPages: (env.DISCOVERY_TICKETING_PAGES || '').split(',').map(page => page.trim()).filter(Boolean),
+    seedFile: env.DISCOVERY_SEED_FILE || DEFAULT_SEED_FILE,
+    minScore: resolveMinScore(env)
+  };
+}
+
+const clean = value => (typeof value === 'string' || typeof value === 'number' ? String(value).replace(/\s+/g, ' ').trim() : '');
+
+function siteUrl(value) {
+  try {
+    const url = new URL(clean(value));
+    return /^https?:$/.test(url.protocol) ? url.href : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * A candidate from a source as a pending discovered venue, or null if it hasn't
+ * enough to go on. Types are mapped onto the vocabulary, or guessed from the name.
+ * It isn't scored or enriched yet.
+ * @param {Record<string, any>} candidate
+ * @param {string} source The source's name
+ * @param {{ city: string, date: string }} context
+ * @returns {DiscoveryCandidate | null}
+ */
+export function normalizeCandidate(candidate, source, { city, date }) {
+  const name = clean(candidate.name).substring(0, 100);
+  if (name.length < 3) return null;
+
+  return {
+    name,
+    location: clean(candidate.location) || city,
+    address: clean(candidate.address).substring(0, 200),
+    venue_type: normalizeVenueType(clean(candidate.venue_type)) || classifyVenueType(name.toLowerCase()),
+    website: siteUrl(candidate.website),
+    contact_email: '',
+    contact_phone: formatPhone(clean(candidate.contact_phone)) || '',
+    contact_name: '',
+    capacity: null,
+    typical_genres: '',
+    description: clean(candidate.description).substring(0, 300),
+    excerpt: '',
+    source,
+    discovered_from: clean(candidate.discovered_from),
+    discovery_date: clean(candidate.discovery_date) || date,
+    status: 'pending',
+    score: null,
+    score_reasons: [],
+    rejected_by: '',
+    enriched_fields: {},
+    enriched_at: '',
+    enrichment_error: ''
+  };
+}
+
+/**
+ * Score a candidate, rejecting it if it scores under the minimum.
+ * @param {DiscoveryCandidate} candidate
+ * @param {number} minScore
+ * @returns {DiscoveryCandidate}
+ */
+export function scoreCandidate(candidate, minScore) {
+  const scored = { ...candidate, ...scoreDiscoveredVenue(candidate) };
+  return scored.score < minScore ? { ...scored, status: 'rejected', rejected_by: 'score' } : scored;
+}
+
+// A venue rejected for its score, such as a review site's page about it, doesn't
+// stop the venue's own site being found; anything else found before does
+function alreadyFound(candidate, records) {
+  const others = candidate.status === 'rejected' ? records : records.filter(record => record.rejected_by !== 'score');
+  return Boolean(findLikelyDuplicate(candidate, others));
+}
+
+/**
+ * Find new venues in a city. Each source is read in turn until there are
+ * maxResults pending candidates; anything likely to be a known venue or one
+ * already found is skipped. Rejected candidates are returned too, so they're
+ * saved and not found again. A source that fails is logged and the rest still run.
+ * @param {DiscoveryContext} context
+ * @param {object} [options]
+ * @param {string[]} [options.sources] Names of the sources to read, in registration order; all of them by default
+ * @param {number} [options.maxResults]
+ * @param {Array<Record<string, any>>} [options.known] Directory and discovered venues
+ * @returns {Promise<DiscoveryCandidate[]>}
+ */
+export async function discoverCandidates(context, { sources: names = null, maxResults = 25, known = [] } = {}) {
+  const candidates = [];
+  let pending = 0;
+
+  for (const source of sources) {
+    if (names && !names.includes(source.name)) continue;
+    if (pending >= maxResults) break;
+    if (!source.configured(context.options)) {
+      // Only worth mentioning when it was asked for
+      if (names) context.log(`${source.label} isn't set up; skipping it`);
+      continue;
+    }
+
+    let found = 0;
+    let rejected = 0;
+    try {
+      for await (const raw of source.discover(context)) {
+        const normalized = normalizeCandidate(raw, source.name, context);
+        if (!normalized) continue;
+
+        const candidate = scoreCandidate(normalized, context.options.minScore);
+        if (alreadyFound(candidate, [...known, ...candidates])) continue;
+        candidates.push(candidate);
+        if (candidate.status === 'rejected') {
+          rejected++;
+          context.log(`Rejected ${candidate.name} (score ${candidate.score}): ${candidate.score_reasons.filter(({ points }) => points < 0).map(({ reason }) => reason).join('; ')}`);
+          continue;
+        }
+        found++;
+        pending++;
+        if (pending >= maxResults) break;
+      }
+    } catch (error) {
+      context.log(`Error reading ${source.label}: ${error.message}`);
+    }
+    context.log(`${source.label}: ${found} new venues${rejected > 0 ? `, ${rejected} rejected for scoring under ${context.options.minScore}` : ''}`);
+  }
+
+  return candidates;
+}
+
+/**
+ * Add candidates to the review queue, re-checking for venues added since they were found.
+ * @param {*} tx Venue store transaction
+ * @param {DiscoveryCandidate[]} candidates
+ * @returns {import('../venue-schema.js').DiscoveredVenue[]}
+ */
+export function saveDiscoveredCandidates(tx, candidates) {
+  return candidates
+    .filter(candidate => !alreadyFound(candidate, [...tx.all('venues'), ...tx.all('discovered')]))
+    .map(candidate => tx.insert('discovered', candidate));
+}
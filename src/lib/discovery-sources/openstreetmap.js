@@ -0,0 +1,95 @@
+import fs from 'fs';
+import { samePlace, locatePlace } from '../address.js';
+import { distanceMiles } from '../gazetteer.js';
+
+// The OpenStreetMap discovery source: venues in an Overpass API extract saved to
+// a local file, such as the output of
+//
+//   [out:json];
+//   area["name"="North Carolina"]->.nc;
+//   nwr(area.nc)[~"^(amenity|live_music)$"~"."];
+//   out center tags;
+//
+// Nothing is fetched, so a big extract can be downloaded once and reused.
+
+// Places that are music venues whatever else they are
+const MUSIC_AMENITIES = {
+  music_venue: 'club',
+  nightclub: 'club',
+  concert_hall: 'theater',
+  theatre: 'theater',
+  arts_centre: 'theater',
+  events_venue: 'other'
+};
+
+// Places that only count when they're tagged as having live music
+const LIVE_MUSIC_AMENITIES = {
+  bar: 'bar',
+  pub: 'bar',
+  biergarten: 'bar',
+  restaurant: 'bar',
+  cafe: 'cafe'
+};
+
+// Elements without an addr:city count if they're this close to the town's centre; any
+// further and they're as likely to be in the next town over
+const CITY_RADIUS_MILES = 5;
+
+function venueType(tags) {
+  if (tags.craft === 'brewery' || tags.microbrewery === 'yes') return 'brewery';
+  if (tags['theatre:type'] === 'amphi') return 'outdoor';
+  return MUSIC_AMENITIES[tags.amenity] ||
+    (tags.live_music === 'yes' ? LIVE_MUSIC_AMENITIES[tags.amenity] || 'club' : null);
+}
+
+// Nodes have coordinates; ways and relations have a centre with "out center"
+function coordinates(element) {
+  const point = element.center || element;
+  return typeof point.lat === 'number' && typeof point.lon === 'number' ? { lat: point.lat, lng: point.lon } : null;
+}
+
+/**
+ * Music venues in a city from an Overpass API JSON extract.
+ * @param {{ elements?: Array<{ type: string, id: number, tags?: Record<string, string>, lat?: number, lon?: number, center?: { lat: number, lon: number } }> }} extract
+ * @param {string} city
+ */
+export function parseOverpassExtract(extract, city) {
+  const centre = locatePlace(city);
+
+  return (extract.elements || []).flatMap(element => {
+    const tags = element.tags || {};
+    const type = venueType(tags);
+    if (!tags.name || !type) return [];
+
+    const town = tags['addr:city'];
+    const point = coordinates(element);
+    const inCity = town
+      ? samePlace(town, city)
+      : Boolean(centre && point && distanceMiles(centre, point) <= CITY_RADIUS_MILES);
+    if (!inCity) return [];
+
+    return [{
+      name: tags.name,
+      location: town ? `${town}, ${tags['addr:state'] || 'NC'}` : city,
+      address: [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' '),
+      venue_type: type,
+      website: tags.website || tags['contact:website'] || '',
+      contact_phone: tags.phone || tags['contact:phone'] || '',
+      description: tags.description || '',
+      discovered_from: `OpenStreetMap ${element.type}/${element.id}`
+    }];
+  });
+}
+
+/** @type {import('./index.js').DiscoverySource} */
+export const openStreetMapSource = {
+  name: 'osm',
+  label: 'OpenStreetMap',
+  configured: options => Boolean(options.osmFile),
+  async *discover({ city, options, log }) {
+    const extract = JSON.parse(await fs.promises.readFile(options.osmFile, 'utf8'));
+    const venues = parseOverpassExtract(extract, city);
+    log(`Found ${venues.length} music venues in ${city} in the OpenStreetMap extract`);
+    yield* venues;
+  }
+};
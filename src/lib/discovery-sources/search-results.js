@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { classifyVenueType } from '../venue-types.js';
+import { slugify } from '../venue-schema.js';
+
+// The search results discovery source: searches for kinds of venue in a city and
+// reads candidate venues out of the results pages. Pages come from a search engine
+// in the headless browser, or from a folder of saved results pages standing in for
+// one. Parsing works on HTML rather than a live browser page, so saved pages can be
+// parsed offline too.
+
+/**
+ * Gets a results page for a query.
+ * @typedef {object} SearchEngine
+ * @property {(query: string) => Promise<{ html: string, url: string }>} search
+ * @property {() => Promise<void>} close
+ */
+
+// What's searched for in each city, most productive first
+export const SEARCH_TERMS = [
+  'music venues',
+  'concert halls',
+  'live music bars',
+  'jazz clubs',
+  'blues clubs',
+  'rock venues',
+  'music clubs',
+  'performance spaces',
+  'theaters with concerts',
+  'breweries with live music',
+  'coffee shops with live music',
+  'nightclubs with live music',
+  'acoustic venues',
+  'outdoor music venues'
+];
+
+const SEARCH_URL = 'https://www.google.com/search';
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+// The search engine's own result containers
+const RESULT_SELECTOR = '.g, [data-content-feature="1"]';
+
+// Results that are about venues rather than venues themselves
+const NON_VENUE_SITES = ['wikipedia', 'ticketmaster', 'eventbrite', 'facebook.com', 'instagram.com'];
+const NON_VENUE_NAMES = ['event', 'ticket'];
+
+const ADDRESS_PATTERN = /\d+[^,]*(?:street|st|avenue|ave|road|rd|drive|dr|blvd|boulevard)[^,]*/i;
+
+// Search engines often link results through a redirect; keep the site's own URL
+function resultUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    return url.pathname === '/url' && url.searchParams.get('q') ? url.searchParams.get('q') : url.href;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Venues listed on a search results page, as pending discovered venues.
+ * @param {string} html
+ * @param {object} options
+ * @param {string} options.searchTerm What was searched for, kept as discovered_from
+ * @param {string} options.city
+ * @param {number} [options.limit] Results to read from the page
+ * @param {string} [options.baseUrl] The page's URL, for resolving relative links
+ * @param {string} [options.date] Discovery date, YYYY-MM-DD
+ */
+export function parseSearchResults(html, {
+  searchTerm,
+  city,
+  limit = 10,
+  baseUrl = SEARCH_URL,
+  date = new Date().toISOString().split('T')[0]
+}) {
+  const $ = cheerio.load(html);
+  const results = [];
+
+  // Those class names change now and then; failing them, take each link with a heading as a result
+  const elements = $(RESULT_SELECTOR).length > 0 ? $(RESULT_SELECTOR) : $('a:has(h3)').parent();
+
+  elements.each((index, element) => {
+    if (index >= limit) return;
+
+    const name = $(element).find('h3').first().text().trim() || $(element).find('a').first().text().trim();
+    const href = $(element).find('a').first().attr('href');
+    const link = href ? resultUrl(href, baseUrl) : '';
+    const snippet = $(element).text().trim();
+
+    // Try to extract address
+    const addressMatch = snippet.match(ADDRESS_PATTERN);
+    const address = addressMatch ? addressMatch[0].trim() : '';
+
+    const content = `${name} ${snippet}`.toLowerCase();
+
+    if (!name || !link || name.length < 3) return;
+
+    // Filter out non-venue results
+    if (NON_VENUE_SITES.some(site => content.includes(site) || link.toLowerCase().includes(site)) ||
+        NON_VENUE_NAMES.some(word => name.toLowerCase().includes(word))) {
+      return;
+    }
+
+    results.push({
+      name: name.substring(0, 100),
+      location: city,
+      address: address.substring(0, 200),
+      venue_type: classifyVenueType(content),
+      website: link,
+      description: snippet.replace(/\s+/g, ' ').substring(0, 300),
+      discovered_from: searchTerm,
+      discovery_date: date,
+      status: 'pending'
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Search in the headless browser. It's launched on the first search, and each
+ * search after that waits a little so the engine isn't hammered.
+ * @param {object} options
+ * @param {() => Promise<import('puppeteer').Browser>} options.launchBrowser
+ * @param {number} [options.timeout] Per search, in milliseconds
+ * @param {number} [options.pause] Between searches, in milliseconds
+ * @returns {SearchEngine}
+ */
+export function createBrowserSearch({ launchBrowser, timeout = 15000, pause = 2000 }) {
+  let browser = null;
+  let page = null;
+
+  return {
+    async search(query) {
+      if (page) {
+        await new Promise(resolve => setTimeout(resolve, pause));
+      } else {
+        browser = await launchBrowser();
+        page = await browser.newPage();
+        await page.setUserAgent(BROWSER_USER_AGENT);
+      }
+
+      await page.goto(`${SEARCH_URL}?q=${encodeURIComponent(query)}`, { waitUntil: 'networkidle2', timeout });
+      // Results may still be rendering; a page without the usual containers is parsed anyway
+      await page.waitForSelector(RESULT_SELECTOR, { timeout: 5000 }).catch(() => {});
+      return { html: await page.content(), url: page.url() };
+    },
+
+    async close() {
+      if (browser) await browser.close();
+    }
+  };
+}
+
+/**
+ * Saved results pages standing in for a search engine, for running discovery
+ * offline. Each query's page is named after it, e.g. "jazz clubs in Durham, NC"
+ * is jazz-clubs-in-durham-nc.html.
+ * @param {string} dir
+ * @returns {SearchEngine}
+ */
+export function createSavedSearch(dir) {
+  return {
+    async search(query) {
+      const file = path.join(dir, `${slugify(query)}.html`);
+      try {
+        return { html: await fs.promises.readFile(file, 'utf8'), url: `${SEARCH_URL}?q=${encodeURIComponent(query)}` };
+      } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`No saved results page for "${query}" (${path.basename(file)})`);
+        throw error;
+      }
+    },
+
+    async close() {}
+  };
+}
+
+/** @type {import('./index.js').DiscoverySource} */
+export const searchResultsSource = {
+  name: 'search',
+  label: 'Search results',
+  // Without saved pages, it searches in the browser
+  configured: () => true,
+  async *discover({ city, date, options, search, log }) {
+    for (const searchTerm of options.searchTerms) {
+      const query = `${searchTerm} in ${city}`;
+      log(`Searching: ${query}`);
+
+      let page;
+      try {
+        page = await search.search(query);
+      } catch (error) {
+        log(`Error searching for "${searchTerm}": ${error.message}`);
+        continue;
+      }
+
+      const venues = parseSearchResults(page.html, { searchTerm, city, limit: options.resultsPerSearch, baseUrl: page.url, date });
+      log(`Found ${venues.length} potential venues from "${searchTerm}"`);
+      yield* venues;
+    }
+  }
+};
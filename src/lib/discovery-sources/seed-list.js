@@ -0,0 +1,32 @@
+import fs from 'fs';
+import path from 'path';
+import { samePlace } from '../address.js';
+
+// The seed list discovery source: venues someone has written down by hand, such as
+// a tip from a musician or a venue that opened last week, kept in a JSON file.
+// Each entry needs a name and a "City, ST" location, and can also have an address,
+// venue_type, website, contact_phone, description and a note on where it came from:
+//
+//   [{ "name": "The Lantern", "location": "Durham, NC", "website": "https://...", "note": "Tip from a booker" }]
+//
+// They go through review like any other discovery.
+
+/** @type {import('./index.js').DiscoverySource} */
+export const seedListSource = {
+  name: 'seed',
+  label: 'Seed list',
+  configured: options => Boolean(options.seedFile) && fs.existsSync(options.seedFile),
+  async *discover({ city, options }) {
+    const entries = JSON.parse(await fs.promises.readFile(options.seedFile, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error(`${path.basename(options.seedFile)} should be a list of venues`);
+    }
+
+    yield* entries
+      .filter(entry => entry && samePlace(entry.location, city))
+      .map(({ note, ...entry }) => ({
+        ...entry,
+        discovered_from: note || `Seed list (${path.basename(options.seedFile)})`
+      }));
+  }
+};
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { samePlace } from '../address.js';
+import { schemaTypes, jsonLdNodes, microdataItem } from '../extractors/structured-data.js';
+
+// The ticketing discovery source: venue listings on ticket sellers' and event
+// calendars' pages, such as a "venues in Raleigh" page or a city's upcoming shows.
+// These sites describe their venues, and each event's venue, in schema.org markup
+// for search engines, so that's what's read rather than their page layouts.
+// Listing pages are fetched through the polite fetcher, or read from local files.
+
+// schema.org venue types, as the directory's venue types
+const SCHEMA_VENUE_TYPES = {
+  MusicVenue: 'club',
+  NightClub: 'club',
+  BarOrPub: 'bar',
+  Brewery: 'brewery',
+  Winery: 'brewery',
+  CafeOrCoffeeShop: 'cafe',
+  PerformingArtsTheater: 'theater',
+  StadiumOrArena: 'arena',
+  EventVenue: '',
+  Place: ''
+};
+
+// Links to these are about the venue, not the venue's own site
+const NOT_VENUE_SITES = /(^|\.)(ticketmaster|livenation|eventbrite|etix|axs|seetickets|ticketweb|dice|songkick|bandsintown|facebook|instagram|twitter|x|wikipedia|google)\.[a-z.]+$/i;
+
+const asList = value => (value === null || value === undefined ? [] : Array.isArray(value) ? value : [value]);
+const text = value => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+
+// The venue's own site, if it links to one somewhere other than the listing site
+function venueWebsite(node, listingHost) {
+  return [...asList(node.sameAs), node.url].map(text).find(link => {
+    try {
+      const host = new URL(link).hostname.replace(/^www\./, '');
+      return host !== listingHost && !NOT_VENUE_SITES.test(host);
+    } catch (error) {
+      return false;
+    }
+  }) || '';
+}
+
+function postalAddress(address) {
+  if (typeof address === 'string') return { street: address, locality: '', region: '' };
+  const node = asList(address).find(item => item && typeof item === 'object') || {};
+  return { street: text(node.streetAddress), locality: text(node.addressLocality), region: text(node.addressRegion) };
+}
+
+/**
+ * Venues listed on a ticketing page, from its JSON-LD and microdata.
+ * @param {string} html
+ * @param {string} url The listing page's address, kept as discovered_from
+ */
+export function parseVenueListing(html, url) {
+  const $ = cheerio.load(html);
+  const listingHost = new URL(url).hostname.replace(/^www\./, '');
+  const nodes = [
+    ...jsonLdNodes($),
+    ...$('[itemscope][itemtype]').toArray().map(scope => microdataItem($, scope))
+  ];
+  const venues = new Map();
+
+  nodes.forEach(node => {
+    const type = schemaTypes(node).find(type => type in SCHEMA_VENUE_TYPES);
+    const name = text(node.name);
+    if (!type || !name) return;
+
+    // The same venue turns up once for each of its events
+    const key = name.toLowerCase();
+    const address = postalAddress(node.address);
+    const seen = venues.get(key);
+    if (seen && seen.address) return;
+
+    venues.set(key, {
+      name,
+      location: address.locality ? `${address.locality}, ${address.region || 'NC'}` : '',
+      address: address.street,
+      venue_type: SCHEMA_VENUE_TYPES[type],
+      website: venueWebsite(node, listingHost),
+      contact_phone: text(asList(node.telephone)[0]),
+      description: text(node.description),
+      discovered_from: url
+    });
+  });
+
+  return [...venues.values()];
+}
+
+/** @type {import('./index.js').DiscoverySource} */
+export const ticketingSource = {
+  name: 'ticketing',
+  label: 'Ticketing listings',
+  configured: options => options.ticketingPages.length > 0,
+  async *discover({ city, options, http, log }) {
+    for (const page of options.ticketingPages) {
+      let html;
+      let url = page;
+      try {
+        if (/^https?:\/\//i.test(page)) {
+          const response = await http.fetch(page, { timeout: 15000 });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          html = response.text;
+          url = response.url;
+        } else {
+          html = await fs.promises.readFile(page, 'utf8');
+          url = `file://${path.resolve(page)}`;
+        }
+      } catch (error) {
+        log(`Error reading the listing ${page}: ${error.message}`);
+        continue;
+      }
+
+      // A listing may cover the whole state, and one without an address can't be placed
+      const venues = parseVenueListing(html, url).filter(venue => samePlace(venue.location, city));
+      log(`Found ${venues.length} venues in ${city} on ${page}`);
+      yield* venues;
+    }
+  }
+};
@@ -0,0 +1,262 @@
+import { findGenresInText } from '../genres.js';
+import { cleanEmail, formatPhone, parseCapacity, cleanName } from './values.js';
+
+// Pattern-matching extractors, run over a page's raw HTML and visible text once the
+// structured-data extractors have had their turn. They find details on pages with
+// no markup at all, but they also pick up false positives (a year that looks like a
+// capacity, a heading that looks like a name), so their confidence is low.
+
+// Extract email from website content
+function extractEmail(content) {
+  const emailPatterns = [
+    // Standard email patterns
+    /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g,
+    // Common booking/info emails
+    /(?:booking|info|contact|events|music)@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/gi,
+    // mailto: links
+    /mailto:([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/gi
+  ];
+
+  const foundEmails = new Set();
+
+  for (const pattern of emailPatterns) {
+    const matches = content.match(pattern);
+    if (matches) {
+      matches.forEach(match => {
+        const email = cleanEmail(match);
+        if (email) foundEmails.add(email);
+      });
+    }
+  }
+
+  // Prioritize booking/info/contact emails
+  const emails = Array.from(foundEmails);
+  const priorityEmails = emails.filter(email =>
+    /^(booking|info|contact|events|music)@/.test(email)
+  );
+
+  return priorityEmails.length > 0 ? priorityEmails[0] : emails[0] || null;
+}
+
+// Extract phone number from website content
+function extractPhone(content) {
+  const phonePatterns = [
+    // Standard US phone patterns
+    /(?:phone|tel|call|contact)[:\s]*(\(\d{3}\)\s*\d{3}[-.\s]*\d{4})/gi,
+    /(?:phone|tel|call|contact)[:\s]*(\d{3}[-.\s]*\d{3}[-.\s]*\d{4})/gi,
+    // Standalone phone patterns
+    /\b(\(\d{3}\)\s*\d{3}[-.\s]*\d{4})\b/g,
+    /\b(\d{3}[-.\s]*\d{3}[-.\s]*\d{4})\b/g,
+    // tel: links
+    /tel:([+]?[\d\s\-\(\)\.]+)/gi,
+    // International formats
+    /\b(\+1[-.\s]*\d{3}[-.\s]*\d{3}[-.\s]*\d{4})\b/g
+  ];
+
+  const foundPhones = new Set();
+
+  for (const pattern of phonePatterns) {
+    const matches = content.match(pattern);
+    if (matches) {
+      matches.forEach(match => {
+        const phone = formatPhone(match.replace(/(?:phone|tel|call|contact)[:\s]*/gi, ''));
+        if (phone) foundPhones.add(phone);
+      });
+    }
+  }
+
+  const phones = Array.from(foundPhones);
+  return phones.length > 0 ? phones[0] : null;
+}
+
+// Extract capacity from website content
+function extractCapacity(content) {
+  const capacityPatterns = [
+    // Direct capacity mentions
+    /(?:capacity|seating|seats?|holds?)[:\s]*(\d{1,5})/gi,
+    /(\d{1,5})[:\s]*(?:capacity|person|people|guests?|seat|seating)/gi,
+    // Venue size descriptions
+    /(?:accommodates?|fits?|holds?)[:\s]*(?:up\s*to\s*)?(\d{1,5})/gi,
+    /(?:maximum|max)[:\s]*(?:capacity|occupancy|seating)[:\s]*(\d{1,5})/gi,
+    // Standing room / concert capacity
+    /(?:standing)[:\s]*(\d{1,5})/gi,
+    /(?:concert|show|event)[:\s]*capacity[:\s]*(\d{1,5})/gi,
+    // General occupancy
+    /(?:occupancy|maximum)[:\s]*(\d{1,5})/gi
+  ];
+
+  const foundCapacities = new Set();
+
+  for (const pattern of capacityPatterns) {
+    const matches = content.match(pattern);
+    if (matches) {
+      matches.forEach(match => {
+        // Extract the number from the match
+        const numbers = match.match(/\d{1,5}/g);
+        if (numbers) {
+          numbers.forEach(num => {
+            // Filter reasonable venue capacities (50-100,000)
+            const capacity = parseCapacity(num, 50, 100000);
+            if (capacity) foundCapacities.add(capacity);
+          });
+        }
+      });
+    }
+  }
+
+  if (foundCapacities.size === 0) return null;
+
+  // If multiple capacities found, prefer the largest reasonable one
+  const capacities = Array.from(foundCapacities).sort((a, b) => b - a);
+
+  // Filter out obviously wrong capacities (like years, phone numbers, etc.)
+  const reasonableCapacities = capacities.filter(cap => {
+    // Exclude numbers that look like years (2020-2030)
+    if (cap >= 2020 && cap <= 2030) return false;
+    // Exclude very specific numbers that might be phone/address fragments
+    if (cap.toString().length === 4 && cap > 3000) return false;
+    return true;
+  });
+
+  return reasonableCapacities.length > 0 ? reasonableCapacities[0] : null;
+}
+
+// Extract genres from website content, as canonical names from the genre taxonomy.
+// Whole words only, so "rap" isn't found in "graphic".
+function extractGenres(content) {
+  const genres = findGenresInText(content);
+  if (genres.length === 0) return null;
+
+  // Limit to reasonable number and join with semicolons
+  const maxGenres = 8;
+  return genres.slice(0, maxGenres).join('; ');
+}
+
+// Common phrases that look like two-word names
+const EXCLUDED_NAMES = [
+  'Contact Us', 'About Us', 'Follow Us', 'Join Us', 'Book Now', 'Learn More',
+  'Get Directions', 'Call Now', 'Email Us', 'Visit Us', 'Find Us', 'See All',
+  'Read More', 'View All', 'Book Here', 'Click Here', 'More Info', 'Full Menu',
+  'Live Music', 'Private Events', 'Special Events', 'Happy Hour', 'Open Mic',
+  'Karaoke Night', 'Trivia Night', 'Food Menu', 'Drink Menu', 'Wine List',
+  'Beer Selection', 'Event Space', 'Private Room', 'Gift Cards', 'Loyalty Program',
+  'Terms Conditions', 'Privacy Policy', 'Cookie Policy', 'Site Map', 'Home Page',
+  'Main Menu', 'Side Menu', 'Top Menu', 'Footer Menu', 'Header Menu',
+  'Social Media', 'Follow Social', 'New York', 'Los Angeles', 'San Francisco',
+  'United States', 'North America', 'South America', 'East Coast', 'West Coast'
+].map(name => name.toLowerCase());
+
+// A North Carolina street address with its town and ZIP code, as written in a
+// site's footer or contact page, e.g. "126 E. Cabarrus St, Raleigh, NC 27601"
+const STREET_ADDRESS = new RegExp([
+  /(?<!\d)\d{1,5}\s+(?:[NSEW]\.?\s+)?(?:[A-Z0-9][\w'.]*\s+){1,4}/.source,
+  /(?:St|Street|Ave|Avenue|Rd|Road|Dr|Drive|Blvd|Boulevard|Ln|Lane|Way|Pl|Place|Hwy|Highway|Pkwy|Parkway|Ct|Court|Sq|Square|Cir|Circle)\b\.?/.source,
+  /(?:,?\s+(?:Suite|Ste|Unit|#)\.?\s*[\w-]+)?,?\s+[A-Z][a-zA-Z]+(?:[\s-][A-Z][a-zA-Z]+){0,2},?\s+(?:NC|North Carolina)\s+\d{5}\b/.source
+].join(''));
+
+// Extract the venue's street address. The tags are replaced with spaces rather than
+// read as text, where a <br> or a new element between the street and the town would
+// run them together.
+function extractAddress(html) {
+  const text = html
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>|&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ');
+  const match = text.match(STREET_ADDRESS);
+  return match ? match[0].replace(/\s+,/g, ',') : null;
+}
+
+// Extract contact name from website content
+function extractContactName(content) {
+  const namePatterns = [
+    // Contact/booking manager patterns
+    /(?:contact|booking|manager|coordinator|director)[:\s]*([A-Z][a-z]+\s+[A-Z][a-z]+)/gi,
+    /(?:contact|booking)[:\s]*(?:person|manager|coordinator|director)[:\s]*[:\-\s]*([A-Z][a-z]+\s+[A-Z][a-z]+)/gi,
+
+    // Email signature patterns (name before email)
+    /([A-Z][a-z]+\s+[A-Z][a-z]+)[\s\r\n]*[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
+
+    // Phone signature patterns (name before phone)
+    /([A-Z][a-z]+\s+[A-Z][a-z]+)[\s\r\n]*\(?[\d\s\-\.\(\)]{10,}/g,
+
+    // General contact info patterns
+    /(?:for\s+(?:booking|info|contact))[:\s]*([A-Z][a-z]+\s+[A-Z][a-z]+)/gi,
+    /(?:reach\s+out\s+to|contact)[:\s]*([A-Z][a-z]+\s+[A-Z][a-z]+)/gi,
+
+    // Owner/proprietor patterns
+    /(?:owner|proprietor|founder)[:\s]*([A-Z][a-z]+\s+[A-Z][a-z]+)/gi,
+
+    // "Call/Email Name" patterns
+    /(?:call|email|text)[:\s]*([A-Z][a-z]+\s+[A-Z][a-z]+)/gi,
+
+    // Staff listings
+    /(?:staff|team|management)[:\s\r\n]*([A-Z][a-z]+\s+[A-Z][a-z]+)/gi
+  ];
+
+  const foundNames = new Set();
+
+  for (const pattern of namePatterns) {
+    const matches = content.match(pattern);
+    if (matches) {
+      matches.forEach(match => {
+        // Extract the name part from the match
+        const nameMatch = match.match(/([A-Z][a-z]+\s+[A-Z][a-z]+)/);
+        const name = nameMatch && cleanName(nameMatch[1]);
+
+        // Both words should be proper nouns, and not a common phrase
+        if (name && /^[A-Z][a-z]+ [A-Z][a-z]+$/.test(name) && !EXCLUDED_NAMES.includes(name.toLowerCase())) {
+          foundNames.add(name);
+        }
+      });
+    }
+  }
+
+  // If we found names, return the first one (they're usually the most relevant)
+  const names = Array.from(foundNames);
+  if (names.length > 0) {
+    // Prefer names that appear in context with "contact" or "booking"
+    const contextualNames = names.filter(name => {
+      const nameIndex = content.toLowerCase().indexOf(name.toLowerCase());
+      if (nameIndex === -1) return false;
+
+      const surroundingText = content.substring(
+        Math.max(0, nameIndex - 50),
+        Math.min(content.length, nameIndex + name.length + 50)
+      ).toLowerCase();
+
+      return /contact|booking|manager|coordinator|director|owner/.test(surroundingText);
+    });
+
+    return contextualNames.length > 0 ? contextualNames[0] : names[0];
+  }
+
+  return null;
+}
+
+// One extractor per field, each trusted as far as its patterns have proven reliable
+function patternExtractor(name, field, confidence, find) {
+  return {
+    name,
+    fields: [field],
+    extract: page => {
+      const value = find(page.content);
+      return value === null ? [] : [{ field, value, confidence }];
+    }
+  };
+}
+
+export const HEURISTIC_EXTRACTORS = [
+  patternExtractor('email-pattern', 'contact_email', 0.7, extractEmail),
+  patternExtractor('phone-pattern', 'contact_phone', 0.6, extractPhone),
+  patternExtractor('genre-keywords', 'typical_genres', 0.5, extractGenres),
+  patternExtractor('capacity-pattern', 'capacity', 0.4, extractCapacity),
+  patternExtractor('contact-name-pattern', 'contact_name', 0.3, extractContactName),
+  {
+    name: 'address-pattern',
+    fields: ['address'],
+    extract: page => {
+      const value = extractAddress(page.html);
+      return value === null ? [] : [{ field: 'address', value, confidence: 0.5 }];
+    }
+  }
+];
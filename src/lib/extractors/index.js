@@ -0,0 +1,139 @@
+import * as cheerio from 'cheerio';
+import { STRUCTURED_DATA_EXTRACTORS } from './structured-data.js';
+import { HEURISTIC_EXTRACTORS } from './heuristics.js';
+
+// Registry of extractors that pull venue details out of a web page, shared by the
+// scraper script and the run-scraper function. Extractors run in the order they
+// were registered: structured data first, then the pattern heuristics for
+// whatever is still missing.
+
+/**
+ * A fetched page, as every extractor sees it.
+ * @typedef {object} ExtractorPage
+ * @property {string} url
+ * @property {string} html
+ * @property {string} text Visible text
+ * @property {string} content HTML and text together, for pattern matching
+ * @property {import('cheerio').CheerioAPI} $ Parsed HTML
+ */
+
+/**
+ * @typedef {object} Extraction
+ * @property {string} field One of SCRAPED_FIELDS, or address
+ * @property {any} value In the form the directory stores it
+ * @property {number} confidence 0 to 1
+ */
+
+/**
+ * @typedef {object} Extractor
+ * @property {string} name
+ * @property {string[]} fields The fields it can find
+ * @property {(page: ExtractorPage, fields: string[]) => Extraction[]} extract Given the fields still wanted
+ */
+
+/**
+ * The value chosen for a field, and where it came from.
+ * @typedef {object} ExtractedValue
+ * @property {any} value
+ * @property {number} confidence
+ * @property {string} extractor
+ * @property {string} source_url
+ */
+
+// Directory fields the scraper looks for. Addresses can be extracted too, but only
+// discovered venues ask for them; the directory's are kept as they were entered.
+export const SCRAPED_FIELDS = ['contact_email', 'contact_phone', 'capacity', 'typical_genres', 'contact_name'];
+
+const extractors = [];
+
+/**
+ * Add an extractor. It runs after the ones already registered.
+ * @param {Extractor} extractor
+ */
+export function registerExtractor(extractor) {
+  if (extractors.some(registered => registered.name === extractor.name)) {
+    throw new Error(`Extractor already registered: ${extractor.name}`);
+  }
+  extractors.push(extractor);
+}
+
+export function getExtractors() {
+  return [...extractors];
+}
+
+[...STRUCTURED_DATA_EXTRACTORS, ...HEURISTIC_EXTRACTORS].forEach(registerExtractor);
+
+/**
+ * The scraped fields a venue doesn't have yet.
+ * @param {Record<string, any>} venue
+ */
+export function missingFields(venue) {
+  return SCRAPED_FIELDS.filter(field => !venue[field]);
+}
+
+/**
+ * @param {string} url
+ * @param {string} html
+ * @param {string} [text] Visible text, if the browser has it; otherwise taken from the HTML
+ * @returns {ExtractorPage}
+ */
+export function createExtractorPage(url, html, text) {
+  const $ = cheerio.load(html);
+  // Like a browser's innerText, leave out scripts and styles
+  const visibleText = text ?? $('body').clone().find('script, style, noscript').remove().end().text();
+  return { url, html, text: visibleText, content: `${html} ${visibleText}`, $ };
+}
+
+/**
+ * Run the registered extractors over a page. Each field gets the most confident
+ * value from the first extractor that finds one; later extractors only look for
+ * what's still missing.
+ * @param {ExtractorPage} page
+ * @param {string[]} [fields]
+ * @returns {Record<string, ExtractedValue>}
+ */
+export function extractVenueInfo(page, fields = SCRAPED_FIELDS) {
+  const found = {};
+
+  extractors.forEach(extractor => {
+    const wanted = extractor.fields.filter(field => fields.includes(field) && !found[field]);
+    if (wanted.length === 0) return;
+
+    extractor.extract(page, wanted)
+      .filter(({ field, value }) => wanted.includes(field) && value !== null && value !== undefined && value !== '')
+      .forEach(({ field, value, confidence }) => {
+        if (!found[field] || confidence > found[field].confidence) {
+          found[field] = { value, confidence, extractor: extractor.name, source_url: page.url };
+        }
+      });
+  });
+
+  return found;
+}
+
+/**
+ * Combine what was found on several pages, keeping the most confident value for each field.
+ * @param {...Record<string, ExtractedValue>} results
+ * @returns {Record<string, ExtractedValue>}
+ */
+export function mergeExtractions(...results) {
+  const merged = {};
+  results.forEach(result => {
+    Object.entries(result).forEach(([field, extracted]) => {
+      if (!merged[field] || extracted.confidence > merged[field].confidence) {
+        merged[field] = extracted;
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * A one-line summary of extracted values for the scraper logs.
+ * @param {Record<string, ExtractedValue>} found
+ */
+export function describeExtractions(found) {
+  return Object.entries(found)
+    .map(([field, { value, extractor, confidence }]) => `${field}: ${value} (${extractor}, ${Math.round(confidence * 100)}%)`)
+    .join(', ');
+}
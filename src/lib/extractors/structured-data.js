@@ -0,0 +1,216 @@
+import { findGenresInText } from '../genres.js';
+import { formatAddress } from '../address.js';
+import { cleanEmail, formatPhone, parseCapacity, cleanName } from './values.js';
+
+// Extractors for markup that says what it is: schema.org JSON-LD and microdata,
+// OpenGraph business tags and vCard (hCard) microformats. A site that publishes
+// these is telling us its details directly, so they're trusted well above the
+// pattern matching in heuristics.js.
+
+// schema.org types a venue's own page describes itself with
+const VENUE_SCHEMA_TYPES = new Set([
+  'MusicVenue', 'EventVenue', 'PerformingArtsTheater', 'StadiumOrArena', 'EntertainmentBusiness', 'NightClub',
+  'BarOrPub', 'Brewery', 'Winery', 'Distillery', 'FoodEstablishment', 'Restaurant', 'CafeOrCoffeeShop'
+]);
+// Types a venue may use too, but so does anything else on the page: an event's
+// organizer, the site selling its tickets, the company that built the site
+const GENERIC_SCHEMA_TYPES = new Set(['LocalBusiness', 'CivicStructure', 'Place', 'Organization']);
+// Taken off the confidence for a generic type, or a node nested in another one
+const INDIRECT_PENALTY = 0.15;
+
+// Booking contacts beat a venue's general address
+const BOOKING_CONTACT = /booking|talent|events|entertainment/i;
+const PERSON_NAME = /^[A-Z][a-zA-Z'.-]+(?:\s+[A-Z][a-zA-Z'.-]+)+$/;
+
+export function schemaTypes(node) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.filter(Boolean).map(type => String(type).replace(/^https?:\/\/schema\.org\//, ''));
+}
+
+/**
+ * How far to trust what a schema.org node says about the venue, or 0 if it's not
+ * the venue. The page's own top-level nodes describe the site; of the nodes nested
+ * in them, only venue types and an event's location are taken to be the venue.
+ * @param {{node: Record<string, any>, nested: boolean, property: string | null}} entry
+ * @param {number} confidence For the page's own node of a venue type
+ */
+function venueConfidence({ node, nested, property }, confidence) {
+  const types = schemaTypes(node);
+  const venueType = types.some(type => VENUE_SCHEMA_TYPES.has(type));
+  const genericType = types.some(type => GENERIC_SCHEMA_TYPES.has(type));
+  if (!nested) return venueType ? confidence : genericType ? confidence - INDIRECT_PENALTY : 0;
+  return venueType || (genericType && property === 'location') ? confidence - INDIRECT_PENALTY : 0;
+}
+
+// Extractions from the nodes that describe the venue, each at its confidence
+function venueExtractions(entries, confidence) {
+  return entries.flatMap(entry => {
+    const nodeConfidence = venueConfidence(entry, confidence);
+    return nodeConfidence > 0 ? schemaOrgExtractions(entry.node, nodeConfidence) : [];
+  });
+}
+
+function asList(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function text(value) {
+  if (value === null || value === undefined || typeof value === 'object') return null;
+  return String(value);
+}
+
+// A PostalAddress on one line; a locality without a street isn't enough to find the venue
+function postalAddress(value) {
+  const address = asList(value)[0];
+  if (typeof address === 'string') return address.replace(/\s+/g, ' ').trim() || null;
+  if (!address || typeof address !== 'object' || !text(address.streetAddress)) return null;
+  const part = key => (text(address[key]) || '').replace(/\s+/g, ' ').trim();
+  return formatAddress({ street: part('streetAddress'), city: part('addressLocality'), state: part('addressRegion'), zip: part('postalCode') });
+}
+
+function personName(value) {
+  const name = cleanName(text(value));
+  return name && PERSON_NAME.test(name) ? name : null;
+}
+
+/**
+ * What a schema.org venue node (from JSON-LD or microdata) says about the venue.
+ * @param {Record<string, any>} node
+ * @param {number} confidence For the venue's own properties; booking contacts get a little more
+ * @returns {import('./index.js').Extraction[]}
+ */
+function schemaOrgExtractions(node, confidence) {
+  const extractions = [];
+  const add = (field, value, fieldConfidence = confidence) => {
+    if (value !== null) extractions.push({ field, value, confidence: Math.round(fieldConfidence * 100) / 100 });
+  };
+
+  asList(node.email).forEach(email => add('contact_email', cleanEmail(text(email))));
+  asList(node.telephone).forEach(phone => add('contact_phone', formatPhone(text(phone))));
+  add('capacity', parseCapacity(text(node.maximumAttendeeCapacity)), confidence - 0.05);
+  add('address', postalAddress(node.address));
+
+  const genres = findGenresInText(asList(node.genre).map(text).filter(Boolean).join(', '));
+  if (genres.length > 0) add('typical_genres', genres.slice(0, 8).join('; '), confidence - 0.1);
+
+  asList(node.contactPoint).filter(point => point && typeof point === 'object').forEach(point => {
+    const booking = BOOKING_CONTACT.test(asList(point.contactType).map(text).join(' '));
+    const pointConfidence = booking ? Math.min(1, confidence + 0.05) : confidence;
+    asList(point.email).forEach(email => add('contact_email', cleanEmail(text(email)), pointConfidence));
+    asList(point.telephone).forEach(phone => add('contact_phone', formatPhone(text(phone)), pointConfidence));
+    add('contact_name', personName(point.name), pointConfidence - 0.1);
+  });
+
+  // Staff listed with a booking role
+  [...asList(node.employee), ...asList(node.member)]
+    .filter(person => person && typeof person === 'object' && BOOKING_CONTACT.test(text(person.jobTitle) || ''))
+    .forEach(person => add('contact_name', personName(person.name), confidence - 0.1));
+
+  return extractions;
+}
+
+// Every object in a page's JSON-LD, with the property it's under if it's nested in
+// another one. Objects in @graph are the page's own, like those at the top level.
+function jsonLdEntries($) {
+  const entries = [];
+  const visit = (value, nested, property) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, nested, property));
+    } else if (value && typeof value === 'object') {
+      entries.push({ node: value, nested, property });
+      Object.entries(value).forEach(([key, child]) => visit(child, nested || key !== '@graph', key));
+    }
+  };
+
+  $('script[type="application/ld+json"]').each((index, script) => {
+    try {
+      visit(JSON.parse($(script).text()), false, null);
+    } catch (error) {
+      // Hand-written JSON-LD is often invalid; skip that block and read the rest
+    }
+  });
+  return entries;
+}
+
+// Every object in a JSON-LD document, including ones nested in @graph, events' locations and so on
+export function jsonLdNodes($) {
+  return jsonLdEntries($).map(entry => entry.node);
+}
+
+function microdataValue($, element) {
+  const el = $(element);
+  const value = el.attr('content') ?? (el.is('a, link') ? el.attr('href') : el.is('data, meter') ? el.attr('value') : null);
+  return (value ?? el.text()).trim();
+}
+
+// A microdata item as a plain object, shaped like the JSON-LD it would be
+export function microdataItem($, scope) {
+  const item = { '@type': ($(scope).attr('itemtype') || '').split(/\s+/).filter(Boolean) };
+  $(scope).find('[itemprop]').each((index, element) => {
+    // Properties of nested items belong to those items
+    if ($(element).parent().closest('[itemscope]')[0] !== scope) return;
+    const value = $(element).is('[itemscope]') ? microdataItem($, element) : microdataValue($, element);
+    $(element).attr('itemprop').split(/\s+/).forEach(prop => {
+      item[prop] = item[prop] === undefined ? value : [...asList(item[prop]), value];
+    });
+  });
+  return item;
+}
+
+/** @type {import('./index.js').Extractor} */
+export const jsonLdExtractor = {
+  name: 'json-ld',
+  fields: ['contact_email', 'contact_phone', 'capacity', 'typical_genres', 'contact_name', 'address'],
+  extract: page => venueExtractions(jsonLdEntries(page.$), 0.9)
+};
+
+/** @type {import('./index.js').Extractor} */
+export const microdataExtractor = {
+  name: 'microdata',
+  fields: ['contact_email', 'contact_phone', 'capacity', 'typical_genres', 'contact_name', 'address'],
+  extract: page => venueExtractions(page.$('[itemscope][itemtype]').toArray().map(scope => {
+    // An item that's a property of another one is nested in it
+    const property = page.$(scope).attr('itemprop');
+    return { node: microdataItem(page.$, scope), nested: Boolean(property), property: property ? property.split(/\s+/)[0] : null };
+  }), 0.85)
+};
+
+// OpenGraph's business contact tags, and the og: variants some sites still use
+const OPENGRAPH_TAGS = {
+  contact_email: ['business:contact_data:email', 'og:email'],
+  contact_phone: ['business:contact_data:phone_number', 'og:phone_number']
+};
+
+/** @type {import('./index.js').Extractor} */
+export const openGraphExtractor = {
+  name: 'opengraph',
+  fields: ['contact_email', 'contact_phone'],
+  extract: page => Object.entries(OPENGRAPH_TAGS).flatMap(([field, properties]) => properties.map(property => {
+    const content = page.$(`meta[property="${property}"]`).attr('content');
+    const value = field === 'contact_email' ? cleanEmail(content) : formatPhone(content);
+    return { field, value, confidence: 0.8 };
+  })).filter(extraction => extraction.value !== null)
+};
+
+/** @type {import('./index.js').Extractor} */
+export const vcardExtractor = {
+  name: 'vcard',
+  fields: ['contact_email', 'contact_phone', 'contact_name'],
+  extract: page => {
+    const $ = page.$;
+    const extractions = [];
+    $('.vcard, .h-card').each((index, card) => {
+      const property = selector => $(card).find(selector).toArray().map(element => microdataValue($, element));
+      property('.email, .u-email').forEach(email => extractions.push({ field: 'contact_email', value: cleanEmail(email), confidence: 0.75 }));
+      property('.tel, .p-tel').forEach(phone => extractions.push({ field: 'contact_phone', value: formatPhone(phone), confidence: 0.75 }));
+      // A card's formatted name is often the venue itself; only people count as contacts
+      if (!$(card).is('.org, .p-org') && $(card).find('.fn.org, .p-name.p-org').length === 0) {
+        property('.fn, .p-name').forEach(name => extractions.push({ field: 'contact_name', value: personName(name), confidence: 0.6 }));
+      }
+    });
+    return extractions.filter(extraction => extraction.value !== null);
+  }
+};
+
+export const STRUCTURED_DATA_EXTRACTORS = [jsonLdExtractor, microdataExtractor, openGraphExtractor, vcardExtractor];
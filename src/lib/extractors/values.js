@@ -0,0 +1,55 @@
+// Cleans up raw values from web pages into the form the directory stores,
+// shared by the structured-data and pattern extractors.
+
+const EMAIL_PATTERN = /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/;
+
+/**
+ * A lowercased email address, or null for anything that isn't a usable one
+ * (no-reply and placeholder addresses included).
+ * @param {any} raw
+ */
+export function cleanEmail(raw) {
+  if (raw === null || raw === undefined) return null;
+  const email = raw.toString().replace(/^mailto:/i, '').split('?')[0].trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email) || email.includes('noreply') || email.includes('example')) return null;
+  return email;
+}
+
+/**
+ * A US phone number as "(919) 555-1234", or null if it doesn't have 10 digits
+ * (11 with a leading country code).
+ * @param {any} raw
+ */
+export function formatPhone(raw) {
+  if (raw === null || raw === undefined) return null;
+  const digits = raw.toString().replace(/^tel:/i, '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    return `(${digits.slice(1, 4)}) ${digits.slice(4, 7)}-${digits.slice(7)}`;
+  }
+  if (digits.length === 10) {
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+  }
+  return null;
+}
+
+/**
+ * A whole-number capacity within min and max, or null.
+ * @param {any} raw
+ * @param {number} [min]
+ * @param {number} [max]
+ */
+export function parseCapacity(raw, min = 1, max = 100000) {
+  if (raw === null || raw === undefined) return null;
+  const capacity = parseInt(raw.toString().replace(/,/g, ''), 10);
+  return capacity >= min && capacity <= max ? capacity : null;
+}
+
+/**
+ * A person's name with its whitespace tidied, or null if it's empty or too long to be one.
+ * @param {any} raw
+ */
+export function cleanName(raw) {
+  if (raw === null || raw === undefined) return null;
+  const name = raw.toString().replace(/\s+/g, ' ').trim();
+  return name.length > 3 && name.length < 40 ? name : null;
+}
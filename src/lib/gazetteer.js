@@ -0,0 +1,113 @@
+// Lookups over the bundled NC gazetteer (src/data/nc-gazetteer.json). The data is
+// passed in rather than read here, so the same code runs on the server and in the browser.
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * @typedef {object} GazetteerData
+ * @property {string} state
+ * @property {Record<string, [number, number]>} places Town name to [lat, lng]
+ * @property {Record<string, string>} aliases Neighbourhood or alternate spelling to town name
+ * @property {Record<string, [number, number, string]>} zips ZIP to [lat, lng, town]
+ */
+
+/**
+ * @typedef {object} Place
+ * @property {string} name
+ * @property {number} lat
+ * @property {number} lng
+ */
+
+// Folded name for lookups, so case, hyphens, periods and a trailing "area" don't matter
+export function placeKey(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[.']/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/ area$/, '')
+    .trim();
+}
+
+/**
+ * Great-circle distance in miles.
+ * @param {{ lat: number, lng: number }} from
+ * @param {{ lat: number, lng: number }} to
+ */
+export function distanceMiles(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * @param {GazetteerData} data
+ */
+export function createGazetteer(data) {
+  const index = new Map();
+  Object.keys(data.places).forEach(place => index.set(placeKey(place), place));
+  Object.entries(data.aliases).forEach(([alias, place]) => index.set(placeKey(alias), place));
+  // Names run together too, as in host names such as visitwinstonsalem.com
+  [...index].forEach(([key, place]) => {
+    if (!index.has(key.replace(/ /g, ''))) index.set(key.replace(/ /g, ''), place);
+  });
+
+  /**
+   * Canonical town name for a town, neighbourhood or alias, or null if unknown.
+   * @param {string} name
+   * @returns {string | null}
+   */
+  function resolvePlace(name) {
+    return index.get(placeKey(name)) || null;
+  }
+
+  return {
+    state: data.state,
+    resolvePlace,
+
+    /** @param {string} zip */
+    zipCity(zip) {
+      return data.zips[zip] ? data.zips[zip][2] : '';
+    },
+
+    /**
+     * Coordinates for a ZIP code, falling back to the town's centroid.
+     * @param {{ zip?: string, city?: string }} place
+     * @returns {{ lat: number, lng: number, precision: 'zip' | 'place' } | null}
+     */
+    geocode({ zip = '', city = '' }) {
+      if (data.zips[zip]) {
+        const [lat, lng] = data.zips[zip];
+        return { lat, lng, precision: 'zip' };
+      }
+      const place = resolvePlace(city);
+      if (place) {
+        const [lat, lng] = data.places[place];
+        return { lat, lng, precision: 'place' };
+      }
+      return null;
+    },
+
+    /**
+     * A town name or ZIP as typed by a user, e.g. "Asheville", "asheville, nc" or "28801".
+     * @param {string} query
+     * @returns {Place | null}
+     */
+    locate(query) {
+      const text = (query || '').trim();
+      const zip = text.match(/^\d{5}$/);
+      if (zip) {
+        if (!data.zips[text]) return null;
+        const [lat, lng, town] = data.zips[text];
+        return { name: `${text} (${town})`, lat, lng };
+      }
+
+      const place = resolvePlace(text.replace(/,?\s*(nc|north carolina)$/i, ''));
+      if (!place) return null;
+      const [lat, lng] = data.places[place];
+      return { name: place, lat, lng };
+    }
+  };
+}
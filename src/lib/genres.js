@@ -0,0 +1,204 @@
+// Genre taxonomy: canonical genres, the spellings and synonyms that map onto them,
+// and their parents (Thrash Metal → Metal → Rock). Venue genres are stored as
+// canonical names, so every writer (CSV import, uploads, the scraper) goes through
+// normalizeGenreText(). Pure functions only, so the directory page can use it too.
+
+/**
+ * @typedef {object} GenreDefinition
+ * @property {string} name Canonical name, as shown in the directory
+ * @property {string} [parent] Canonical name of the broader genre
+ * @property {string[]} [synonyms] Other spellings that mean the same genre
+ */
+
+/** @type {GenreDefinition[]} */
+export const GENRES = [
+  { name: 'Rock', synonyms: ['rock and roll', 'rock n roll', "rock 'n' roll"] },
+  { name: 'Alternative', parent: 'Rock', synonyms: ['alt rock', 'alternative rock', 'alt-rock'] },
+  { name: 'Classic Rock', parent: 'Rock' },
+  { name: 'Hard Rock', parent: 'Rock' },
+  { name: 'Indie Rock', parent: 'Rock' },
+  { name: 'Soft Rock', parent: 'Rock' },
+  { name: 'Punk', parent: 'Rock', synonyms: ['punk rock'] },
+  { name: 'Goth', parent: 'Alternative', synonyms: ['gothic', 'darkwave'] },
+  { name: 'Metal', parent: 'Rock', synonyms: ['heavy metal'] },
+  { name: 'Black Metal', parent: 'Metal' },
+  { name: 'Death Metal', parent: 'Metal' },
+  { name: 'Thrash Metal', parent: 'Metal', synonyms: ['thrash'] },
+  { name: 'Indie' },
+  { name: 'Pop' },
+  { name: 'Country' },
+  { name: 'Bluegrass', parent: 'Country' },
+  { name: 'Americana', synonyms: ['roots', 'roots music'] },
+  { name: 'Folk' },
+  { name: 'Old-Time', parent: 'Folk', synonyms: ['old time', 'oldtime', 'traditional'] },
+  { name: 'Singer-Songwriter', parent: 'Folk', synonyms: ['singer songwriter', 'singer/songwriter'] },
+  { name: 'Celtic', parent: 'Folk', synonyms: ['irish', 'irish folk', 'celtic music'] },
+  { name: 'Acoustic' },
+  { name: 'Blues' },
+  { name: 'Jazz' },
+  { name: 'Soul' },
+  { name: 'R&B', synonyms: ['rnb', 'r and b', 'rhythm and blues'] },
+  { name: 'Funk' },
+  { name: 'Hip Hop', synonyms: ['hip-hop', 'hiphop', 'rap'] },
+  { name: 'Electronic', synonyms: ['electronica', 'edm', 'dance music', 'dance'] },
+  { name: 'House', parent: 'Electronic', synonyms: ['house music'] },
+  { name: 'Techno', parent: 'Electronic' },
+  { name: 'Dubstep', parent: 'Electronic' },
+  { name: 'Reggae' },
+  { name: 'World', synonyms: ['world music'] },
+  { name: 'Latin', synonyms: ['latin music', 'salsa'] },
+  { name: 'Classical' },
+  { name: 'Christian', synonyms: ['christian music', 'worship'] },
+  { name: 'Gospel', parent: 'Christian' },
+  // Venues that book a bit of everything
+  { name: 'Variety', synonyms: ['eclectic', 'diverse', 'all genres', 'various', 'all styles'] }
+];
+
+// Booking notes rather than genres. "All genres (excl. ...)" describes what a venue
+// won't book, so it is dropped before the list is split.
+const EXCLUDED_PATTERNS = [/\ball genres\s*\(excl[^)]*\)?/gi];
+const EXCLUDED_TERMS = [
+  'live music', 'touring acts', 'mid-size touring acts', 'major acts', 'local bands', 'original music', 'cover bands'
+];
+
+// Folded spelling for lookups, so case, "&"/"and" and punctuation don't matter
+function genreKey(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const BY_NAME = new Map(GENRES.map(genre => [genre.name, genre]));
+const BY_KEY = new Map();
+GENRES.forEach(genre => {
+  [genre.name, ...(genre.synonyms || [])].forEach(spelling => BY_KEY.set(genreKey(spelling), genre.name));
+});
+const EXCLUDED_KEYS = new Set(EXCLUDED_TERMS.map(genreKey));
+
+// Spellings too common in ordinary prose to count as a genre when scanning a web page
+const PAGE_TEXT_IGNORED = new Set(['dance', 'traditional', 'roots', 'diverse', 'various', 'worship'].map(genreKey));
+
+function titleCase(text) {
+  return text.toLowerCase().replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Canonical name for one genre, null for an excluded term, or the title-cased
+ * original if the taxonomy doesn't know it.
+ * @param {string} genre
+ * @returns {string | null}
+ */
+export function canonicalGenre(genre) {
+  const key = genreKey(genre);
+  if (!key || EXCLUDED_KEYS.has(key)) return null;
+  return BY_KEY.get(key) || titleCase(genre.trim());
+}
+
+/**
+ * @param {string} genre
+ */
+export function isKnownGenre(genre) {
+  return BY_NAME.has(genre);
+}
+
+/**
+ * Canonical genres from a free-text list such as "Rock; Alt Rock, live music".
+ * Labels like "Eclectic: bluegrass" are split into their parts.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function normalizeGenres(text) {
+  const cleaned = EXCLUDED_PATTERNS.reduce((rest, pattern) => rest.replace(pattern, ';'), text || '');
+  const genres = cleaned.split(/[;,:|\n]/).map(canonicalGenre).filter(Boolean);
+  return [...new Set(genres)];
+}
+
+/**
+ * The stored form of a genre list: canonical names joined with "; ".
+ * @param {string} text
+ */
+export function normalizeGenreText(text) {
+  return normalizeGenres(text).join('; ');
+}
+
+/**
+ * Genres in a list that aren't in the taxonomy, for upload warnings.
+ * @param {string} text
+ */
+export function unknownGenres(text) {
+  return normalizeGenres(text).filter(genre => !isKnownGenre(genre));
+}
+
+/**
+ * Broader genres, nearest first, e.g. Thrash Metal → ['Metal', 'Rock'].
+ * @param {string} genre
+ * @returns {string[]}
+ */
+export function genreAncestors(genre) {
+  const ancestors = [];
+  for (let parent = BY_NAME.get(genre)?.parent; parent && !ancestors.includes(parent); parent = BY_NAME.get(parent)?.parent) {
+    ancestors.push(parent);
+  }
+  return ancestors;
+}
+
+/**
+ * A venue's genres plus every broader genre, so filtering on Rock finds Thrash Metal venues.
+ * @param {string[]} genres Canonical names
+ */
+export function expandGenres(genres) {
+  return [...new Set(genres.flatMap(genre => [genre, ...genreAncestors(genre)]))];
+}
+
+/**
+ * How deep a genre sits in the hierarchy; top-level genres are 0.
+ * @param {string} genre
+ */
+export function genreDepth(genre) {
+  return genreAncestors(genre).length;
+}
+
+/**
+ * Sort genres into taxonomy order, each parent followed by its children,
+ * with genres the taxonomy doesn't know last in alphabetical order.
+ * @param {string[]} genres
+ */
+export function sortGenres(genres) {
+  const order = new Map();
+  const visit = name => {
+    order.set(name, order.size);
+    GENRES.filter(genre => genre.parent === name).forEach(genre => visit(genre.name));
+  };
+  GENRES.filter(genre => !genre.parent).forEach(genre => visit(genre.name));
+
+  return [...genres].sort((a, b) => {
+    const orderA = order.has(a) ? order.get(a) : Infinity;
+    const orderB = order.has(b) ? order.get(b) : Infinity;
+    return orderA !== orderB ? orderA - orderB : a.localeCompare(b);
+  });
+}
+
+/**
+ * Canonical genres mentioned anywhere in a block of text, e.g. a venue's web page.
+ * Longer spellings are matched first, so "hard rock" isn't also counted as "rock".
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function findGenresInText(content) {
+  const spellings = [...BY_KEY.keys()]
+    .filter(spelling => !PAGE_TEXT_IGNORED.has(spelling))
+    .sort((a, b) => b.length - a.length);
+  let text = ` ${genreKey(content)} `;
+  const found = new Set();
+
+  spellings.forEach(spelling => {
+    const needle = ` ${spelling} `;
+    if (text.includes(needle)) {
+      found.add(BY_KEY.get(spelling));
+      text = text.split(needle).join('  ');
+    }
+  });
+  return sortGenres([...found]);
+}
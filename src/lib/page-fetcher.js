@@ -0,0 +1,214 @@
+import { createExtractorPage, extractVenueInfo, mergeExtractions } from './extractors/index.js';
+import { createPoliteFetcher, RobotsDisallowedError, RobotsUnavailableError } from './polite-fetch.js';
+
+// Fetches venue pages for the scraper script and the run-scraper function. A plain
+// HTTP request parsed with cheerio is tried first; the headless browser is only
+// launched for pages that need JavaScript to show their content, or when the
+// static page didn't have the contact details we're after.
+
+/** @typedef {'http' | 'browser'} FetchMethod */
+
+/**
+ * @typedef {object} ScrapeResult
+ * @property {Record<string, import('./extractors/index.js').ExtractedValue>} found
+ * @property {FetchMethod} method How the page that gave the results was fetched
+ * @property {string} [reason] Why the browser was needed, when it was
+ * @property {import('./extractors/index.js').ExtractorPage} [page] The page as last fetched
+ */
+
+// Without one of these, the static page is worth a second look in the browser
+const KEY_FIELDS = ['contact_email', 'contact_phone'];
+
+// Empty elements that client-side frameworks render into
+const APP_ROOTS = '#root, #app, #__next, #___gatsby, [data-reactroot], [ng-app], [data-server-rendered]';
+const MIN_VISIBLE_TEXT = 200;
+
+export class PageFetchError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status] The HTTP status the page was answered with, if any
+   */
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Fetch a page over plain HTTP.
+ * @param {ReturnType<typeof createPoliteFetcher>} http
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeout] In milliseconds
+ * @returns {Promise<import('./extractors/index.js').ExtractorPage>}
+ */
+export async function fetchStaticPage(http, url, { timeout = 10000 } = {}) {
+  const response = await http.fetch(url, { timeout });
+
+  if (!response.ok) {
+    throw new PageFetchError(`HTTP ${response.status}`, response.status);
+  }
+  if (response.contentType && !/html/i.test(response.contentType)) {
+    throw new PageFetchError(`Not an HTML page (${response.contentType.split(';')[0]})`);
+  }
+
+  return createExtractorPage(response.url, response.text);
+}
+
+/**
+ * Load a page in the headless browser, with images and stylesheets blocked for speed.
+ * @param {import('puppeteer').Browser} browser
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeout] In milliseconds
+ * @param {string} [options.userAgent]
+ * @returns {Promise<import('./extractors/index.js').ExtractorPage>}
+ */
+export async function fetchBrowserPage(browser, url, { timeout = 10000, userAgent } = {}) {
+  const page = await browser.newPage();
+
+  try {
+    if (userAgent) await page.setUserAgent(userAgent);
+    await page.setViewport({ width: 1280, height: 720 });
+
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      if (req.resourceType() === 'stylesheet' || req.resourceType() === 'image') {
+        req.abort();
+      } else {
+        req.continue();
+      }
+    });
+
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+
+    const content = await page.content();
+    const text = await page.evaluate(() => document.body.innerText || '');
+    return createExtractorPage(page.url() || url, content, text);
+  } finally {
+    try {
+      await page.close();
+    } catch (e) {
+      // Ignore close errors
+    }
+  }
+}
+
+/**
+ * Whether a statically fetched page probably needs JavaScript to show its content:
+ * next to no visible text, with scripts that would render it.
+ * @param {import('./extractors/index.js').ExtractorPage} page
+ */
+export function looksJsRendered(page) {
+  const $ = page.$;
+  const visibleText = page.text.replace(/\s+/g, ' ').trim();
+  if (visibleText.length >= MIN_VISIBLE_TEXT) return false;
+
+  const hasScripts = $('script[src], script:not([type="application/ld+json"])').length > 0;
+  const emptyAppRoot = $(APP_ROOTS).toArray().some(element => $(element).text().trim().length === 0);
+  const asksForJavaScript = /enable javascript|requires javascript|javascript is (disabled|required)/i.test($('noscript').text());
+
+  return hasScripts && (emptyAppRoot || asksForJavaScript || visibleText.length < MIN_VISIBLE_TEXT / 4);
+}
+
+/**
+ * A fetcher that tries plain HTTP first and the browser only when it has to. The
+ * browser is launched the first time it's needed and reused after that. Both go
+ * through the same polite fetcher, so robots.txt and each host's rate limit apply
+ * to browser page loads too.
+ * @param {object} options
+ * @param {() => Promise<import('puppeteer').Browser>} options.launchBrowser
+ * @param {ReturnType<typeof createPoliteFetcher>} [options.http]
+ * @param {number} [options.timeout] Per page, in milliseconds
+ * @param {(message: string) => void} [options.log]
+ */
+export function createTieredFetcher({ launchBrowser, timeout = 10000, log = () => {}, http = createPoliteFetcher({ log }) }) {
+  let browser = null;
+  const counts = { http: 0, browser: 0 };
+
+  const getBrowser = async () => {
+    if (!browser) {
+      // A failed launch is tried again next time
+      browser = launchBrowser().catch(error => {
+        browser = null;
+        throw error;
+      });
+    }
+    return browser;
+  };
+
+  /**
+   * Fetch a page and run the extractors over it.
+   * @param {string} url
+   * @param {string[]} fields Fields still wanted
+   * @param {object} [options]
+   * @param {boolean} [options.checkKeyFields] Use the browser if the static page has no email or
+   *   phone. Turn off once another page on the site has given them.
+   * @returns {Promise<ScrapeResult>}
+   */
+  const scrape = async (url, fields, { checkKeyFields = true } = {}) => {
+    let staticPage = null;
+    let staticError = null;
+    let staticFound = {};
+    let reason;
+
+    try {
+      staticPage = await fetchStaticPage(http, url, { timeout });
+      if (looksJsRendered(staticPage)) {
+        reason = 'page is rendered with JavaScript';
+      } else {
+        staticFound = extractVenueInfo(staticPage, fields);
+        const wantedKeys = checkKeyFields ? KEY_FIELDS.filter(field => fields.includes(field)) : [];
+        if (wantedKeys.length > 0 && !wantedKeys.some(field => staticFound[field])) {
+          reason = `no ${wantedKeys.join(' or ').replace(/contact_/g, '')} in the static page`;
+        }
+      }
+    } catch (error) {
+      // The browser has to respect robots.txt too
+      if (error instanceof RobotsDisallowedError || error instanceof RobotsUnavailableError) throw error;
+      staticError = error;
+      reason = `static fetch failed: ${error.name === 'TimeoutError' ? 'timed out' : error.message}`;
+    }
+
+    if (!reason) {
+      counts.http++;
+      return { found: staticFound, method: 'http', page: staticPage };
+    }
+
+    log(`Using the browser for ${url}: ${reason}`);
+    let browserPage;
+    try {
+      const launched = await getBrowser();
+      browserPage = await http.schedule(url, () => fetchBrowserPage(launched, url, { timeout, userAgent: http.userAgent }));
+    } catch (error) {
+      // The static page is still better than nothing. Without one, the status the site
+      // answered with says more than why the browser failed.
+      if (!staticPage || looksJsRendered(staticPage)) throw staticError?.status ? staticError : error;
+      log(`Browser failed for ${url}, keeping the static page: ${error.message}`);
+      counts.http++;
+      return { found: staticFound, method: 'http', page: staticPage };
+    }
+    counts.browser++;
+    // Anything the static page had still counts, if the browser didn't find better
+    const found = mergeExtractions(staticFound, extractVenueInfo(browserPage, fields));
+    return { found, method: 'browser', reason, page: browserPage };
+  };
+
+  return {
+    scrape,
+    http,
+    /** Pages fetched by each method so far */
+    counts: () => ({ ...counts }),
+    close: async () => {
+      if (browser) {
+        const launched = browser;
+        browser = null;
+        try {
+          await (await launched).close();
+        } catch (e) {
+          // Ignore close errors
+        }
+      }
+    }
+  };
+}
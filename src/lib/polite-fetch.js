@@ -0,0 +1,333 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// The HTTP layer every scraper request goes through, from the scraper script and the
+// run-scraper function alike. It identifies itself, honours robots.txt and its
+// Crawl-delay, sends one request at a time to each host with a pause in between,
+// and keeps pages with an ETag or Last-Modified on disk so the next run only has
+// to ask whether they've changed.
+
+export const DEFAULT_USER_AGENT = 'NCMusicVenuesBot/1.0 (+https://github.com/sullysaurus/nc-music-venues)';
+
+const DEFAULT_MIN_DELAY_MS = 1000;
+// A Crawl-delay longer than this is capped rather than stalling the whole run
+const MAX_CRAWL_DELAY_MS = 30000;
+// Redirects are followed one hop at a time, each going through robots.txt and the
+// host's queue like any other request
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * @typedef {object} FetchedResponse
+ * @property {string} url After redirects
+ * @property {number} status 200 for a page served from the cache after a 304
+ * @property {boolean} ok
+ * @property {string} contentType
+ * @property {string} text
+ * @property {boolean} fromCache The server said the cached copy is still current
+ */
+
+/**
+ * @typedef {object} RobotsRules
+ * @property {(pathAndQuery: string) => boolean} isAllowed
+ * @property {number | null} crawlDelay In seconds, if the site sets one
+ * @property {string[]} sitemaps
+ * @property {{status: number | null, message: string}} [error] Why robots.txt couldn't be read, when that blocks the site
+ */
+
+export class RobotsDisallowedError extends Error {}
+// robots.txt timed out, errored or the site didn't answer; worth trying again later
+export class RobotsUnavailableError extends Error {}
+
+export function resolveUserAgent() {
+  return process.env.SCRAPER_USER_AGENT || DEFAULT_USER_AGENT;
+}
+
+export function resolveCacheDir() {
+  return process.env.SCRAPER_CACHE_DIR || path.join(process.cwd(), '.cache/http');
+}
+
+// A robots.txt path pattern: * matches anything and a trailing $ anchors the end
+function robotsPattern(rule) {
+  const anchored = rule.endsWith('$');
+  const source = (anchored ? rule.slice(0, -1) : rule)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * The rules in a robots.txt that apply to us: the group naming our bot if there is
+ * one, otherwise the * group. The longest matching rule wins, and Allow wins a tie.
+ * @param {string} text
+ * @param {string} userAgent
+ * @returns {RobotsRules}
+ */
+export function parseRobots(text, userAgent) {
+  const token = userAgent.split('/')[0].trim().toLowerCase();
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let inAgentLines = false;
+
+  (text || '').split(/\r?\n/).forEach(line => {
+    const match = line.replace(/#.*$/, '').match(/^\s*([a-z-]+)\s*:\s*(.*?)\s*$/i);
+    if (!match) return;
+    const [, key, value] = match;
+
+    switch (key.toLowerCase()) {
+      case 'user-agent':
+        // Consecutive User-agent lines share one group
+        if (!inAgentLines) {
+          group = { agents: [], rules: [], crawlDelay: null };
+          groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+        inAgentLines = true;
+        return;
+      case 'allow':
+      case 'disallow':
+        if (group && value) group.rules.push({ allow: key.toLowerCase() === 'allow', length: value.length, pattern: robotsPattern(value) });
+        break;
+      case 'crawl-delay':
+        if (group && !isNaN(parseFloat(value))) group.crawlDelay = parseFloat(value);
+        break;
+      case 'sitemap':
+        if (value) sitemaps.push(value);
+        break;
+    }
+    inAgentLines = false;
+  });
+
+  const ours = groups.filter(({ agents }) => agents.some(agent => agent !== '*' && token.includes(agent)));
+  const applicable = ours.length > 0 ? ours : groups.filter(({ agents }) => agents.includes('*'));
+  const rules = applicable.flatMap(({ rules }) => rules);
+  const delays = applicable.map(({ crawlDelay }) => crawlDelay).filter(delay => delay !== null);
+
+  return {
+    isAllowed: pathAndQuery => {
+      let best = null;
+      rules.forEach(rule => {
+        if (!rule.pattern.test(pathAndQuery)) return;
+        if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) best = rule;
+      });
+      return !best || best.allow;
+    },
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps
+  };
+}
+
+const ALLOW_ALL = parseRobots('', DEFAULT_USER_AGENT);
+const DISALLOW_ALL = parseRobots('User-agent: *\nDisallow: /', DEFAULT_USER_AGENT);
+
+/**
+ * A fetcher with its own robots.txt cache and per-host queues. Share one across a
+ * run so every request to a host waits its turn.
+ * @param {object} [options]
+ * @param {string} [options.userAgent]
+ * @param {number} [options.minDelay] Between requests to the same host, in milliseconds
+ * @param {number} [options.concurrencyPerHost]
+ * @param {string | null} [options.cacheDir] null to keep nothing on disk
+ * @param {(message: string) => void} [options.log]
+ */
+export function createPoliteFetcher({
+  userAgent = resolveUserAgent(),
+  minDelay = DEFAULT_MIN_DELAY_MS,
+  concurrencyPerHost = 1,
+  cacheDir = resolveCacheDir(),
+  log = () => {}
+} = {}) {
+  const hosts = new Map();
+  const robotsByOrigin = new Map();
+
+  const hostState = host => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, waiting: [], nextAt: 0, delay: minDelay, timer: null });
+    return hosts.get(host);
+  };
+
+  // Start the next waiting request for a host, if it's allowed one yet
+  const next = state => {
+    if (state.active >= concurrencyPerHost || state.waiting.length === 0 || state.timer) return;
+    const wait = state.nextAt - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        next(state);
+      }, wait);
+      return;
+    }
+    state.active++;
+    state.nextAt = Date.now() + state.delay;
+    state.waiting.shift()();
+  };
+
+  /**
+   * Run a request to a URL's host when the host's limits allow it. For requests made
+   * some other way, such as by the headless browser.
+   * @template T
+   * @param {string} url
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  const schedule = async (url, task) => {
+    const state = hostState(new URL(url).host);
+    await new Promise(resolve => {
+      state.waiting.push(resolve);
+      next(state);
+    });
+    try {
+      return await task();
+    } finally {
+      state.active--;
+      next(state);
+    }
+  };
+
+  const cacheFile = url => path.join(cacheDir, `${crypto.createHash('sha1').update(url).digest('hex')}.json`);
+
+  const readCache = async url => {
+    if (!cacheDir) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(cacheFile(url), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const writeCache = async (url, entry) => {
+    if (!cacheDir) return;
+    try {
+      await fs.promises.mkdir(cacheDir, { recursive: true });
+      await fs.promises.writeFile(cacheFile(url), JSON.stringify(entry));
+    } catch (error) {
+      // A read-only filesystem just means no cache
+    }
+  };
+
+  /**
+   * One request, without following a redirect; location is where one points.
+   * @returns {Promise<{fetched: FetchedResponse, location: string | null}>}
+   */
+  const requestOnce = (url, { timeout = 10000, accept = 'text/html,application/xhtml+xml' } = {}) => schedule(url, async () => {
+    const cached = await readCache(url);
+    const headers = { 'User-Agent': userAgent, Accept: accept };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const response = await fetch(url, { headers, redirect: 'manual', signal: AbortSignal.timeout(timeout) });
+
+    if (response.status === 304 && cached) {
+      return { fetched: { url: cached.url, status: 200, ok: true, contentType: cached.contentType, text: cached.text, fromCache: true }, location: null };
+    }
+
+    const location = REDIRECT_STATUSES.includes(response.status) && response.headers.get('location');
+    if (location) {
+      await response.body?.cancel();
+      return { fetched: { url, status: response.status, ok: false, contentType: '', text: '', fromCache: false }, location: new URL(location, url).href };
+    }
+
+    const fetched = {
+      url,
+      status: response.status,
+      ok: response.ok,
+      contentType: response.headers.get('content-type') || '',
+      text: await response.text(),
+      fromCache: false
+    };
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    if (response.ok && (etag || lastModified)) {
+      await writeCache(url, { url: fetched.url, contentType: fetched.contentType, text: fetched.text, etag, lastModified });
+    }
+    return { fetched, location: null };
+  });
+
+  /**
+   * Fetch a URL, following its redirects. Each hop is checked first (by robots.txt,
+   * for pages) and waits its turn with its own host.
+   * @param {string} url
+   * @param {object} options
+   * @param {(url: string) => Promise<void>} checkHop Throws to stop at a hop
+   * @returns {Promise<FetchedResponse>}
+   */
+  const request = async (url, options, checkHop = async () => {}) => {
+    let next = url;
+    for (let hops = 0; hops <= MAX_REDIRECTS; hops++) {
+      await checkHop(next);
+      const { fetched, location } = await requestOnce(next, options);
+      if (!location) return fetched;
+      next = location;
+    }
+    throw new Error(`Too many redirects from ${url}`);
+  };
+
+  /**
+   * The robots.txt rules for a URL's site, fetched once per run. A missing robots.txt
+   * allows everything; one that errors blocks the site, and is asked for again by the
+   * next fetch from the site.
+   * @param {string} url
+   * @returns {Promise<RobotsRules>}
+   */
+  const robots = url => {
+    const { origin, host } = new URL(url);
+    if (!robotsByOrigin.has(origin)) {
+      robotsByOrigin.set(origin, (async () => {
+        let rules;
+        try {
+          const response = await request(`${origin}/robots.txt`, { timeout: 5000, accept: 'text/plain' });
+          rules = response.ok ? parseRobots(response.text, userAgent)
+            : response.status >= 500 ? { ...DISALLOW_ALL, error: { status: response.status, message: `HTTP ${response.status}` } }
+            : ALLOW_ALL;
+          if (response.status >= 500) log(`robots.txt for ${host} failed with HTTP ${response.status}; skipping the site for now`);
+        } catch (error) {
+          log(`Couldn't read robots.txt for ${host} (${error.message}); skipping the site for now`);
+          // The cause says whether the domain didn't resolve, refused the connection, ...
+          rules = { ...DISALLOW_ALL, error: { status: null, message: error.cause?.code || (error.name === 'TimeoutError' ? 'timed out' : error.message) } };
+        }
+        if (rules.crawlDelay) {
+          const delay = Math.min(rules.crawlDelay * 1000, MAX_CRAWL_DELAY_MS);
+          hostState(host).delay = Math.max(minDelay, delay);
+        }
+        return rules;
+      })());
+    }
+    return robotsByOrigin.get(origin);
+  };
+
+  /**
+   * Whether robots.txt lets us fetch a URL.
+   * @param {string} url
+   */
+  const allowed = async url => {
+    const { pathname, search } = new URL(url);
+    return (await robots(url)).isAllowed(`${pathname}${search}`);
+  };
+
+  /**
+   * Fetch a URL if robots.txt allows it, and each redirect from it if the site it
+   * leads to allows that. Throws RobotsDisallowedError if one doesn't, or
+   * RobotsUnavailableError if robots.txt couldn't be read.
+   * @param {string} url
+   * @param {object} [options]
+   * @param {number} [options.timeout] In milliseconds
+   * @param {string} [options.accept]
+   * @returns {Promise<FetchedResponse>}
+   */
+  const politeFetch = (url, options) => request(url, options, async hop => {
+    const { origin, host } = new URL(hop);
+    const rules = await robots(hop);
+    if (rules.error) {
+      // Read it again for the next attempt rather than keeping the site blocked
+      robotsByOrigin.delete(origin);
+      throw new RobotsUnavailableError(`Couldn't read robots.txt for ${host} (${rules.error.message})`);
+    }
+    if (!(await allowed(hop))) {
+      throw new RobotsDisallowedError(`robots.txt disallows ${hop}`);
+    }
+  });
+
+  return { fetch: politeFetch, allowed, robots, schedule, userAgent };
+}
@@ -0,0 +1,101 @@
+import { VENUE_FIELDS, validateRecord } from './venue-schema.js';
+import { DEFAULT_CONFIDENCE } from './provenance.js';
+
+// Scraped values don't go straight into the directory. Each one waits in the
+// proposed_changes collection until it's approved, edited or rejected on /admin,
+// and only approved values are written to the venue.
+
+export const REVIEW_ACTIONS = ['approve', 'reject'];
+
+// Problems with a review itself, as opposed to the value being approved
+export class ProposalReviewError extends Error {}
+
+// A value as the venue would store it, so it can be compared with what's there,
+// and whether the venue would accept it at all
+function storedValue(field, value) {
+  const { record, errors } = validateRecord({ [field]: VENUE_FIELDS[field] }, { [field]: value });
+  return { value: record[field], valid: errors.length === 0 };
+}
+
+/**
+ * Queue scraped values for a venue. Values the venue wouldn't accept, already has,
+ * or that are already waiting or were rejected, aren't queued; a different value
+ * for a field that's waiting replaces it.
+ * @param {*} tx Venue store transaction
+ * @param {string} venueId
+ * @param {Record<string, import('./extractors/index.js').ExtractedValue>} found Scraped values by field
+ * @returns {number} How many proposals were added or replaced
+ */
+export function proposeChanges(tx, venueId, found) {
+  const venue = tx.find('venues', venueId);
+  if (!venue) return 0;
+
+  const proposals = tx.all('proposed_changes').filter(proposal => proposal.venue_id === venueId);
+  let count = 0;
+
+  Object.entries(found).forEach(([field, extracted]) => {
+    const { value, valid } = storedValue(field, extracted.value);
+    if (!valid || value === null || value === '' || value === venue[field]) return;
+
+    const forField = proposals.filter(proposal => proposal.field === field);
+    if (forField.some(proposal => proposal.value === value && proposal.status !== 'approved')) return;
+
+    const change = {
+      value,
+      source_url: extracted.source_url,
+      extractor: extracted.extractor,
+      confidence: extracted.confidence ?? DEFAULT_CONFIDENCE.scraper
+    };
+    const pending = forField.find(proposal => proposal.status === 'pending');
+    if (pending) {
+      tx.update('proposed_changes', pending.id, change);
+    } else {
+      tx.insert('proposed_changes', { venue_id: venueId, field, ...change });
+    }
+    count++;
+  });
+
+  return count;
+}
+
+/**
+ * Approve or reject a pending proposal. Approving writes the scraped value, or
+ * the reviewer's edit of it, to the venue and its field history.
+ * @param {*} tx Venue store transaction
+ * @param {string} id
+ * @param {'approve' | 'reject'} action
+ * @param {any} [editedValue] Value to approve in place of the scraped one
+ */
+export function reviewProposedChange(tx, id, action, editedValue) {
+  const proposal = tx.find('proposed_changes', id);
+  if (!proposal) {
+    throw new ProposalReviewError('Proposed change not found');
+  }
+  if (proposal.status !== 'pending') {
+    throw new ProposalReviewError(`Already ${proposal.status}`);
+  }
+
+  if (action === 'reject') {
+    return { proposal: tx.update('proposed_changes', id, { status: 'rejected' }), venue: null };
+  }
+
+  const venue = tx.find('venues', proposal.venue_id);
+  if (!venue) {
+    throw new ProposalReviewError('The venue is no longer in the directory');
+  }
+
+  // An edited value is the reviewer's own, not the scraper's guess
+  const edited = editedValue !== undefined && storedValue(proposal.field, editedValue).value !== proposal.value;
+  const provenance = edited
+    ? { source: 'manual', source_url: proposal.source_url }
+    : { source: 'scraper', source_url: proposal.source_url, confidence: proposal.confidence };
+
+  const updated = tx.update('venues', venue.id, { [proposal.field]: edited ? editedValue : proposal.value }, provenance);
+  return {
+    proposal: tx.update('proposed_changes', id, {
+      status: 'approved',
+      reviewed_value: edited ? updated[proposal.field] : null
+    }),
+    venue: updated
+  };
+}
@@ -0,0 +1,102 @@
+// Where each directory field value came from. Every change to a venue field is kept
+// in the venue_history collection with its source, source URL and confidence, so the
+// latest entry for a field is its current provenance and older ones can be restored.
+
+/**
+ * @typedef {'manual' | 'import' | 'upload' | 'scraper' | 'discovery'} ProvenanceSource
+ */
+
+/**
+ * How a write came about, passed to the store's insert() and update().
+ * @typedef {object} Provenance
+ * @property {ProvenanceSource} [source] Defaults to manual
+ * @property {string} [source_url] Page the value was found on, or the file it was imported from
+ * @property {number} [confidence] 0 to 1; defaults to the source's confidence
+ * @property {string} [reverted_from] History entry whose value is being restored
+ * @property {Record<string, { source_url?: string, confidence?: number }>} [fields] Per-field overrides
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id
+ * @property {string} venue_id
+ * @property {string} field
+ * @property {any} value
+ * @property {any} previous_value
+ * @property {ProvenanceSource} source
+ * @property {string} source_url
+ * @property {number} confidence
+ * @property {string} reverted_from
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+export const PROVENANCE_SOURCES = ['manual', 'import', 'upload', 'scraper', 'discovery'];
+
+// Hand-entered values are trusted; guesses from a web page much less so
+export const DEFAULT_CONFIDENCE = {
+  manual: 1,
+  import: 0.9,
+  upload: 0.9,
+  discovery: 0.6,
+  scraper: 0.5
+};
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * History entries for the fields that differ between two versions of a venue.
+ * A new venue (before is null) gets an entry for each field that has a value.
+ * @param {Record<string, any> | null} before
+ * @param {Record<string, any>} after
+ * @param {string[]} fields
+ * @param {Provenance} [provenance]
+ */
+export function fieldChanges(before, after, fields, provenance = {}) {
+  const source = provenance.source || 'manual';
+  return fields
+    .filter(field => before ? before[field] !== after[field] : !isEmpty(after[field]))
+    .map(field => {
+      const override = (provenance.fields || {})[field] || {};
+      return {
+        venue_id: after.id,
+        field,
+        value: after[field],
+        previous_value: before ? before[field] : null,
+        source,
+        source_url: override.source_url ?? provenance.source_url ?? '',
+        confidence: override.confidence ?? provenance.confidence ?? DEFAULT_CONFIDENCE[source],
+        reverted_from: provenance.reverted_from || ''
+      };
+    });
+}
+
+/**
+ * A venue's history, newest first, optionally for one field.
+ * History is only ever appended to, so store order is the order of the changes.
+ * @param {HistoryEntry[]} history
+ * @param {string} venueId
+ * @param {string} [field]
+ */
+export function venueHistory(history, venueId, field) {
+  return history
+    .filter(entry => entry.venue_id === venueId && (!field || entry.field === field))
+    .reverse();
+}
+
+/**
+ * The latest history entry for each of a venue's fields. Fields set before
+ * history was kept have none.
+ * @param {HistoryEntry[]} history
+ * @param {string} venueId
+ * @returns {Record<string, HistoryEntry>}
+ */
+export function currentProvenance(history, venueId) {
+  const current = {};
+  venueHistory(history, venueId).forEach(entry => {
+    if (!current[entry.field]) current[entry.field] = entry;
+  });
+  return current;
+}
@@ -0,0 +1,92 @@
+import { distanceMiles } from './gazetteer.js';
+
+// Regions of the state the directory is split into. A venue belongs to the region
+// of its nearest hub town, worked out from its coordinates whenever it is saved.
+// Pure functions only, so the directory page can use it too.
+
+/**
+ * @typedef {object} RegionDefinition
+ * @property {string} value Stored value
+ * @property {string} label Shown in the directory
+ * @property {{ name: string, lat: number, lng: number }[]} hubs Towns at the heart of the region
+ */
+
+/** @type {RegionDefinition[]} */
+export const REGIONS = [
+  {
+    value: 'mountains',
+    label: 'Mountains',
+    hubs: [
+      { name: 'Asheville', lat: 35.5951, lng: -82.5515 },
+      { name: 'Boone', lat: 36.2168, lng: -81.6746 },
+      { name: 'Sylva', lat: 35.3734, lng: -83.2259 }
+    ]
+  },
+  {
+    value: 'charlotte',
+    label: 'Charlotte Metro',
+    hubs: [{ name: 'Charlotte', lat: 35.2271, lng: -80.8431 }]
+  },
+  {
+    value: 'triad',
+    label: 'Triad',
+    hubs: [
+      { name: 'Greensboro', lat: 36.0726, lng: -79.792 },
+      { name: 'Winston-Salem', lat: 36.0999, lng: -80.2442 }
+    ]
+  },
+  {
+    value: 'triangle',
+    label: 'Triangle',
+    hubs: [
+      { name: 'Raleigh', lat: 35.7796, lng: -78.6382 },
+      { name: 'Durham', lat: 35.994, lng: -78.8986 },
+      { name: 'Chapel Hill', lat: 35.9132, lng: -79.0558 }
+    ]
+  },
+  {
+    value: 'sandhills',
+    label: 'Sandhills',
+    hubs: [
+      { name: 'Southern Pines', lat: 35.174, lng: -79.3923 },
+      { name: 'Fayetteville', lat: 35.0527, lng: -78.8784 }
+    ]
+  },
+  {
+    value: 'coast',
+    label: 'Coast & East',
+    hubs: [
+      { name: 'Wilmington', lat: 34.2257, lng: -77.9447 },
+      { name: 'Greenville', lat: 35.6127, lng: -77.3664 },
+      { name: 'Morehead City', lat: 34.7229, lng: -76.726 },
+      { name: 'Kill Devil Hills', lat: 36.0307, lng: -75.6761 }
+    ]
+  }
+];
+
+export const REGION_VALUES = REGIONS.map(region => region.value);
+
+/**
+ * Region of the nearest hub to a venue, or '' if the venue hasn't been placed on the map.
+ * @param {{ lat?: number | null, lng?: number | null }} venue
+ */
+export function venueRegion({ lat, lng }) {
+  if (typeof lat !== 'number' || typeof lng !== 'number') return '';
+
+  let nearest = { value: '', miles: Infinity };
+  REGIONS.forEach(region => {
+    region.hubs.forEach(hub => {
+      const miles = distanceMiles({ lat, lng }, hub);
+      if (miles < nearest.miles) nearest = { value: region.value, miles };
+    });
+  });
+  return nearest.value;
+}
+
+/**
+ * @param {string} value
+ */
+export function regionLabel(value) {
+  const region = REGIONS.find(region => region.value === value);
+  return region ? region.label : value || 'Unplaced';
+}
@@ -0,0 +1,257 @@
+// Scrape jobs: one task per venue, kept in the store so a run survives function
+// timeouts and restarts. The run-scraper function works through as many tasks as
+// fit in one call and the next call picks up the rest; the scraper script does the
+// same between scheduled runs. A failed venue is retried later, up to MAX_ATTEMPTS.
+
+export const MAX_ATTEMPTS = 3;
+
+// How long to wait after the first and second failures
+const RETRY_DELAYS_MS = [5 * 60 * 1000, 30 * 60 * 1000];
+
+// An attempt not heard from for this long was cut off (by a function timeout, say).
+// A site's Crawl-delay can stretch a crawl well past it, so a running attempt renews
+// its lease every LEASE_RENEWAL_MS for as long as it's going.
+export const ATTEMPT_TIMEOUT_MS = 3 * 60 * 1000;
+export const LEASE_RENEWAL_MS = 30 * 1000;
+
+// Venues scraped more recently than this are left out of new jobs
+const RESCRAPE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+const FINISHED = ['done', 'failed'];
+
+const time = value => (value ? Date.parse(value) : 0);
+
+/**
+ * @param {import('./venue-schema.js').ScrapeJob[]} jobs
+ * @returns {import('./venue-schema.js').ScrapeJob | null}
+ */
+export function activeScrapeJob(jobs) {
+  return jobs.find(job => job.status === 'running') || null;
+}
+
+/**
+ * The job that's already running, or a new one for the given venues. Venues that
+ * were scraped in the last week are left out, so repeated runs move on to others.
+ * @param {*} tx Venue store transaction
+ * @param {string[]} venueIds Venues that need scraping
+ * @param {object} options
+ * @param {string} options.trigger What started the job
+ * @param {Date} [options.now]
+ * @returns {{job: import('./venue-schema.js').ScrapeJob | null, created: boolean}} No job if there's nothing to do
+ */
+export function startScrapeJob(tx, venueIds, { trigger, now = new Date() }) {
+  const running = activeScrapeJob(tx.all('scrape_jobs'));
+  if (running) return { job: running, created: false };
+
+  const lastFinished = new Map();
+  tx.all('scrape_tasks').filter(task => FINISHED.includes(task.status)).forEach(task => {
+    lastFinished.set(task.venue_id, Math.max(lastFinished.get(task.venue_id) || 0, time(task.finished_at)));
+  });
+  const due = venueIds.filter(id => now.getTime() - (lastFinished.get(id) || 0) > RESCRAPE_AFTER_MS);
+  if (due.length === 0) return { job: null, created: false };
+
+  const job = tx.insert('scrape_jobs', { status: 'running', trigger, total: due.length, finished_at: '' });
+  due.forEach(venueId => {
+    tx.insert('scrape_tasks', {
+      job_id: job.id,
+      venue_id: venueId,
+      status: 'pending',
+      attempts: 0,
+      fields_found: [],
+      pages: 0,
+      changes_proposed: 0
+    });
+  });
+  return { job, created: true };
+}
+
+// An attempt that's been running too long to still be alive
+function interrupted(task, now) {
+  return task.status === 'running' && now.getTime() - time(task.renewed_at || task.started_at) > ATTEMPT_TIMEOUT_MS;
+}
+
+function finishJobIfDone(tx, jobId, now) {
+  const tasks = tx.all('scrape_tasks').filter(task => task.job_id === jobId);
+  if (tasks.every(task => FINISHED.includes(task.status))) {
+    tx.update('scrape_jobs', jobId, { status: 'completed', finished_at: now.toISOString() });
+  }
+}
+
+/**
+ * Take the job's next venue to scrape: one that hasn't been tried, is due a retry,
+ * or whose last attempt was cut off. Returns null if none is ready now.
+ * @param {*} tx Venue store transaction
+ * @param {string} jobId
+ * @param {Date} [now]
+ * @returns {import('./venue-schema.js').ScrapeTask | null}
+ */
+export function claimScrapeTask(tx, jobId, now = new Date()) {
+  const tasks = tx.all('scrape_tasks').filter(task => task.job_id === jobId);
+
+  // Attempts that were cut off count as failures
+  tasks.filter(task => interrupted(task, now)).forEach(task => {
+    failScrapeTask(tx, task.id, 'Stopped before it finished (probably a timeout)', { now });
+  });
+
+  const ready = tx.all('scrape_tasks').find(task => task.job_id === jobId && task.status === 'pending' &&
+    (!task.next_retry_at || time(task.next_retry_at) <= now.getTime()));
+  if (!ready) return null;
+
+  return tx.update('scrape_tasks', ready.id, {
+    status: 'running',
+    attempts: ready.attempts + 1,
+    started_at: now.toISOString(),
+    renewed_at: '',
+    next_retry_at: ''
+  });
+}
+
+/**
+ * Record that an attempt is still going, so it isn't taken for cut off.
+ * @param {*} tx Venue store transaction
+ * @param {string} taskId
+ * @param {Date} [now]
+ * @returns {import('./venue-schema.js').ScrapeTask | null} null if the task isn't running any more
+ */
+export function renewScrapeTask(tx, taskId, now = new Date()) {
+  const task = tx.find('scrape_tasks', taskId);
+  if (!task || task.status !== 'running') return null;
+  return tx.update('scrape_tasks', taskId, { renewed_at: now.toISOString() });
+}
+
+/**
+ * Make an attempt at a claimed task, renewing its lease until the attempt settles.
+ * @template T
+ * @param {ReturnType<typeof import('./venue-store.js').openVenueStore>} store
+ * @param {string} taskId
+ * @param {() => Promise<T>} attempt
+ * @returns {Promise<T>}
+ */
+export async function withScrapeLease(store, taskId, attempt) {
+  const timer = setInterval(() => {
+    try {
+      store.transaction(tx => renewScrapeTask(tx, taskId));
+    } catch (error) {
+      // A missed renewal is made up by the next one
+    }
+  }, LEASE_RENEWAL_MS);
+  try {
+    return await attempt();
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+/**
+ * Record a venue as scraped.
+ * @param {*} tx Venue store transaction
+ * @param {string} taskId
+ * @param {object} result
+ * @param {string[]} result.fieldsFound
+ * @param {number} result.pages
+ * @param {number} result.changesProposed
+ * @param {Date} [now]
+ */
+export function completeScrapeTask(tx, taskId, { fieldsFound, pages, changesProposed }, now = new Date()) {
+  const task = tx.update('scrape_tasks', taskId, {
+    status: 'done',
+    finished_at: now.toISOString(),
+    fields_found: fieldsFound,
+    pages,
+    changes_proposed: changesProposed,
+    last_error: ''
+  });
+  if (task) finishJobIfDone(tx, task.job_id, now);
+  return task;
+}
+
+/**
+ * Record a failed attempt. The venue is tried again later unless it's out of
+ * attempts or retry is false (for failures that won't go away, like robots.txt).
+ * @param {*} tx Venue store transaction
+ * @param {string} taskId
+ * @param {string} message
+ * @param {object} [options]
+ * @param {boolean} [options.retry]
+ * @param {Date} [options.now]
+ */
+export function failScrapeTask(tx, taskId, message, { retry = true, now = new Date() } = {}) {
+  const current = tx.find('scrape_tasks', taskId);
+  if (!current) return null;
+
+  const retrying = retry && current.attempts < MAX_ATTEMPTS;
+  const delay = RETRY_DELAYS_MS[Math.min(current.attempts, RETRY_DELAYS_MS.length) - 1] || 0;
+  const task = tx.update('scrape_tasks', taskId, retrying
+    ? { status: 'pending', last_error: message, next_retry_at: new Date(now.getTime() + delay).toISOString() }
+    : { status: 'failed', last_error: message, finished_at: now.toISOString() });
+  finishJobIfDone(tx, task.job_id, now);
+  return task;
+}
+
+/**
+ * Hand a venue's scrape tasks to the venue it was merged into. Finished ones are
+ * kept, for their job's counts and for when the venue is next due; ones still to
+ * do are dropped, and a job with nothing else left is finished.
+ * @param {*} tx Venue store transaction
+ * @param {string} fromId The merged venue
+ * @param {string} toId The venue it was merged into
+ * @param {Date} [now]
+ */
+export function moveScrapeTasks(tx, fromId, toId, now = new Date()) {
+  const tasks = tx.all('scrape_tasks').filter(task => task.venue_id === fromId);
+  tasks.filter(task => FINISHED.includes(task.status)).forEach(task => tx.update('scrape_tasks', task.id, { venue_id: toId }));
+
+  const unfinished = tasks.filter(task => !FINISHED.includes(task.status));
+  unfinished.forEach(task => tx.remove('scrape_tasks', task.id));
+  new Set(unfinished.map(task => task.job_id)).forEach(jobId => finishJobIfDone(tx, jobId, now));
+}
+
+/**
+ * Where a job has got to, for the progress API and the scraper logs.
+ * @param {import('./venue-schema.js').ScrapeJob} job
+ * @param {import('./venue-schema.js').ScrapeTask[]} tasks All tasks; the job's are picked out
+ * @param {import('./venue-schema.js').Venue[]} venues For venue names
+ * @param {Date} [now]
+ */
+export function scrapeJobProgress(job, tasks, venues, now = new Date()) {
+  const jobTasks = tasks.filter(task => task.job_id === job.id);
+  const names = new Map(venues.map(venue => [venue.id, venue.name]));
+  const waiting = jobTasks.filter(task => task.status === 'pending' && time(task.next_retry_at) > now.getTime());
+  const count = status => jobTasks.filter(task => task.status === status).length;
+  const finished = count('done') + count('failed');
+
+  return {
+    id: job.id,
+    status: job.status,
+    trigger: job.trigger,
+    created_at: job.created_at,
+    finished_at: job.finished_at,
+    total: jobTasks.length,
+    done: count('done'),
+    failed: count('failed'),
+    running: count('running'),
+    // Ready to scrape now, and waiting to be retried
+    pending: count('pending') - waiting.length,
+    waiting: waiting.length,
+    percent: jobTasks.length === 0 ? 100 : Math.round(finished / jobTasks.length * 100),
+    next_retry_at: waiting.map(task => task.next_retry_at).sort()[0] || null,
+    venues_with_findings: jobTasks.filter(task => task.status === 'done' && task.fields_found?.length > 0).length,
+    changes_proposed: jobTasks.reduce((sum, task) => sum + (task.changes_proposed || 0), 0),
+    // Latest activity first
+    recent: jobTasks
+      .filter(task => task.started_at)
+      .sort((a, b) => time(b.finished_at || b.started_at) - time(a.finished_at || a.started_at))
+      .slice(0, 10)
+      .map(task => ({
+        venue_id: task.venue_id,
+        venue_name: names.get(task.venue_id) || task.venue_id,
+        status: task.status,
+        attempts: task.attempts,
+        fields_found: task.fields_found || [],
+        pages: task.pages,
+        changes_proposed: task.changes_proposed,
+        last_error: task.last_error,
+        next_retry_at: task.next_retry_at
+      }))
+  };
+}
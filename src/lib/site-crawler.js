@@ -0,0 +1,224 @@
+import * as cheerio from 'cheerio';
+import { mergeExtractions } from './extractors/index.js';
+
+// Crawls a few pages of a venue's site for the scraper script and the run-scraper
+// function. The homepage is read first, then the pages most likely to have booking
+// and contact details, found in the homepage's links and the site's sitemap.xml.
+// Every page's findings are merged, keeping the most confident value for each field.
+
+/**
+ * @typedef {object} CrawledPage
+ * @property {string} url
+ * @property {import('./page-fetcher.js').FetchMethod} [method]
+ * @property {string} [reason] Why the browser was needed, when it was
+ * @property {string[]} fields The fields found on this page
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {object} CrawlResult
+ * @property {Record<string, import('./extractors/index.js').ExtractedValue>} found
+ * @property {CrawledPage[]} pages In the order they were visited
+ * @property {import('./extractors/index.js').ExtractorPage} home The homepage, as fetched
+ */
+
+// Kinds of page worth visiting, best first. Matched against the link's path and text.
+const LINK_RANKS = [
+  [/\b(booking|book-a-show|talent|perform|play-here|submissions?)\b/i, 10],
+  [/\bcontact/i, 9],
+  [/\babout/i, 6],
+  [/\b(rentals?|private-events?|event-space|host|venue-info)\b/i, 5],
+  [/\bfaqs?\b/i, 4],
+  [/\b(calendar|events|shows|schedule|lineup)\b/i, 3]
+];
+
+// Links to files rather than pages
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|zip|mp3|mp4|ics|xml|css|js)$/i;
+
+// Confidence at which a field is settled and the crawl can stop looking for it
+const SETTLED_CONFIDENCE = 0.8;
+
+const MAX_SITEMAP_URLS = 500;
+const MAX_CHILD_SITEMAPS = 3;
+
+const siteHost = url => new URL(url).host.replace(/^www\./, '');
+
+// The same page with or without a trailing slash or www.
+const visitedKey = url => {
+  const parsed = new URL(url);
+  return `${siteHost(url)}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+};
+
+/**
+ * How likely a link is to lead to booking or contact details; 0 if it isn't worth a visit.
+ * @param {string} url
+ * @param {string} [text] The link's text
+ */
+export function rankLink(url, text = '') {
+  const { pathname } = new URL(url);
+  if (SKIPPED_EXTENSIONS.test(pathname)) return 0;
+  // Read the path's words: /private_events/ and /privateEvents match like /private-events
+  const words = `${pathname.replace(/[/_]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1-$2')} ${text}`;
+  const rank = LINK_RANKS.find(([pattern]) => pattern.test(words));
+  if (!rank) return 0;
+  // Shallow pages are a site's own; deep ones are usually blog posts and single events
+  const depth = pathname.split('/').filter(Boolean).length;
+  return Math.max(1, rank[1] - Math.max(0, depth - 1));
+}
+
+/**
+ * Links from a page to other pages on the same site.
+ * @param {import('./extractors/index.js').ExtractorPage} page
+ * @returns {{url: string, text: string}[]}
+ */
+export function internalLinks(page) {
+  const $ = page.$;
+  const host = siteHost(page.url);
+  const links = new Map();
+
+  $('a[href]').each((index, link) => {
+    try {
+      const url = new URL($(link).attr('href'), page.url);
+      url.hash = '';
+      if (!/^https?:$/.test(url.protocol) || siteHost(url.href) !== host) return;
+      const text = $(link).text().replace(/\s+/g, ' ').trim();
+      links.set(url.href, [links.get(url.href), text].filter(Boolean).join(' '));
+    } catch (error) {
+      // Ignore links that aren't URLs
+    }
+  });
+
+  return [...links].map(([url, text]) => ({ url, text: text || '' }));
+}
+
+/**
+ * Page and child sitemap URLs listed in a sitemap.
+ * @param {string} xml
+ * @returns {{pages: string[], sitemaps: string[]}}
+ */
+export function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xml: true });
+  const locs = selector => $(selector).toArray().map(loc => $(loc).text().trim()).filter(Boolean);
+  return {
+    pages: locs('urlset > url > loc').slice(0, MAX_SITEMAP_URLS),
+    sitemaps: locs('sitemapindex > sitemap > loc')
+  };
+}
+
+async function fetchSitemapXml(http, url, timeout) {
+  const response = await http.fetch(url, { timeout, accept: 'application/xml,text/xml' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.text;
+}
+
+/**
+ * Pages listed in a site's sitemaps, following a sitemap index one level down. The
+ * sitemaps named in robots.txt are read, or /sitemap.xml if it names none. A site
+ * without a sitemap just has none.
+ * @param {ReturnType<typeof import('./polite-fetch.js').createPoliteFetcher>} http
+ * @param {string} siteUrl Any URL on the site
+ * @param {object} [options]
+ * @param {number} [options.timeout] Per request, in milliseconds
+ * @returns {Promise<string[]>}
+ */
+export async function fetchSitemapUrls(http, siteUrl, { timeout = 5000 } = {}) {
+  const host = siteHost(siteUrl);
+  const { sitemaps: listed } = await http.robots(siteUrl);
+  const roots = listed.length > 0 ? listed.slice(0, MAX_CHILD_SITEMAPS) : [new URL('/sitemap.xml', siteUrl).href];
+  const pages = [];
+
+  for (const root of roots) {
+    try {
+      const { pages: rootPages, sitemaps } = parseSitemap(await fetchSitemapXml(http, root, timeout));
+      pages.push(...rootPages);
+      for (const sitemap of sitemaps.slice(0, MAX_CHILD_SITEMAPS)) {
+        try {
+          pages.push(...parseSitemap(await fetchSitemapXml(http, sitemap, timeout)).pages);
+        } catch (error) {
+          // Read the sitemaps that do load
+        }
+      }
+    } catch (error) {
+      // No sitemap there
+    }
+  }
+
+  return pages.filter(url => {
+    try {
+      return siteHost(url) === host;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Crawl a venue's site for the fields it's missing, within a page and time budget.
+ * Throws if the homepage can't be fetched; other pages that fail are skipped.
+ * @param {string} url The venue's website
+ * @param {string[]} fields Fields still wanted
+ * @param {object} options
+ * @param {ReturnType<typeof import('./page-fetcher.js').createTieredFetcher>} options.fetcher
+ * @param {number} [options.maxPages] Including the homepage
+ * @param {number} [options.timeBudget] In milliseconds; no new page is started after it
+ * @param {boolean} [options.sitemap] Read sitemap.xml for pages to visit
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<CrawlResult>}
+ */
+export async function crawlSite(url, fields, {
+  fetcher,
+  maxPages = 5,
+  timeBudget = 30000,
+  sitemap = true,
+  log = () => {}
+}) {
+  const startedAt = Date.now();
+  const pages = [];
+  let found = {};
+
+  const hasKeyDetails = () => Boolean(found.contact_email || found.contact_phone);
+  const unsettled = () => fields.filter(field => !found[field] || found[field].confidence < SETTLED_CONFIDENCE);
+
+  const visit = async (pageUrl, checkKeyFields) => {
+    const result = await fetcher.scrape(pageUrl, fields, { checkKeyFields });
+    found = mergeExtractions(found, result.found);
+    pages.push({ url: pageUrl, method: result.method, reason: result.reason, fields: Object.keys(result.found) });
+    return result.page;
+  };
+
+  const home = await visit(url, true);
+  const visited = new Set([url, home.url].map(visitedKey));
+
+  // Rank everything the homepage links to and the sitemap lists. The same page can
+  // come from both, and its link text may rank it higher than its URL alone.
+  const candidates = new Map();
+  const sitemapUrls = sitemap && maxPages > 1 && unsettled().length > 0 ? await fetchSitemapUrls(fetcher.http, home.url) : [];
+  [...internalLinks(home), ...sitemapUrls.map(link => ({ url: link, text: '' }))].forEach(({ url: link, text }) => {
+    const key = visitedKey(link);
+    const rank = rankLink(link, text);
+    if (rank > 0 && !visited.has(key) && rank > (candidates.get(key)?.rank || 0)) {
+      candidates.set(key, { url: link, rank });
+    }
+  });
+  const queue = [...candidates.values()].sort((a, b) => b.rank - a.rank);
+
+  for (const candidate of queue) {
+    if (pages.length >= maxPages || unsettled().length === 0) break;
+    if (Date.now() - startedAt > timeBudget) {
+      log(`Stopped crawling ${url} at the time limit after ${pages.length} pages`);
+      break;
+    }
+
+    // Pages robots.txt keeps us out of don't use up the budget
+    if (!(await fetcher.http.allowed(candidate.url))) continue;
+
+    try {
+      // The browser is only worth it for a missing email or phone
+      await visit(candidate.url, !hasKeyDetails());
+    } catch (error) {
+      pages.push({ url: candidate.url, fields: [], error: error.message });
+    }
+  }
+
+  return { found, pages, home };
+}
@@ -0,0 +1,272 @@
+import dns from 'dns';
+import { createExtractorPage } from './extractors/index.js';
+import { RobotsDisallowedError } from './polite-fetch.js';
+
+// Checks whether venue websites still work and whether the venues are still open.
+// Each check loads the homepage through the polite fetcher and records what it
+// found in the site_checks collection: the HTTP status, where it redirected, a
+// parking or for-sale page, an expired domain, or words saying the venue has
+// closed. Problems are flagged on /admin, where a venue can be marked closed.
+
+/** @typedef {import('./venue-schema.js').SiteStatus} SiteStatus */
+
+/**
+ * @typedef {object} SiteCheckResult
+ * @property {string} url
+ * @property {SiteStatus} status
+ * @property {number | null} http_status
+ * @property {string} final_url
+ * @property {string} error
+ * @property {string} closure_phrase
+ * @property {string} domain_expires_at
+ */
+
+export const SITE_REVIEW_ACTIONS = ['close', 'dismiss'];
+
+// Short descriptions for /admin
+export const SITE_STATUS_LABELS = {
+  ok: 'Working',
+  redirected: 'Moved to another site',
+  broken: 'Page error',
+  unreachable: 'Not responding',
+  parked: 'Parked or for sale',
+  expired: 'Domain expired',
+  closed: 'Says it has closed',
+  blocked: 'Not checked (robots.txt)'
+};
+
+// These say something about the venue itself, so one check is enough to flag them
+const FLAG_AT_ONCE = ['redirected', 'parked', 'expired', 'closed'];
+// A site can be down for an afternoon; these are flagged once they've lasted
+const FLAG_AFTER_REPEATS = ['broken', 'unreachable'];
+export const FLAG_AFTER_FAILURES = 2;
+
+// Venues are checked again once their last check is this old
+export const CHECK_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Only phrases that rarely mean anything else; "closed Mondays", "closed for a
+// private event" and "we close our doors at 2am" shouldn't flag a venue
+const CLOSURE_PATTERNS = [
+  /\bpermanently closed\b/i,
+  /\bclosed permanently\b/i,
+  /\bclosed (?:our|its|their) doors\b/i,
+  /\bclosed for good\b/i,
+  /\b(?:ceased|ceasing|cease) (?:all )?operations\b/i,
+  /\bno longer (?:in business|operating|open)\b/i,
+  /\bout of business\b/i
+];
+
+const PARKING_PATTERNS = [
+  /\b(?:this|the) domain(?: name)? (?:is|may be|might be) for sale\b/i,
+  /\bbuy this domain\b/i,
+  /\bdomain (?:is )?parked\b/i,
+  /\bparked free\b/i,
+  /\b(?:this|the) domain (?:name )?has expired\b/i,
+  /\brenew (?:this|your) domain\b/i,
+  /\bdomain (?:name )?is available for (?:purchase|registration)\b/i
+];
+
+// Where registrars and domain marketplaces send parked and for-sale domains
+const PARKING_HOSTS = /(^|\.)(sedoparking\.com|sedo\.com|parkingcrew\.net|bodis\.com|dan\.com|afternic\.com|hugedomains\.com|domainmarket\.com|above\.com|parklogic\.com|undeveloped\.com|parkingpage\.namecheap\.com)$/i;
+
+const DEFAULT_RDAP_URL = 'https://rdap.org/domain/';
+
+const siteHost = url => new URL(url).host.replace(/^www\./, '');
+
+// The registered domain, assuming a two-part name like venue.com; good enough for
+// the .com, .org and .net sites venues use
+const registeredDomain = host => host.split('.').slice(-2).join('.');
+
+/**
+ * The closure phrase in a page's text, if it has one.
+ * @param {string} text
+ */
+export function findClosurePhrase(text) {
+  for (const pattern of CLOSURE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return match[0].trim();
+  }
+  return '';
+}
+
+/**
+ * Whether a page is a registrar's parking page or a domain for sale.
+ * @param {string} url After redirects
+ * @param {string} text
+ */
+export function looksParked(url, text) {
+  return PARKING_HOSTS.test(new URL(url).hostname) || PARKING_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * When a domain's registration expires, from RDAP, or that it isn't registered at
+ * all. Null if the lookup didn't work.
+ * @param {ReturnType<typeof import('./polite-fetch.js').createPoliteFetcher>} http
+ * @param {string} domain
+ * @param {string} [rdapUrl]
+ * @returns {Promise<{registered: boolean, expiresAt: string} | null>}
+ */
+export async function lookupDomain(http, domain, rdapUrl = DEFAULT_RDAP_URL) {
+  try {
+    const response = await http.fetch(`${rdapUrl}${domain}`, { timeout: 10000, accept: 'application/rdap+json, application/json' });
+    if (response.status === 404) return { registered: false, expiresAt: '' };
+    if (!response.ok) return null;
+    const expiration = (JSON.parse(response.text).events || []).find(event => event.eventAction === 'expiration');
+    return { registered: true, expiresAt: expiration?.eventDate || '' };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check one venue website.
+ * @param {ReturnType<typeof import('./polite-fetch.js').createPoliteFetcher>} http
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeout] In milliseconds
+ * @param {(host: string) => Promise<unknown>} [options.lookup] Resolves a host name, rejecting if it doesn't
+ * @param {string} [options.rdapUrl] Where domain registrations are looked up
+ * @param {Date} [options.now]
+ * @returns {Promise<SiteCheckResult>}
+ */
+export async function checkSite(http, url, {
+  timeout = 15000,
+  lookup = host => dns.promises.lookup(host),
+  rdapUrl = DEFAULT_RDAP_URL,
+  now = new Date()
+} = {}) {
+  const result = { url, status: 'ok', http_status: null, final_url: '', error: '', closure_phrase: '', domain_expires_at: '' };
+
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    return { ...result, status: 'broken', error: 'Not a valid URL' };
+  }
+
+  // A site that can't be reached at all: is the domain still there?
+  const unreachable = async message => {
+    try {
+      await lookup(host);
+      return { ...result, status: 'unreachable', error: message };
+    } catch (error) {
+      const domain = await lookupDomain(http, registeredDomain(host), rdapUrl);
+      if (domain && !domain.registered) {
+        return { ...result, status: 'expired', error: 'The domain isn\'t registered' };
+      }
+      if (domain && domain.expiresAt && Date.parse(domain.expiresAt) < now.getTime()) {
+        return { ...result, status: 'expired', error: 'The domain\'s registration has run out', domain_expires_at: domain.expiresAt };
+      }
+      return { ...result, status: 'unreachable', error: 'The domain doesn\'t resolve', domain_expires_at: domain?.expiresAt || '' };
+    }
+  };
+
+  // The polite fetcher won't load a site whose robots.txt fails, which also tells us it's down
+  const robots = await http.robots(url);
+  if (robots.error) {
+    return robots.error.status
+      ? { ...result, status: 'broken', http_status: robots.error.status, error: `robots.txt returned HTTP ${robots.error.status}` }
+      : unreachable(robots.error.message);
+  }
+
+  let response;
+  try {
+    response = await http.fetch(url, { timeout });
+  } catch (error) {
+    if (error instanceof RobotsDisallowedError) return { ...result, status: 'blocked', error: error.message };
+    return unreachable(error.cause?.code || (error.name === 'TimeoutError' ? 'timed out' : error.message));
+  }
+
+  const checked = { ...result, http_status: response.status, final_url: response.url };
+  if (!response.ok) {
+    return { ...checked, status: 'broken', error: `HTTP ${response.status}` };
+  }
+
+  const page = createExtractorPage(response.url, response.text);
+  const text = `${page.$('title').text()} ${page.text}`.replace(/\s+/g, ' ');
+  if (looksParked(response.url, text)) {
+    return { ...checked, status: 'parked' };
+  }
+
+  const closure = findClosurePhrase(text);
+  if (closure) {
+    return { ...checked, status: 'closed', closure_phrase: closure };
+  }
+
+  if (siteHost(response.url) !== siteHost(url)) {
+    return { ...checked, status: 'redirected' };
+  }
+  return checked;
+}
+
+/**
+ * Whether a check needs someone to look at it on /admin.
+ * @param {import('./venue-schema.js').SiteCheck} check
+ */
+export function isFlagged(check) {
+  if (check.dismissed_status === check.status) return false;
+  return FLAG_AT_ONCE.includes(check.status) ||
+    (FLAG_AFTER_REPEATS.includes(check.status) && check.failures >= FLAG_AFTER_FAILURES);
+}
+
+/**
+ * Save a check as the venue's latest. A problem found again counts towards
+ * flagging it, and a dismissal lasts until the site's status changes.
+ * @param {*} tx Venue store transaction
+ * @param {string} venueId
+ * @param {SiteCheckResult} result
+ * @param {Date} [now]
+ * @returns {import('./venue-schema.js').SiteCheck}
+ */
+export function recordSiteCheck(tx, venueId, result, now = new Date()) {
+  const previous = tx.all('site_checks').find(check => check.venue_id === venueId);
+  const healthy = result.status === 'ok' || result.status === 'blocked';
+  const check = {
+    ...result,
+    failures: healthy ? 0 : previous && previous.status === result.status ? previous.failures + 1 : 1,
+    checked_at: now.toISOString(),
+    dismissed_status: previous && previous.dismissed_status === result.status ? previous.dismissed_status : ''
+  };
+  return previous ? tx.update('site_checks', previous.id, check) : tx.insert('site_checks', { venue_id: venueId, ...check });
+}
+
+/**
+ * Venues whose websites are due a check: those never checked, and those last
+ * checked longer ago than CHECK_INTERVAL_MS. Closed venues aren't checked.
+ * @param {import('./venue-schema.js').Venue[]} venues
+ * @param {import('./venue-schema.js').SiteCheck[]} checks
+ * @param {Date} [now]
+ */
+export function venuesDueCheck(venues, checks, now = new Date()) {
+  const lastChecked = new Map(checks.map(check => [check.venue_id, Date.parse(check.checked_at) || 0]));
+  return venues.filter(venue => venue.website && venue.operating_status !== 'closed' &&
+    now.getTime() - (lastChecked.get(venue.id) || 0) > CHECK_INTERVAL_MS);
+}
+
+// Problems with a review itself, like a venue that's gone
+export class SiteReviewError extends Error {}
+
+/**
+ * Act on a flagged check: mark the venue closed, or dismiss the flag as a false alarm.
+ * @param {*} tx Venue store transaction
+ * @param {string} venueId
+ * @param {'close' | 'dismiss'} action
+ */
+export function reviewSiteCheck(tx, venueId, action) {
+  const check = tx.all('site_checks').find(check => check.venue_id === venueId);
+  if (!check) {
+    throw new SiteReviewError('The venue\'s website hasn\'t been checked');
+  }
+
+  if (action === 'dismiss') {
+    return { check: tx.update('site_checks', check.id, { dismissed_status: check.status }), venue: null };
+  }
+
+  const venue = tx.find('venues', venueId);
+  if (!venue) {
+    throw new SiteReviewError('The venue is no longer in the directory');
+  }
+  // Kept in the field history, so it can be reverted there if the venue reopens
+  const updated = tx.update('venues', venueId, { operating_status: 'closed' }, { source: 'manual', source_url: check.final_url || check.url });
+  return { check, venue: updated };
+}
@@ -0,0 +1,284 @@
+import { VENUE_COLUMNS, locationCity } from './venue-schema.js';
+import { moveScrapeTasks } from './scrape-jobs.js';
+import { currentProvenance } from './provenance.js';
+
+// Fuzzy duplicate detection across directory, discovered and uploaded venues.
+// Each signal (name, address, phone, website) contributes independent evidence
+// and the scores are combined so several weak matches add up to a strong one.
+
+/** @typedef {{ name: string, location: string, address?: string, contact_phone?: string, website?: string }} VenueLike */
+
+// At or above this a new venue is treated as the existing one
+export const LIKELY_DUPLICATE_SCORE = 0.8;
+// At or above this a pair is shown on the merge screen for review
+export const POSSIBLE_DUPLICATE_SCORE = 0.5;
+
+// Hosts shared by many unrelated venues, so they say nothing about identity
+const SHARED_HOSTS = [
+  'facebook.com', 'instagram.com', 'linktr.ee', 'google.com', 'sites.google.com',
+  'eventbrite.com', 'ticketmaster.com', 'etix.com', 'wixsite.com', 'squarespace.com'
+];
+
+const STREET_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd',
+  highway: 'hwy', lane: 'ln', court: 'ct', place: 'pl', parkway: 'pkwy',
+  north: 'n', south: 's', east: 'e', west: 'w'
+};
+
+function fold(text) {
+  return (text || '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function normalizeName(name) {
+  return fold(name).replace(/^the /, '');
+}
+
+export function normalizePhone(phone) {
+  const digits = (phone || '').replace(/\D/g, '');
+  const local = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  return local.length === 10 ? local : '';
+}
+
+export function websiteDomain(website) {
+  try {
+    const host = new URL(website).hostname.toLowerCase().replace(/^www\./, '');
+    return SHARED_HOSTS.some(shared => host === shared || host.endsWith(`.${shared}`)) ? '' : host;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Street part of an address: city, state, ZIP and unit numbers removed, suffixes abbreviated
+export function normalizeStreet(address, location) {
+  const city = fold(locationCity(location));
+  let street = fold((address || '').replace(/\b(suite|ste|unit|apt)\b\.?\s*\w+|#\s*\w+/gi, ''));
+
+  street = street.replace(/\b\d{5}(?: \d{4})?$/, '').trim().replace(/\bnc$/, '').trim();
+  if (city && street.endsWith(` ${city}`)) {
+    street = street.slice(0, -city.length).trim();
+  }
+  return street.split(' ').map(word => STREET_ABBREVIATIONS[word] || word).join(' ');
+}
+
+// Dice coefficient over character bigrams
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a).replace(/ /g, '');
+  const right = normalizeName(b).replace(/ /g, '');
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const bigrams = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  let overlap = 0;
+  leftBigrams.forEach((count, bigram) => {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+  });
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+}
+
+/**
+ * Score how likely two venues are the same place, from 0 to 1, with the reasons.
+ * @param {VenueLike} a
+ * @param {VenueLike} b
+ */
+export function scoreDuplicate(a, b) {
+  const reasons = [];
+  const evidence = [];
+  let penalty = 1;
+
+  const sameCity = fold(locationCity(a.location)) === fold(locationCity(b.location));
+
+  const similarity = nameSimilarity(a.name, b.name);
+  if (similarity >= 0.6) {
+    evidence.push(similarity * (sameCity ? 0.85 : 0.3));
+    reasons.push(`${similarity === 1 ? 'Same' : 'Similar'} name${sameCity ? '' : ' (different town)'}`);
+  }
+
+  const streetA = normalizeStreet(a.address, a.location);
+  const streetB = normalizeStreet(b.address, b.location);
+  const numberA = streetA.match(/^\d+/);
+  const numberB = streetB.match(/^\d+/);
+  if (streetA && streetB && sameCity) {
+    if (streetA === streetB) {
+      evidence.push(0.7);
+      reasons.push('Same address');
+    } else if (numberA && numberB && numberA[0] !== numberB[0]) {
+      penalty *= 0.5;
+      reasons.push('Different street numbers');
+    }
+  }
+
+  const phoneA = normalizePhone(a.contact_phone);
+  const phoneB = normalizePhone(b.contact_phone);
+  if (phoneA && phoneB) {
+    if (phoneA === phoneB) {
+      // Booking agencies list one number for venues all over the state
+      evidence.push(sameCity ? 0.75 : 0.2);
+      reasons.push(`Same phone${sameCity ? '' : ' (different town)'}`);
+    } else {
+      penalty *= 0.8;
+    }
+  }
+
+  const domainA = websiteDomain(a.website);
+  if (domainA && domainA === websiteDomain(b.website)) {
+    evidence.push(0.6);
+    reasons.push(`Same website (${domainA})`);
+  }
+
+  const score = (1 - evidence.reduce((remaining, p) => remaining * (1 - p), 1)) * penalty;
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Existing venues that may be the same place as venue, best match first.
+ * @template {VenueLike} T
+ * @param {VenueLike} venue
+ * @param {T[]} candidates
+ */
+export function findDuplicates(venue, candidates, threshold = POSSIBLE_DUPLICATE_SCORE) {
+  return candidates
+    .filter(candidate => candidate !== venue)
+    .map(candidate => ({ venue: candidate, ...scoreDuplicate(venue, candidate) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+// The best match at or above the likely-duplicate score, if any
+export function findLikelyDuplicate(venue, candidates) {
+  return findDuplicates(venue, candidates, LIKELY_DUPLICATE_SCORE)[0] || null;
+}
+
+export function pairKey(idA, idB) {
+  return [idA, idB].sort().join(':');
+}
+
+/**
+ * All pairs of venues within a list that may be duplicates, skipping dismissed pairs.
+ * @template {VenueLike & { id: string }} T
+ * @param {T[]} venues
+ * @param {Set<string>} dismissed pairKey()s marked as not duplicates
+ */
+export function findDuplicatePairs(venues, dismissed = new Set()) {
+  const pairs = [];
+  venues.forEach((venue, index) => {
+    venues.slice(index + 1).forEach(other => {
+      if (dismissed.has(pairKey(venue.id, other.id))) return;
+      const match = scoreDuplicate(venue, other);
+      if (match.score >= POSSIBLE_DUPLICATE_SCORE) {
+        pairs.push({ target: venue, source: other, ...match });
+      }
+    });
+  });
+  return pairs.sort((a, b) => b.score - a.score);
+}
+
+// Dismissed pairs from the store's not_duplicates collection, as pairKey()s
+export function dismissedPairKeys(notDuplicates) {
+  return new Set(notDuplicates.map(record => pairKey(record.venue_id, record.other_id)));
+}
+
+/**
+ * Pending discovered venues that may already be in the directory, skipping dismissed pairs.
+ * @param {import('./venue-schema.js').DiscoveredVenue[]} discovered
+ * @param {import('./venue-schema.js').Venue[]} venues
+ * @param {Set<string>} dismissed
+ */
+export function findDiscoveredDuplicates(discovered, venues, dismissed = new Set()) {
+  return discovered
+    .filter(venue => venue.status === 'pending')
+    .flatMap(venue => findDuplicates(venue, venues)
+      .filter(match => !dismissed.has(pairKey(match.venue.id, venue.id)))
+      .map(({ venue: target, score, reasons }) => ({ target, source: venue, score, reasons })))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Field-by-field comparison for the merge screen. Only directory fields the
+ * source actually has are listed; conflict is set when both have different values.
+ * @param {Record<string, any>} target
+ * @param {Record<string, any>} source
+ */
+export function compareFields(target, source) {
+  return VENUE_COLUMNS
+    .filter(field => field in source)
+    .map(field => {
+      const targetValue = target[field] ?? '';
+      const sourceValue = source[field] ?? '';
+      const conflict = targetValue !== '' && sourceValue !== '' &&
+        String(targetValue).trim().toLowerCase() !== String(sourceValue).trim().toLowerCase();
+      return { field, target: targetValue, source: sourceValue, conflict };
+    });
+}
+
+// Where the source's history now ends on a value the target didn't keep, the target's
+// value goes after it, with the provenance it had before the merge
+function restateKeptValues(tx, venue, kept) {
+  Object.entries(currentProvenance(tx.all('venue_history'), venue.id))
+    .filter(([field, latest]) => latest.value !== venue[field])
+    .forEach(([field, latest]) => {
+      const { source = 'manual', source_url = '', confidence = 1 } = kept[field] || {};
+      tx.insert('venue_history', {
+        venue_id: venue.id, field, value: venue[field], previous_value: latest.value, source, source_url, confidence
+      });
+    });
+}
+
+/**
+ * Keep the chosen values on the target and fold the source into it, in the caller's
+ * transaction. A directory venue is removed, and what pointed at it goes with it:
+ * its field history and reviewed proposals move to the target, as do its finished
+ * scrape tasks. The target's values are recorded again after the source's history,
+ * so the newest entry for each field is still the value the target has. Its pending proposals and site check were for its own website, so
+ * they're dropped. A discovered venue is marked approved and linked to the target.
+ * @param {*} tx Venue store transaction
+ * @param {import('./venue-schema.js').Venue} target
+ * @param {Record<string, any>} source
+ * @param {'venues' | 'discovered'} collection The source's
+ * @param {Partial<import('./venue-schema.js').Venue>} patch Values to keep on the target
+ */
+export function mergeVenues(tx, target, source, collection, patch) {
+  const merged = tx.update('venues', target.id, patch);
+
+  if (collection === 'venues') {
+    tx.remove('venues', source.id);
+    const fromSource = name => tx.all(name).filter(record => record.venue_id === source.id);
+
+    // Discoveries and dismissals that pointed at the removed venue now point at the survivor
+    fromSource('discovered').forEach(venue => tx.update('discovered', venue.id, { venue_id: target.id }));
+    tx.all('not_duplicates')
+      .filter(record => record.venue_id === source.id || record.other_id === source.id)
+      .forEach(record => tx.remove('not_duplicates', record.id));
+
+    const kept = currentProvenance(tx.all('venue_history'), target.id);
+    fromSource('venue_history').forEach(entry => tx.update('venue_history', entry.id, { venue_id: target.id }));
+    restateKeptValues(tx, merged, kept);
+    fromSource('proposed_changes').forEach(proposal => (proposal.status === 'pending'
+      ? tx.remove('proposed_changes', proposal.id)
+      : tx.update('proposed_changes', proposal.id, { venue_id: target.id })));
+    fromSource('site_checks').forEach(check => tx.remove('site_checks', check.id));
+    moveScrapeTasks(tx, source.id, target.id);
+  } else {
+    // The discovery is already in the directory, so it's approved and linked
+    tx.update('discovered', source.id, { status: 'approved', venue_id: target.id });
+  }
+
+  return merged;
+}
@@ -0,0 +1,89 @@
+import { normalizeGenres, expandGenres } from './genres.js';
+
+// Facet filters (region, location, genre, type and capacity) and their live counts, shared by
+// the public API and the directory page. Pure functions only, so this runs in the browser.
+
+/**
+ * @typedef {object} FacetFilters
+ * @property {string[]} [region] Any of these regions
+ * @property {string[]} [location] Any of these locations
+ * @property {string[]} [genre] Any of these genres
+ * @property {string[]} [type] Any of these venue types
+ * @property {number | null} [minCapacity]
+ * @property {number | null} [maxCapacity]
+ * @property {boolean} [excludeUnknownCapacity]
+ */
+
+/**
+ * @typedef {object} FacetVenue
+ * @property {string} region
+ * @property {string} location
+ * @property {string} typical_genres
+ * @property {string} venue_type
+ * @property {number | null} capacity
+ */
+
+// The values a venue has for each facet. Genres are matched whole, so "Rock" doesn't match
+// "Hard Rock", but a venue also counts under every broader genre, so Hard Rock venues show up under Rock.
+export const FACETS = {
+  region: venue => [venue.region],
+  location: venue => [venue.location],
+  genre: venue => expandGenres(normalizeGenres(venue.typical_genres)),
+  type: venue => [venue.venue_type]
+};
+
+/**
+ * Within a facet any selected value matches, ignoring case; no selection matches everything.
+ * @param {string[]} values
+ * @param {string[] | undefined} selected
+ */
+function matchesFacet(values, selected) {
+  if (!selected || selected.length === 0) return true;
+  const wanted = selected.map(value => value.toLowerCase());
+  return values.some(value => wanted.includes((value || '').toLowerCase()));
+}
+
+/**
+ * A venue of unknown capacity can't be said to be in a range, so it never matches one.
+ * Without a range it matches unless unknown capacities are excluded.
+ * @param {number | null} capacity
+ * @param {FacetFilters} filters
+ */
+export function matchesCapacity(capacity, { minCapacity = null, maxCapacity = null, excludeUnknownCapacity = false }) {
+  if (capacity === null || capacity === undefined) {
+    return !excludeUnknownCapacity && minCapacity === null && maxCapacity === null;
+  }
+  return (minCapacity === null || capacity >= minCapacity) && (maxCapacity === null || capacity <= maxCapacity);
+}
+
+/**
+ * Facets combine with AND; pass a facet name as `ignore` to leave that one out,
+ * which is how each facet's own counts are worked out.
+ * @param {FacetVenue} venue
+ * @param {FacetFilters} filters
+ * @param {string} [ignore]
+ */
+export function matchesFacetFilters(venue, filters, ignore = '') {
+  return matchesCapacity(venue.capacity, filters) &&
+    Object.entries(FACETS).every(([facet, valuesOf]) => facet === ignore || matchesFacet(valuesOf(venue), filters[facet]));
+}
+
+/**
+ * Number of venues each facet value would match, given every other active filter.
+ * @param {FacetVenue[]} venues
+ * @param {FacetFilters} filters
+ * @returns {Record<string, Record<string, number>>} Facet name to value to count
+ */
+export function countFacets(venues, filters) {
+  return Object.fromEntries(Object.entries(FACETS).map(([facet, valuesOf]) => {
+    const counts = {};
+    venues
+      .filter(venue => matchesFacetFilters(venue, filters, facet))
+      .forEach(venue => {
+        new Set(valuesOf(venue)).forEach(value => {
+          counts[value] = (counts[value] || 0) + 1;
+        });
+      });
+    return [facet, counts];
+  }));
+}
@@ -0,0 +1,83 @@
+// Projection and clustering for the directory map. Pure functions only, so they
+// run both at build time (state outline) and in the browser (markers).
+
+// Equirectangular projection scaled for NC's latitude, so the state isn't stretched.
+// Map units are hundredths of a degree of longitude at that latitude.
+const REFERENCE_LATITUDE = 35.5;
+const X_SCALE = 100 * Math.cos(REFERENCE_LATITUDE * Math.PI / 180);
+const Y_SCALE = 100;
+
+/**
+ * @param {number} lng
+ * @param {number} lat
+ * @returns {[number, number]} SVG x, y
+ */
+export function project(lng, lat) {
+  return [lng * X_SCALE, -lat * Y_SCALE];
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @returns {[number, number]} lng, lat
+ */
+export function unproject(x, y) {
+  return [x / X_SCALE, -y / Y_SCALE];
+}
+
+/**
+ * SVG path for a GeoJSON MultiPolygon outline.
+ * @param {{ coordinates: number[][][][] }} outline
+ */
+export function outlinePath(outline) {
+  return outline.coordinates
+    .flatMap(polygon => polygon)
+    .map(ring => ring
+      .map(([lng, lat], index) => {
+        const [x, y] = project(lng, lat);
+        return `${index === 0 ? 'M' : 'L'}${x.toFixed(2)} ${y.toFixed(2)}`;
+      })
+      .join(' ') + ' Z')
+    .join(' ');
+}
+
+/**
+ * Projected bounding box of an outline with some padding, for the SVG viewBox.
+ * @param {{ coordinates: number[][][][] }} outline
+ */
+export function outlineBounds(outline, padding = 10) {
+  const points = outline.coordinates.flat(2).map(([lng, lat]) => project(lng, lat));
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const minX = Math.min(...xs) - padding;
+  const minY = Math.min(...ys) - padding;
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(...xs) + padding - minX,
+    height: Math.max(...ys) + padding - minY
+  };
+}
+
+/**
+ * Group points that fall in the same grid cell. Cell size is in map units,
+ * so callers pass a size that matches a fixed number of screen pixels.
+ * @template {{ x: number, y: number }} T
+ * @param {T[]} points
+ * @param {number} cellSize
+ * @returns {{ x: number, y: number, items: T[] }[]}
+ */
+export function clusterPoints(points, cellSize) {
+  const cells = new Map();
+  points.forEach(point => {
+    const key = `${Math.floor(point.x / cellSize)}:${Math.floor(point.y / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+  });
+
+  return [...cells.values()].map(items => ({
+    x: items.reduce((sum, item) => sum + item.x, 0) / items.length,
+    y: items.reduce((sum, item) => sum + item.y, 0) / items.length,
+    items
+  }));
+}
@@ -0,0 +1,289 @@
+import { VENUE_FIELDS, VENUE_ADDRESS_FIELDS } from './venue-schema.js';
+import { distanceMiles } from './gazetteer.js';
+import { matchesFacetFilters, countFacets, FACETS } from './venue-facets.js';
+import { sortGenres } from './genres.js';
+import { normalizeVenueType, VENUE_TYPE_VALUES } from './venue-types.js';
+import { REGION_VALUES } from './regions.js';
+
+// Filtering, sorting and facets over directory venues, shared by the site and the public API.
+
+/** @typedef {import('./venue-schema.js').Venue} Venue */
+
+export const SORT_FIELDS = ['name', 'location', 'venue_type', 'capacity', 'updated_at', 'distance'];
+export const SELECTABLE_FIELDS = [
+  'id', 'slug', ...Object.keys(VENUE_FIELDS), ...Object.keys(VENUE_ADDRESS_FIELDS), 'created_at', 'updated_at'
+];
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+export const DEFAULT_RADIUS_MILES = 25;
+const MAX_RADIUS_MILES = 500;
+
+/**
+ * @param {Venue[]} venues
+ * @returns {string[]}
+ */
+export function getUniqueLocations(venues) {
+  return [...new Set(venues.map(venue => venue.location).filter(Boolean))].sort();
+}
+
+/**
+ * Canonical genres in use, with their broader genres, in taxonomy order.
+ * @param {Venue[]} venues
+ * @returns {string[]}
+ */
+export function getUniqueGenres(venues) {
+  return sortGenres([...new Set(venues.flatMap(FACETS.genre))]);
+}
+
+/**
+ * Venue types in use, in vocabulary order.
+ * @param {Venue[]} venues
+ * @returns {string[]}
+ */
+export function getUniqueVenueTypes(venues) {
+  const used = new Set(venues.map(venue => venue.venue_type));
+  return VENUE_TYPE_VALUES.filter(type => used.has(type));
+}
+
+/**
+ * Regions with venues, in the order regions.js lists them.
+ * @param {Venue[]} venues
+ * @returns {string[]}
+ */
+export function getUniqueRegions(venues) {
+  const used = new Set(venues.map(venue => venue.region));
+  return REGION_VALUES.filter(region => used.has(region));
+}
+
+/**
+ * How the directory and the API show venues marked closed: 'mark' lists them with a
+ * closed label, 'hide' leaves them out. Set with CLOSED_VENUES; marking is the default.
+ * @returns {'mark' | 'hide'}
+ */
+export function resolveClosedVenueDisplay() {
+  return (process.env.CLOSED_VENUES || '').trim().toLowerCase() === 'hide' ? 'hide' : 'mark';
+}
+
+/**
+ * The venues the public directory lists.
+ * @param {Venue[]} venues
+ * @param {'mark' | 'hide'} [display]
+ * @returns {Venue[]}
+ */
+export function listedVenues(venues, display = resolveClosedVenueDisplay()) {
+  return display === 'hide' ? venues.filter(venue => venue.operating_status !== 'closed') : venues;
+}
+
+export class VenueQueryError extends Error {}
+
+function parseInteger(params, name, min, max) {
+  const value = params.get(name);
+  if (value === null || value === '') return null;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new VenueQueryError(`'${name}' must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Facets can be given more than once, e.g. type=bar&type=brewery
+function parseList(params, name) {
+  return params.getAll(name).map(value => value.trim()).filter(Boolean);
+}
+
+// Types accept any label that maps onto the vocabulary, e.g. type=Bar/Restaurant
+function parseVenueTypes(params) {
+  return parseList(params, 'type').map(type => {
+    const value = normalizeVenueType(type);
+    if (!value) {
+      throw new VenueQueryError(`Unknown type '${type}' (must be one of ${VENUE_TYPE_VALUES.join(', ')})`);
+    }
+    return value;
+  });
+}
+
+function parseRegions(params) {
+  return parseList(params, 'region').map(region => {
+    const value = region.toLowerCase();
+    if (!REGION_VALUES.includes(value)) {
+      throw new VenueQueryError(`Unknown region '${region}' (must be one of ${REGION_VALUES.join(', ')})`);
+    }
+    return value;
+  });
+}
+
+function parseBoolean(params, name) {
+  const value = (params.get(name) || '').toLowerCase();
+  if (value === '' || value === 'false' || value === '0') return false;
+  if (value === 'true' || value === '1') return true;
+  throw new VenueQueryError(`'${name}' must be true or false`);
+}
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === 2) return values;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new VenueQueryError(`Invalid cursor '${cursor}'`);
+}
+
+/**
+ * Query parameters of a Netlify function event. Repeated parameters such as
+ * type=bar&type=brewery only survive in multiValueQueryStringParameters.
+ * @param {{ queryStringParameters?: Record<string, string>, multiValueQueryStringParameters?: Record<string, string[]> }} event
+ */
+export function eventSearchParams(event) {
+  const params = new URLSearchParams();
+  const multiValue = event.multiValueQueryStringParameters || {};
+  Object.entries(event.queryStringParameters || {}).forEach(([name, value]) => {
+    (multiValue[name] || [value]).forEach(item => params.append(name, item));
+  });
+  return params;
+}
+
+/**
+ * Parse and validate API query parameters.
+ * @param {URLSearchParams} params
+ * @param {(place: string) => { lat: number, lng: number } | null} [locate] Resolves 'near' to coordinates
+ */
+export function parseVenueQuery(params, locate = () => null) {
+  const near = (params.get('near') || '').trim();
+  const origin = near ? locate(near) : null;
+  if (near && !origin) {
+    throw new VenueQueryError(`Unknown place '${near}' (use a North Carolina town or ZIP code)`);
+  }
+
+  // Searches near a place are closest-first unless asked otherwise
+  const sortParam = params.get('sort') || (origin ? 'distance' : 'name');
+  const sortField = sortParam.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw new VenueQueryError(`'sort' must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+  }
+  if (sortField === 'distance' && !origin) {
+    throw new VenueQueryError(`'sort=distance' needs a 'near' place`);
+  }
+
+  const fields = params.get('fields')
+    ? params.get('fields').split(',').map(field => field.trim()).filter(Boolean)
+    : null;
+  const unknownFields = (fields || []).filter(field => !SELECTABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new VenueQueryError(`Unknown fields: ${unknownFields.join(', ')}`);
+  }
+
+  const query = {
+    search: (params.get('q') || '').trim().toLowerCase(),
+    region: parseRegions(params),
+    location: parseList(params, 'location'),
+    genre: parseList(params, 'genre'),
+    type: parseVenueTypes(params),
+    minCapacity: parseInteger(params, 'min_capacity', 0, 1000000),
+    maxCapacity: parseInteger(params, 'max_capacity', 0, 1000000),
+    excludeUnknownCapacity: parseBoolean(params, 'exclude_unknown_capacity'),
+    origin,
+    radius: parseInteger(params, 'radius', 1, MAX_RADIUS_MILES) || DEFAULT_RADIUS_MILES,
+    sortField,
+    descending: sortParam.startsWith('-'),
+    limit: parseInteger(params, 'limit', 1, MAX_LIMIT) || DEFAULT_LIMIT,
+    cursor: params.get('cursor') ? decodeCursor(params.get('cursor')) : null,
+    fields
+  };
+
+  if (query.minCapacity !== null && query.maxCapacity !== null && query.minCapacity > query.maxCapacity) {
+    throw new VenueQueryError(`'min_capacity' can't be greater than 'max_capacity'`);
+  }
+  return query;
+}
+
+// Free-text search and distance; the facet filters are applied separately
+function matchesSearchAndDistance(venue, { search = '', origin = null, radius = DEFAULT_RADIUS_MILES }) {
+  const matchesSearch = !search ||
+    venue.name.toLowerCase().includes(search) ||
+    venue.location.toLowerCase().includes(search) ||
+    (venue.typical_genres || '').toLowerCase().includes(search);
+
+  // Venues without coordinates never match a distance filter
+  const matchesDistance = !origin || (
+    venue.lat !== null && venue.lat !== undefined && distanceMiles(origin, venue) <= radius
+  );
+
+  return matchesSearch && matchesDistance;
+}
+
+/**
+ * Apply the same filters as the directory page.
+ * @param {Venue[]} venues
+ * @param {object} query From parseVenueQuery
+ */
+export function filterVenues(venues, query) {
+  return venues.filter(venue => matchesSearchAndDistance(venue, query) && matchesFacetFilters(venue, query));
+}
+
+/**
+ * Per-value counts for the region, location, genre and type facets under the other filters in a query.
+ * @param {Venue[]} venues
+ * @param {object} query From parseVenueQuery
+ */
+export function countVenueFacets(venues, query) {
+  return countFacets(venues.filter(venue => matchesSearchAndDistance(venue, query)), query);
+}
+
+// Order by the sort field then id, with empty values last in either direction
+function compareVenues(a, b, sortField, descending) {
+  const valueA = a[sortField];
+  const valueB = b[sortField];
+  const emptyA = valueA === null || valueA === '';
+  const emptyB = valueB === null || valueB === '';
+
+  if (emptyA !== emptyB) return emptyA ? 1 : -1;
+  if (!emptyA && valueA !== valueB) {
+    const order = typeof valueA === 'number'
+      ? valueA - valueB
+      : String(valueA).localeCompare(String(valueB));
+    return descending ? -order : order;
+  }
+  return a.id.localeCompare(b.id);
+}
+
+/**
+ * Filter, sort and page through venues. Cursors point at the last venue of the
+ * previous page, so paging stays stable while venues are added or removed.
+ * Searches near a place add distance_miles to each venue.
+ * @param {Venue[]} venues
+ * @param {ReturnType<typeof parseVenueQuery>} query
+ */
+export function queryVenues(venues, query) {
+  const { origin, descending, limit, cursor, fields } = query;
+  const sortField = query.sortField === 'distance' ? 'distance_miles' : query.sortField;
+  const compare = (a, b) => compareVenues(a, b, sortField, descending);
+  const matches = filterVenues(venues, query)
+    .map(venue => origin
+      ? { ...venue, distance_miles: Math.round(distanceMiles(origin, venue) * 10) / 10 }
+      : venue)
+    .sort(compare);
+
+  const start = cursor
+    ? matches.findIndex(venue => compare(venue, { [sortField]: cursor[0], id: cursor[1] }) > 0)
+    : 0;
+  const page = start === -1 ? [] : matches.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + limit < matches.length;
+
+  return {
+    data: fields
+      ? page.map(venue => Object.fromEntries(
+        ['id', ...fields, ...(origin ? ['distance_miles'] : [])].map(field => [field, venue[field]])
+      ))
+      : page,
+    total: matches.length,
+    next_cursor: hasMore ? encodeCursor([last[sortField], last.id]) : null
+  };
+}
@@ -0,0 +1,424 @@
+import crypto from 'crypto';
+import { normalizeGenreText } from './genres.js';
+import { normalizeVenueType, VENUE_TYPE_VALUES } from './venue-types.js';
+import { REGION_VALUES } from './regions.js';
+import { PROVENANCE_SOURCES } from './provenance.js';
+
+// Canonical venue schema shared by the site (TypeScript), the scripts (ESM)
+// and the Netlify functions (CommonJS, via dynamic import).
+
+/**
+ * @typedef {object} Venue
+ * @property {string} id
+ * @property {string} slug
+ * @property {string} name
+ * @property {string} location
+ * @property {string} address
+ * @property {string} venue_type
+ * @property {number | null} capacity
+ * @property {string} contact_email
+ * @property {string} contact_phone
+ * @property {string} contact_name
+ * @property {string} website
+ * @property {string} typical_genres
+ * @property {OperatingStatus} operating_status
+ * @property {string} street Parsed from address
+ * @property {string} city Canonical town name from the gazetteer
+ * @property {string} state
+ * @property {string} zip
+ * @property {number | null} lat
+ * @property {number | null} lng
+ * @property {'zip' | 'place' | ''} geo_precision Whether lat/lng is the ZIP centroid or only the town's
+ * @property {string} region One of the regions in regions.js, from lat/lng; '' if the venue couldn't be placed
+ * @property {'' | 'out_of_state'} address_issue Why the address couldn't be placed, for a reviewer to fix
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {'open' | 'closed'} OperatingStatus
+ */
+
+/**
+ * @typedef {'pending' | 'approved' | 'rejected'} DiscoveryStatus
+ */
+
+/**
+ * @typedef {object} DiscoveredVenue
+ * @property {string} id
+ * @property {string} name
+ * @property {string} location
+ * @property {string} address
+ * @property {string} venue_type
+ * @property {string} website
+ * @property {string} contact_email
+ * @property {string} contact_phone
+ * @property {string} contact_name
+ * @property {number | null} capacity
+ * @property {string} typical_genres
+ * @property {string} description What the source said about it, such as a search result's snippet
+ * @property {string} excerpt Text from its own site's homepage, found by enrichment
+ * @property {string} source Name of the discovery source that found it, e.g. "search" or "osm"
+ * @property {string} discovered_from What the source found it in: a search term, a listing page or a map feature
+ * @property {string} discovery_date
+ * @property {DiscoveryStatus} status
+ * @property {number | null} score How likely it is to be a music venue, 0 to 1 (see discovery-scoring.js)
+ * @property {Array<{ reason: string, points: number }>} score_reasons
+ * @property {'' | 'score' | 'reviewer'} rejected_by Whether a rejection was automatic, for a score under the minimum
+ * @property {Record<string, { extractor: string, confidence: number, source_url: string }>} enriched_fields
+ *   Where enrichment found each value (see discovery-enrichment.js)
+ * @property {string} enriched_at When its site was crawled, if it has been
+ * @property {string} enrichment_error Why the crawl failed, if it did
+ * @property {string} venue_id Id of the directory venue created from this one, once added
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * A pair of records reviewed on the merge screen and marked as different venues.
+ * @typedef {object} NotDuplicate
+ * @property {string} id
+ * @property {string} venue_id Directory venue id
+ * @property {string} other_id Directory or discovered venue id
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {'pending' | 'approved' | 'rejected'} ProposalStatus
+ */
+
+/**
+ * A field value found by the scraper, held for review before it reaches the directory.
+ * @typedef {object} ProposedChange
+ * @property {string} id
+ * @property {string} venue_id
+ * @property {string} field
+ * @property {any} value As scraped
+ * @property {any} reviewed_value The value approved in its place, if it was edited on review
+ * @property {string} source_url Page the value was found on
+ * @property {string} extractor Name of the extractor that found it
+ * @property {number} confidence
+ * @property {ProposalStatus} status
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {'running' | 'completed'} ScrapeJobStatus
+ */
+
+/**
+ * A scraper run over the venues missing details. Its progress is kept in its tasks,
+ * so a run cut off by a function timeout or a restart carries on where it stopped.
+ * @typedef {object} ScrapeJob
+ * @property {string} id
+ * @property {ScrapeJobStatus} status
+ * @property {string} trigger What started it: 'admin', 'schedule' or 'manual'
+ * @property {number} total Venues in the job
+ * @property {string} finished_at
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {'pending' | 'running' | 'done' | 'failed'} ScrapeTaskStatus
+ */
+
+/**
+ * One venue's part of a scrape job.
+ * @typedef {object} ScrapeTask
+ * @property {string} id
+ * @property {string} job_id
+ * @property {string} venue_id
+ * @property {ScrapeTaskStatus} status 'failed' once it's out of attempts
+ * @property {number} attempts
+ * @property {string} last_error
+ * @property {string} next_retry_at When a failed attempt may be tried again; '' if it needn't wait
+ * @property {string} started_at When the latest attempt started
+ * @property {string} renewed_at When the latest attempt last said it was still going
+ * @property {string} finished_at
+ * @property {string[]} fields_found
+ * @property {number} pages Pages crawled
+ * @property {number} changes_proposed
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {'ok' | 'redirected' | 'broken' | 'unreachable' | 'parked' | 'expired' | 'closed' | 'blocked'} SiteStatus
+ */
+
+/**
+ * The latest health check of a venue's website, one per venue (see site-health.js).
+ * @typedef {object} SiteCheck
+ * @property {string} id
+ * @property {string} venue_id
+ * @property {string} url The website as checked
+ * @property {SiteStatus} status
+ * @property {number | null} http_status
+ * @property {string} final_url After redirects
+ * @property {string} error
+ * @property {string} closure_phrase The words on the site that say it's closed
+ * @property {string} domain_expires_at From the domain's registration, when it was looked up
+ * @property {number} failures Checks in a row that found the same problem
+ * @property {string} checked_at
+ * @property {string} dismissed_status A status marked as fine on /admin, so it isn't flagged again
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+export const OPERATING_STATUSES = ['open', 'closed'];
+export const DISCOVERY_STATUSES = ['pending', 'approved', 'rejected'];
+export const PROPOSAL_STATUSES = ['pending', 'approved', 'rejected'];
+export const SCRAPE_JOB_STATUSES = ['running', 'completed'];
+export const SCRAPE_TASK_STATUSES = ['pending', 'running', 'done', 'failed'];
+export const SITE_STATUSES = ['ok', 'redirected', 'broken', 'unreachable', 'parked', 'expired', 'closed', 'blocked'];
+
+export const VENUE_FIELDS = {
+  name: { type: 'string', required: true },
+  location: { type: 'string', required: true },
+  address: { type: 'string' },
+  venue_type: { type: 'venue_type', required: true },
+  capacity: { type: 'integer', min: 0, max: 1000000 },
+  contact_email: { type: 'email' },
+  contact_phone: { type: 'string' },
+  contact_name: { type: 'string' },
+  website: { type: 'string' },
+  typical_genres: { type: 'genres' },
+  operating_status: { type: 'enum', values: OPERATING_STATUSES, default: 'open' }
+};
+
+// Short names for the directory fields on the admin screens
+export const VENUE_FIELD_LABELS = {
+  name: 'Name',
+  location: 'Location',
+  address: 'Address',
+  venue_type: 'Type',
+  capacity: 'Capacity',
+  contact_email: 'Email',
+  contact_phone: 'Phone',
+  contact_name: 'Contact',
+  website: 'Website',
+  typical_genres: 'Genres',
+  operating_status: 'Status'
+};
+
+// Derived from address and location by address.js whenever a venue is saved
+export const VENUE_ADDRESS_FIELDS = {
+  street: { type: 'string' },
+  city: { type: 'string' },
+  state: { type: 'string' },
+  zip: { type: 'string' },
+  lat: { type: 'number', min: -90, max: 90 },
+  lng: { type: 'number', min: -180, max: 180 },
+  geo_precision: { type: 'enum', values: ['zip', 'place', ''] },
+  region: { type: 'enum', values: [...REGION_VALUES, ''] },
+  address_issue: { type: 'enum', values: ['', 'out_of_state'] }
+};
+
+export const DISCOVERED_VENUE_FIELDS = {
+  name: { type: 'string', required: true },
+  location: { type: 'string', required: true },
+  address: { type: 'string' },
+  venue_type: { type: 'venue_type' },
+  website: { type: 'string' },
+  contact_email: { type: 'email' },
+  contact_phone: { type: 'string' },
+  contact_name: { type: 'string' },
+  capacity: { type: 'integer', min: 0, max: 1000000 },
+  typical_genres: { type: 'genres' },
+  description: { type: 'string' },
+  excerpt: { type: 'string' },
+  source: { type: 'string' },
+  discovered_from: { type: 'string' },
+  discovery_date: { type: 'string' },
+  status: { type: 'enum', values: DISCOVERY_STATUSES, default: 'pending' },
+  score: { type: 'number', min: 0, max: 1 },
+  score_reasons: { type: 'any' },
+  rejected_by: { type: 'enum', values: ['', 'score', 'reviewer'] },
+  enriched_fields: { type: 'any' },
+  enriched_at: { type: 'string' },
+  enrichment_error: { type: 'string' },
+  venue_id: { type: 'string' }
+};
+
+export const NOT_DUPLICATE_FIELDS = {
+  venue_id: { type: 'string', required: true },
+  other_id: { type: 'string', required: true }
+};
+
+// One change to one directory field, with where the new value came from (see provenance.js)
+export const VENUE_HISTORY_FIELDS = {
+  venue_id: { type: 'string', required: true },
+  field: { type: 'enum', values: Object.keys(VENUE_FIELDS) },
+  value: { type: 'any' },
+  previous_value: { type: 'any' },
+  source: { type: 'enum', values: PROVENANCE_SOURCES, default: 'manual' },
+  source_url: { type: 'string' },
+  confidence: { type: 'number', min: 0, max: 1 },
+  reverted_from: { type: 'string' }
+};
+
+export const PROPOSED_CHANGE_FIELDS = {
+  venue_id: { type: 'string', required: true },
+  field: { type: 'enum', values: Object.keys(VENUE_FIELDS) },
+  value: { type: 'any' },
+  reviewed_value: { type: 'any' },
+  source_url: { type: 'string' },
+  extractor: { type: 'string' },
+  confidence: { type: 'number', min: 0, max: 1 },
+  status: { type: 'enum', values: PROPOSAL_STATUSES, default: 'pending' }
+};
+
+export const SCRAPE_JOB_FIELDS = {
+  status: { type: 'enum', values: SCRAPE_JOB_STATUSES, default: 'running' },
+  trigger: { type: 'string' },
+  total: { type: 'integer', min: 0, max: 100000 },
+  finished_at: { type: 'string' }
+};
+
+export const SCRAPE_TASK_FIELDS = {
+  job_id: { type: 'string', required: true },
+  venue_id: { type: 'string', required: true },
+  status: { type: 'enum', values: SCRAPE_TASK_STATUSES, default: 'pending' },
+  attempts: { type: 'integer', min: 0, max: 100 },
+  last_error: { type: 'string' },
+  next_retry_at: { type: 'string' },
+  started_at: { type: 'string' },
+  renewed_at: { type: 'string' },
+  finished_at: { type: 'string' },
+  fields_found: { type: 'any' },
+  pages: { type: 'integer', min: 0, max: 1000 },
+  changes_proposed: { type: 'integer', min: 0, max: 1000 }
+};
+
+export const SITE_CHECK_FIELDS = {
+  venue_id: { type: 'string', required: true },
+  url: { type: 'string' },
+  status: { type: 'enum', values: SITE_STATUSES, default: 'ok' },
+  http_status: { type: 'integer', min: 0, max: 999 },
+  final_url: { type: 'string' },
+  error: { type: 'string' },
+  closure_phrase: { type: 'string' },
+  domain_expires_at: { type: 'string' },
+  failures: { type: 'integer', min: 0, max: 100000 },
+  checked_at: { type: 'string' },
+  dismissed_status: { type: 'string' }
+};
+
+// Column order used for CSV import/export of directory venues
+export const VENUE_COLUMNS = Object.keys(VENUE_FIELDS);
+export const DISCOVERED_VENUE_COLUMNS = Object.keys(DISCOVERED_VENUE_FIELDS).filter(column => column !== 'venue_id');
+
+export function createId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+export function slugify(text) {
+  return (text || '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    // Sammy's is sammys, not sammy-s
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// City part of a "City, ST" location
+export function locationCity(location) {
+  return (location || '').split(',')[0].trim();
+}
+
+/**
+ * Build a URL slug from the venue name and city that isn't in takenSlugs.
+ * Slugs are assigned once and kept when a venue is renamed.
+ * @param {{ name: string, location: string }} venue
+ * @param {Set<string>} takenSlugs
+ */
+export function createVenueSlug(venue, takenSlugs = new Set()) {
+  const base = [slugify(venue.name), slugify(locationCity(venue.location))].filter(Boolean).join('-') || 'venue';
+  let slug = base;
+  for (let n = 2; takenSlugs.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+function normalizeValue(spec, value) {
+  if (spec.type === 'any') {
+    // Field values kept as they were stored
+    return value === undefined ? null : value;
+  }
+  if (spec.type === 'integer' || spec.type === 'number') {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : Number(value.toString().replace(/,/g, '').trim());
+    return Number.isNaN(number) ? value : number;
+  }
+  if (spec.type === 'genres') {
+    // Stored as canonical names from the genre taxonomy
+    return normalizeGenreText(value === null || value === undefined ? '' : value.toString());
+  }
+  if (value === null || value === undefined) {
+    return spec.default || '';
+  }
+  if (spec.type === 'venue_type') {
+    // Labels from other sources map onto the vocabulary; anything else is left for validation to report
+    return normalizeVenueType(value.toString()) || value.toString().trim();
+  }
+  return value.toString().trim() || spec.default || '';
+}
+
+function validateValue(field, spec, value) {
+  if (spec.required && !value) {
+    return `Missing required field '${field}'`;
+  }
+  if (spec.type === 'integer' && value !== null &&
+      (!Number.isInteger(value) || value < spec.min || value > spec.max)) {
+    return `Invalid ${field} (should be a number between ${spec.min.toLocaleString('en-US')} and ${spec.max.toLocaleString('en-US')})`;
+  }
+  if (spec.type === 'number' && value !== null &&
+      (typeof value !== 'number' || value < spec.min || value > spec.max)) {
+    return `Invalid ${field} (should be a number between ${spec.min} and ${spec.max})`;
+  }
+  if (spec.type === 'email' && value && !value.split(/[;,]/).every(email => email.includes('@'))) {
+    return `Invalid ${field} format`;
+  }
+  if (spec.type === 'venue_type' && value && !VENUE_TYPE_VALUES.includes(value)) {
+    return `Invalid ${field} '${value}' (must be one of ${VENUE_TYPE_VALUES.join(', ')})`;
+  }
+  if (spec.type === 'enum' && !spec.values.includes(value)) {
+    return `Invalid ${field} '${value}' (must be one of ${spec.values.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Trim and coerce the known fields of a record and check them against the schema.
+ * Fields outside the schema (id, timestamps, ...) are passed through untouched.
+ * @param {Record<string, any>} fields
+ * @param {Record<string, any>} input
+ */
+export function validateRecord(fields, input) {
+  const record = { ...input };
+  const errors = [];
+
+  Object.entries(fields).forEach(([field, spec]) => {
+    record[field] = normalizeValue(spec, input[field]);
+    const error = validateValue(field, spec, record[field]);
+    if (error) errors.push(error);
+  });
+
+  return { record, errors };
+}
+
+export function validateVenue(input) {
+  return validateRecord(VENUE_FIELDS, input);
+}
+
+export function validateDiscoveredVenue(input) {
+  return validateRecord(DISCOVERED_VENUE_FIELDS, input);
+}
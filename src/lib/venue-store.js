@@ -0,0 +1,379 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  VENUE_FIELDS, VENUE_ADDRESS_FIELDS, DISCOVERED_VENUE_FIELDS, NOT_DUPLICATE_FIELDS, VENUE_HISTORY_FIELDS, PROPOSED_CHANGE_FIELDS,
+  SCRAPE_JOB_FIELDS, SCRAPE_TASK_FIELDS, SITE_CHECK_FIELDS, createId, createVenueSlug, validateRecord
+} from './venue-schema.js';
+import { normalizeVenueAddress } from './address.js';
+import { normalizeGenreText } from './genres.js';
+import { venueRegion } from './regions.js';
+import { fieldChanges } from './provenance.js';
+import { scoreDiscoveredVenue } from './discovery-scoring.js';
+
+// Shared venue repository used by the site, the scripts and the Netlify functions.
+// Everything lives in a single JSON document so a transaction can touch the
+// master directory and the discovery queue together and commit them atomically.
+
+const STORE_VERSION = 11;
+const BUNDLED_STORE_PATH = path.join(process.cwd(), 'src/data/venues.json');
+
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 30000;
+
+const SCHEMAS = {
+  venues: { ...VENUE_FIELDS, ...VENUE_ADDRESS_FIELDS },
+  discovered: DISCOVERED_VENUE_FIELDS,
+  not_duplicates: NOT_DUPLICATE_FIELDS,
+  venue_history: VENUE_HISTORY_FIELDS,
+  proposed_changes: PROPOSED_CHANGE_FIELDS,
+  scrape_jobs: SCRAPE_JOB_FIELDS,
+  scrape_tasks: SCRAPE_TASK_FIELDS,
+  site_checks: SITE_CHECK_FIELDS
+};
+
+// Changes to these are kept in venue_history; the address fields are derived from them
+const TRACKED_FIELDS = Object.keys(VENUE_FIELDS);
+
+export const COLLECTIONS = Object.keys(SCHEMAS);
+
+// Thrown when a transaction can't lock or write the store, e.g. the bundled store
+// in a Netlify function, which is deployed read-only
+export class VenueStoreReadOnlyError extends Error {}
+
+const READ_ONLY_CODES = ['EROFS', 'EACCES', 'EPERM'];
+
+// Upgrades from each older store version to the next one
+const MIGRATIONS = {
+  1: doc => {
+    const slugs = new Set();
+    doc.venues = doc.venues.map(({ id, ...venue }) => {
+      const slug = createVenueSlug(venue, slugs);
+      slugs.add(slug);
+      return { id, slug, ...venue };
+    });
+    (doc.discovered || []).forEach(venue => {
+      venue.venue_id = venue.venue_id || '';
+    });
+  },
+  2: doc => {
+    doc.venues = doc.venues.map(({ id, slug, created_at, updated_at, ...venue }) => (
+      { id, slug, ...venue, ...normalizeVenueAddress(venue), created_at, updated_at }
+    ));
+  },
+  3: doc => {
+    doc.venues.forEach(venue => {
+      venue.typical_genres = normalizeGenreText(venue.typical_genres);
+    });
+  },
+  4: doc => {
+    doc.venues = doc.venues.map(({ created_at, updated_at, ...venue }) => (
+      { ...venue, region: venueRegion(venue), created_at, updated_at }
+    ));
+  },
+  5: doc => {
+    // Every venue was open until now. The field goes after the other directory fields,
+    // where new venues have it.
+    doc.venues = doc.venues.map(venue => {
+      const entries = Object.entries(venue);
+      const at = entries.findIndex(([field]) => field === 'typical_genres') + 1;
+      return Object.fromEntries([...entries.slice(0, at), ['operating_status', 'open'], ...entries.slice(at)]);
+    });
+  },
+  6: doc => {
+    // Discovery only searched until now
+    doc.discovered = (doc.discovered || []).map(({ discovered_from, ...venue }) => {
+      const entries = Object.entries(venue);
+      const at = entries.findIndex(([field]) => field === 'website') + 1;
+      return Object.fromEntries([
+        ...entries.slice(0, at), ['contact_phone', ''], ['source', 'search'], ['discovered_from', discovered_from], ...entries.slice(at)
+      ]);
+    });
+  },
+  7: doc => {
+    // Venues already discovered are scored, but left for a reviewer to reject
+    doc.discovered = doc.discovered.map(venue => {
+      const { score, score_reasons } = scoreDiscoveredVenue(venue);
+      const entries = Object.entries(venue);
+      const insertAfter = (field, added) => entries.splice(entries.findIndex(([name]) => name === field) + 1, 0, ...added);
+      insertAfter('contact_phone', [['description', '']]);
+      insertAfter('status', [['score', score], ['score_reasons', score_reasons], ['rejected_by', venue.status === 'rejected' ? 'reviewer' : '']]);
+      return Object.fromEntries(entries);
+    });
+  },
+  8: doc => {
+    // Nothing discovered so far has been enriched; pending venues with a website will be on the next discovery run
+    doc.discovered = doc.discovered.map(venue => {
+      const entries = Object.entries(venue);
+      const insertAfter = (field, added) => entries.splice(entries.findIndex(([name]) => name === field) + 1, 0, ...added);
+      insertAfter('website', [['contact_email', '']]);
+      insertAfter('contact_phone', [['contact_name', ''], ['capacity', null], ['typical_genres', '']]);
+      insertAfter('description', [['excerpt', '']]);
+      insertAfter('rejected_by', [['enriched_fields', {}], ['enriched_at', ''], ['enrichment_error', '']]);
+      return Object.fromEntries(entries);
+    });
+  },
+  9: doc => {
+    // Attempts running now are judged by when they started, as before
+    doc.scrape_tasks = doc.scrape_tasks.map(task => {
+      const entries = Object.entries(task);
+      entries.splice(entries.findIndex(([field]) => field === 'started_at') + 1, 0, ['renewed_at', '']);
+      return Object.fromEntries(entries);
+    });
+  },
+  10: doc => {
+    // Addresses in other states were placed on NC towns of the same name, and a suite
+    // run into the city was dropped from the street
+    doc.venues = doc.venues.map(({ created_at, updated_at, ...venue }) => (
+      { ...venue, ...normalizeVenueAddress(venue), created_at, updated_at }
+    ));
+  }
+};
+
+export function resolveStorePath() {
+  return process.env.VENUE_STORE_PATH || BUNDLED_STORE_PATH;
+}
+
+function emptyDocument() {
+  const doc = { version: STORE_VERSION, updated_at: null };
+  COLLECTIONS.forEach(name => { doc[name] = []; });
+  return doc;
+}
+
+function loadDocument(filePath) {
+  const source = fs.existsSync(filePath)
+    ? filePath
+    // A fresh store (e.g. a new VENUE_STORE_PATH) starts from the bundled data
+    : fs.existsSync(BUNDLED_STORE_PATH) ? BUNDLED_STORE_PATH : null;
+
+  if (!source) return { doc: emptyDocument(), migrated: false };
+
+  const content = fs.readFileSync(source, 'utf8');
+  if (!content.trim()) return { doc: emptyDocument(), migrated: false };
+
+  const doc = JSON.parse(content);
+  if (!(doc.version <= STORE_VERSION)) {
+    throw new Error(`Unsupported venue store version ${doc.version} in ${source}`);
+  }
+  COLLECTIONS.forEach(name => { doc[name] = doc[name] || []; });
+
+  // Migrated documents are written back by the next transaction
+  const migrated = doc.version < STORE_VERSION;
+  while (doc.version < STORE_VERSION) {
+    MIGRATIONS[doc.version](doc);
+    doc.version++;
+  }
+  return { doc, migrated };
+}
+
+function readDocument(filePath) {
+  return loadDocument(filePath).doc;
+}
+
+function writeDocument(filePath, doc) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  doc.updated_at = new Date().toISOString();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  if (fs.existsSync(filePath)) {
+    fs.copyFileSync(filePath, `${filePath}.bak`);
+  }
+
+  // Write to a temp file and rename so readers never see a half-written store
+  fs.writeFileSync(tmpPath, JSON.stringify(doc, null, 2) + '\n');
+  fs.renameSync(tmpPath, filePath);
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function acquireLock(lockPath) {
+  const started = Date.now();
+
+  while (true) {
+    try {
+      return fs.openSync(lockPath, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      // Clear locks left behind by a crashed process
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(lockPath, { force: true });
+          continue;
+        }
+      } catch (statError) {
+        continue;
+      }
+
+      if (Date.now() - started > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for venue store lock: ${lockPath}`);
+      }
+      sleep(50);
+    }
+  }
+}
+
+function assertCollection(name) {
+  if (!COLLECTIONS.includes(name)) {
+    throw new Error(`Unknown venue store collection: ${name}`);
+  }
+}
+
+// Venues get a canonical location, structured address and coordinates on every save
+function prepareRecord(name, input) {
+  return name === 'venues' ? { ...input, ...normalizeVenueAddress(input) } : input;
+}
+
+function checkRecord(name, input) {
+  const { record, errors } = validateRecord(SCHEMAS[name], input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${name} record "${input.name || input.id}": ${errors.join('; ')}`);
+  }
+  return record;
+}
+
+function createTransaction(doc, migrated) {
+  const now = new Date().toISOString();
+  let changed = migrated;
+
+  const indexOf = (name, id) => {
+    assertCollection(name);
+    return doc[name].findIndex(record => record.id === id);
+  };
+
+  // Directory field changes are kept, with their provenance, alongside the venue.
+  // Every entry is checked before any is written, so a refused change leaves nothing behind.
+  const recordHistory = (before, after, provenance) => {
+    const entries = fieldChanges(before, after, TRACKED_FIELDS, provenance)
+      .map(entry => ({ id: createId(), ...checkRecord('venue_history', entry), created_at: now, updated_at: now }));
+    doc.venue_history.push(...entries);
+  };
+
+  return {
+    get changed() {
+      return changed;
+    },
+
+    all(name) {
+      assertCollection(name);
+      return doc[name];
+    },
+
+    find(name, id) {
+      const index = indexOf(name, id);
+      return index === -1 ? null : doc[name][index];
+    },
+
+    /**
+     * @param {string} name
+     * @param {Record<string, any>} data
+     * @param {import('./provenance.js').Provenance} [provenance] Where a venue's values came from
+     */
+    insert(name, data, provenance) {
+      assertCollection(name);
+      const { id, slug, created_at, updated_at, ...fields } = checkRecord(name, prepareRecord(name, data));
+      const record = { id: id || createId() };
+      if (indexOf(name, record.id) !== -1) {
+        throw new Error(`Duplicate ${name} id: ${record.id}`);
+      }
+      // Only directory venues get public URLs
+      if (name === 'venues') {
+        record.slug = slug || createVenueSlug(fields, new Set(doc.venues.map(venue => venue.slug)));
+      }
+      Object.assign(record, fields, { created_at: created_at || now, updated_at: now });
+      if (name === 'venues') recordHistory(null, record, provenance);
+      doc[name].push(record);
+      changed = true;
+      return record;
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} id
+     * @param {Record<string, any>} patch
+     * @param {import('./provenance.js').Provenance} [provenance] Where a venue's new values came from
+     */
+    update(name, id, patch, provenance) {
+      const index = indexOf(name, id);
+      if (index === -1) return null;
+      // Ids and slugs are permanent so links and references survive renames
+      const { slug, created_at } = doc[name][index];
+      const record = { ...checkRecord(name, prepareRecord(name, { ...doc[name][index], ...patch })), id, created_at, updated_at: now };
+      if (slug) record.slug = slug;
+      if (name === 'venues') recordHistory(doc[name][index], record, provenance);
+      doc[name][index] = record;
+      changed = true;
+      return record;
+    },
+
+    remove(name, id) {
+      const index = indexOf(name, id);
+      if (index === -1) return null;
+      const [record] = doc[name].splice(index, 1);
+      changed = true;
+      return record;
+    },
+
+    replaceAll(name, records, provenance) {
+      assertCollection(name);
+      doc[name] = [];
+      return records.map(record => this.insert(name, record, provenance));
+    }
+  };
+}
+
+export function openVenueStore(filePath = resolveStorePath()) {
+  const lockPath = `${filePath}.lock`;
+
+  /**
+   * Run fn against a fresh copy of the store; changes are written only if it returns normally.
+   * @template T
+   * @param {(tx: ReturnType<typeof createTransaction>) => T} fn
+   * @returns {T}
+   */
+  function transaction(fn) {
+    let lock;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      lock = acquireLock(lockPath);
+    } catch (error) {
+      if (!READ_ONLY_CODES.includes(error.code)) throw error;
+      throw new VenueStoreReadOnlyError(`The venue store at ${filePath} can't be written (${error.code}); set VENUE_STORE_PATH to a writable location`);
+    }
+
+    try {
+      const { doc, migrated } = loadDocument(filePath);
+      const tx = createTransaction(doc, migrated);
+      const result = fn(tx);
+
+      if (result && typeof result.then === 'function') {
+        throw new Error('Venue store transactions must be synchronous');
+      }
+
+      if (tx.changed) {
+        writeDocument(filePath, doc);
+      }
+      return result;
+    } finally {
+      fs.closeSync(lock);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  return {
+    path: filePath,
+
+    all(name) {
+      assertCollection(name);
+      return readDocument(filePath)[name];
+    },
+
+    find(name, id) {
+      assertCollection(name);
+      return readDocument(filePath)[name].find(record => record.id === id) || null;
+    },
+
+    transaction
+  };
+}
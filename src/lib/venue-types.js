@@ -0,0 +1,81 @@
+// Controlled vocabulary for venue_type, and the mapping from the labels used by the
+// master CSV, raleigh.csv and the discovery classifier onto it. Pure functions only,
+// so the directory page can use it too.
+
+/**
+ * @typedef {object} VenueTypeDefinition
+ * @property {string} value Stored value
+ * @property {string} label Shown in the directory
+ * @property {string[]} [synonyms] Labels from other sources that mean this type
+ */
+
+/** @type {VenueTypeDefinition[]} */
+export const VENUE_TYPES = [
+  { value: 'club', label: 'Club', synonyms: ['music venue', 'live music venue', 'nightclub', 'night club', 'music club', 'jazz club', 'blues club', 'listening room', 'venue', 'jazz venue', 'alternative venue'] },
+  { value: 'bar', label: 'Bar', synonyms: [
+    'bar/restaurant', 'bar and restaurant', 'bar and grill', 'restaurant', 'pub', 'tavern', 'saloon', 'lounge',
+    'dive bar', 'cocktail bar', 'wine bar', 'beer bar', 'whiskey bar', 'sports bar', 'country bar', 'piano bar',
+    'piano lounge', 'rooftop bar', 'rooftop lounge', 'irish pub', 'speakeasy', 'beer garden'
+  ] },
+  { value: 'brewery', label: 'Brewery', synonyms: ['brewpub', 'taproom', 'self-pour taproom', 'brewery/taproom', 'winery', 'distillery'] },
+  { value: 'cafe', label: 'Café', synonyms: ['café', 'coffee', 'coffee shop', 'coffeehouse', 'coffee house'] },
+  { value: 'theater', label: 'Theater', synonyms: ['theatre', 'concert hall', 'auditorium', 'performing arts center', 'opera house'] },
+  { value: 'arena', label: 'Arena', synonyms: ['stadium', 'coliseum', 'civic center'] },
+  { value: 'outdoor', label: 'Outdoor', synonyms: ['outdoor venue', 'outdoor space', 'outdoor theater', 'amphitheater', 'amphitheatre', 'pavilion', 'park', 'festival grounds'] },
+  { value: 'other', label: 'Other', synonyms: ['event space'] }
+];
+
+export const VENUE_TYPE_VALUES = VENUE_TYPES.map(type => type.value);
+
+function typeKey(label) {
+  return (label || '').toLowerCase().replace(/&/g, ' and ').replace(/\s+/g, ' ').trim();
+}
+
+const BY_KEY = new Map();
+VENUE_TYPES.forEach(type => {
+  [type.value, type.label, ...(type.synonyms || [])].forEach(label => BY_KEY.set(typeKey(label), type.value));
+});
+
+/**
+ * Vocabulary value for a type label from any source, or null if it can't be mapped
+ * (e.g. raleigh.csv's "Former Venue", which is a status rather than a type).
+ * @param {string} label
+ * @returns {string | null}
+ */
+export function normalizeVenueType(label) {
+  // Combined labels like "Bar/Event Space" or "Coffee/Open Mic" take the first part that maps
+  const labels = [label, ...(label || '').split('/')];
+  const key = labels.map(typeKey).find(key => BY_KEY.has(key));
+  return key === undefined ? null : BY_KEY.get(key);
+}
+
+/**
+ * @param {string} value
+ */
+export function venueTypeLabel(value) {
+  const type = VENUE_TYPES.find(type => type.value === value);
+  return type ? type.label : value;
+}
+
+// Checked in order, so a "jazz club & bar" is a club and a "brewery taproom bar" a brewery
+const CLASSIFIER_RULES = [
+  ['theater', /\b(theat(er|re)s?|auditorium|opera house|performing arts)\b/],
+  ['arena', /\b(arena|coliseum|stadium)\b/],
+  ['outdoor', /\b(amphithea(ter|tre)|outdoor|pavilion)\b/],
+  ['club', /\b(jazz|blues) club\b/],
+  ['brewery', /\b(brewery|breweries|brewing|brewpub|taproom|winery|distillery)\b/],
+  ['cafe', /\b(coffee|caf[eé]|coffeehouse)\b/],
+  ['bar', /\b(bar|pub|tavern|saloon|lounge)\b/],
+  ['theater', /\b(concert hall|music center)\b/]
+];
+
+/**
+ * Best-guess type from a discovered venue's name and search snippet.
+ * Anything without a clearer signal is a club, the directory's most common type.
+ * @param {string} text
+ */
+export function classifyVenueType(text) {
+  const content = (text || '').toLowerCase();
+  const rule = CLASSIFIER_RULES.find(([, pattern]) => pattern.test(content));
+  return rule ? rule[0] : 'club';
+}
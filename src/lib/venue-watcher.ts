@@ -1,15 +1,15 @@
 import fs from 'fs';
-import path from 'path';
 import { loadVenues, type Venue } from './venues.js';
+import { resolveStorePath } from './venue-store.js';
 
 let cachedVenues: Venue[] = [];
 let lastModified = 0;
 
-const CSV_PATH = path.join(process.cwd(), 'src/data/venues_master.csv');
+const STORE_PATH = resolveStorePath();
 
 export function getVenuesWithHotReload(): Venue[] {
   try {
-    const stats = fs.statSync(CSV_PATH);
+    const stats = fs.statSync(STORE_PATH);
     const currentModified = stats.mtimeMs;
     
     // Only reload if file has been modified
@@ -30,7 +30,7 @@ export function getVenuesWithHotReload(): Venue[] {
 // Watch for file changes in development
 if (import.meta.env.DEV) {
   try {
-    fs.watchFile(CSV_PATH, { interval: 2000 }, (curr, prev) => {
+    fs.watchFile(STORE_PATH, { interval: 2000 }, (curr, prev) => {
       if (curr.mtime !== prev.mtime) {
         console.log('📊 Venue data updated, triggering reload...');
         cachedVenues = loadVenues();
@@ -1,52 +1,44 @@
-import { parse } from 'csv-parse/sync';
-import fs from 'fs';
-import path from 'path';
+import { openVenueStore } from './venue-store.js';
+import { listedVenues } from './venue-query.js';
+import type { Venue, ProposedChange, SiteCheck } from './venue-schema.js';
+import type { HistoryEntry } from './provenance.js';
 
-export interface Venue {
-  name: string;
-  location: string;
-  address: string;
-  venue_type: string;
-  capacity: number | null;
-  contact_email: string;
-  contact_phone: string;
-  contact_name: string;
-  website: string;
-  typical_genres: string;
-}
+export type { Venue, HistoryEntry, ProposedChange, SiteCheck };
+export { getUniqueRegions, getUniqueLocations, getUniqueGenres, getUniqueVenueTypes } from './venue-query.js';
 
 export function loadVenues(): Venue[] {
-  const csvPath = path.join(process.cwd(), 'src/data/venues_master.csv');
-  const fileContent = fs.readFileSync(csvPath, 'utf8');
-  
-  const records = parse(fileContent, {
-    columns: true,
-    skip_empty_lines: true,
-    cast: (value, { column }) => {
-      if (column === 'capacity') {
-        return value === '' ? null : parseInt(value, 10);
-      }
-      return value;
-    }
-  });
+  return openVenueStore().all('venues') as Venue[];
+}
 
-  return records as Venue[];
+// The venues the public pages list; closed ones are left out if CLOSED_VENUES=hide
+export function loadListedVenues(): Venue[] {
+  return listedVenues(loadVenues());
 }
 
-export function getUniqueLocations(venues: Venue[]): string[] {
-  return [...new Set(venues.map(venue => venue.location).filter(Boolean))].sort();
+// Every recorded change to a directory field, oldest first
+export function loadVenueHistory(): HistoryEntry[] {
+  return openVenueStore().all('venue_history') as HistoryEntry[];
 }
 
-export function getUniqueGenres(venues: Venue[]): string[] {
-  const allGenres = venues
-    .map(venue => venue.typical_genres)
-    .filter(Boolean)
-    .flatMap(genres => genres.split(/[;,]/).map(g => g.trim()))
-    .filter(genre => genre && genre !== 'All Genres (excl. Hard Rock/Metal/Punk/Rap/Thrash)');
-  
-  return [...new Set(allGenres)].sort();
+// Scraped values waiting for review, oldest first
+export function loadPendingChanges(): ProposedChange[] {
+  return (openVenueStore().all('proposed_changes') as ProposedChange[]).filter(change => change.status === 'pending');
 }
 
-export function getUniqueVenueTypes(venues: Venue[]): string[] {
-  return [...new Set(venues.map(venue => venue.venue_type).filter(Boolean))].sort();
-}
\ No newline at end of file
+// The latest check of each venue's website
+export function loadSiteChecks(): SiteCheck[] {
+  return openVenueStore().all('site_checks') as SiteCheck[];
+}
+
+// Other open venues of the same type in the same town, for "nearby" links
+export function getNearbyVenues(venue: Venue, venues: Venue[], limit = 6): Venue[] {
+  return venues
+    .filter(other =>
+      other.id !== venue.id &&
+      other.operating_status !== 'closed' &&
+      other.venue_type === venue.venue_type &&
+      other.location === venue.location
+    )
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
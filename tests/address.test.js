@@ -0,0 +1,80 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAddress, normalizeVenueAddress, formatAddress, samePlace } from '../src/lib/address.js';
+
+describe('address parsing', () => {
+  test('the city is found with or without a comma before it', () => {
+    assert.deepEqual(parseAddress('179 Howard St. Boone, NC 28607'),
+      { street: '179 Howard St', city: 'Boone', state: 'NC', zip: '28607' });
+    // The longest place name wins
+    assert.deepEqual(parseAddress('105 Montreat Road Black Mountain, NC 28711'),
+      { street: '105 Montreat Road', city: 'Black Mountain', state: 'NC', zip: '28711' });
+    assert.deepEqual(parseAddress('311 W Davie St, Raleigh, North Carolina 27601-1234'),
+      { street: '311 W Davie St', city: 'Raleigh', state: 'NC', zip: '27601' });
+  });
+
+  test('a suite stays on the street, with or without a comma before the city', () => {
+    assert.deepEqual(parseAddress('8320 Litchford Rd, Ste 106, Raleigh, NC 27615'),
+      { street: '8320 Litchford Rd, Ste 106', city: 'Raleigh', state: 'NC', zip: '27615' });
+    assert.deepEqual(parseAddress('123 Main St, Suite 200 Durham NC 27701'),
+      { street: '123 Main St, Suite 200', city: 'Durham', state: 'NC', zip: '27701' });
+    assert.deepEqual(parseAddress('634 W. 4th Street, Ste #120 Winston-Salem, NC 27101'),
+      { street: '634 W. 4th Street, Ste #120', city: 'Winston-Salem', state: 'NC', zip: '27101' });
+  });
+});
+
+describe('venue address normalization', () => {
+  test('an address in another state isn\'t placed on an NC town of the same name', () => {
+    const normalized = normalizeVenueAddress({ address: '1 Main St, Greenville, SC 29601', location: 'Greenville, SC' });
+    assert.deepEqual(normalized, {
+      location: 'Greenville, SC',
+      street: '1 Main St',
+      city: 'Greenville',
+      state: 'SC',
+      zip: '29601',
+      lat: null,
+      lng: null,
+      geo_precision: '',
+      region: '',
+      address_issue: 'out_of_state'
+    });
+
+    const inState = normalizeVenueAddress({ address: '1 Main St, Greenville, NC 27858' });
+    assert.equal(inState.address_issue, '');
+    assert.equal(inState.region, 'coast');
+  });
+
+  test('the street address wins over the location, which may be a neighbourhood', () => {
+    const { location, city, geo_precision, region } = normalizeVenueAddress({ address: '300 E Main St, Carrboro NC', location: 'Chapel Hill, NC' });
+    assert.deepEqual({ location, city, geo_precision, region }, { location: 'Carrboro, NC', city: 'Carrboro', geo_precision: 'place', region: 'triangle' });
+
+    const fromLocation = normalizeVenueAddress({ address: '', location: 'West Asheville' });
+    assert.equal(fromLocation.location, 'Asheville, NC');
+    assert.equal(fromLocation.region, 'mountains');
+  });
+
+  test('a ZIP code places a venue more precisely than its town', () => {
+    const venue = normalizeVenueAddress({ address: '179 Howard St. Boone, NC 28607' });
+    assert.equal(venue.geo_precision, 'zip');
+    assert.equal(typeof venue.lat, 'number');
+  });
+
+  test('a town the gazetteer doesn\'t know isn\'t placed', () => {
+    const venue = normalizeVenueAddress({ address: '', location: 'Nowhereville, NC' });
+    assert.equal(venue.location, 'Nowhereville, NC');
+    assert.deepEqual([venue.lat, venue.lng, venue.region, venue.address_issue], [null, null, '', '']);
+  });
+});
+
+describe('places and formatting', () => {
+  test('towns are compared by their canonical names', () => {
+    assert.ok(samePlace('West Asheville', 'Asheville, NC'));
+    assert.ok(!samePlace('Durham', 'Raleigh, NC'));
+    assert.ok(!samePlace('', ''));
+  });
+
+  test('a one-line address leaves out the parts it doesn\'t have', () => {
+    assert.equal(formatAddress({ street: '179 Howard St', city: 'Boone', state: 'NC', zip: '28607' }), '179 Howard St, Boone, NC 28607');
+    assert.equal(formatAddress({ city: 'Boone', state: 'NC' }), 'Boone, NC');
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { openVenueStore } from '../src/lib/venue-store.js';
+import { createTieredFetcher } from '../src/lib/page-fetcher.js';
+import { createPoliteFetcher } from '../src/lib/polite-fetch.js';
+import { createExtractorPage, extractVenueInfo } from '../src/lib/extractors/index.js';
+import { normalizeCandidate, scoreCandidate } from '../src/lib/discovery-sources/index.js';
+import { enrichDiscoveredVenues, pageExcerpt } from '../src/lib/discovery-enrichment.js';
+
+// Enriches discovered venues from a small venue site served locally: its homepage
+// describes it and links to a contact page with its address and booking details.
+
+const page = (body, head = '') => `<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`;
+
+const SITE = {
+  '/': page(`
+    <nav><a href="/">Home</a><a href="/contact">Find us</a></nav>
+    <h1>The Cardinal Room</h1>
+    <p>Hours: 5pm to late</p>
+    <p>A listening room for songwriters and string bands in the heart of downtown, with shows five nights a week.</p>`),
+  '/quiet/': page(`
+    <h1>The Quiet Corner</h1>
+    <p>Coffee, pastries and free wifi, with tables by the window.</p>`),
+  '/contact': page(`
+    <h1>Contact</h1>
+    <p>Booking: booking@cardinalroom.test</p>
+    <footer>The Cardinal Room · 412 W. Martin St, Raleigh, NC 27603</footer>`, `<script type="application/ld+json">${JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'MusicVenue',
+    name: 'The Cardinal Room',
+    telephone: '+1 919 555 0187',
+    maximumAttendeeCapacity: 180,
+    genre: ['Americana', 'Bluegrass']
+  })}</script>`)
+};
+
+describe('discovery enrichment', () => {
+  let server;
+  let origin;
+  let dir;
+  let store;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/down/') {
+        res.writeHead(503, { 'Content-Type': 'text/html' });
+        res.end('Down for maintenance');
+        return;
+      }
+      const body = SITE[req.url];
+      res.writeHead(body ? 200 : 404, { 'Content-Type': req.url.endsWith('.txt') ? 'text/plain' : 'text/html' });
+      res.end(body || 'Not found');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discovery-enrichment-'));
+    store = openVenueStore(path.join(dir, 'venues.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const fetcher = () => createTieredFetcher({
+    launchBrowser: async () => { throw new Error('no browser in tests'); },
+    http: createPoliteFetcher({ minDelay: 0, cacheDir: null }),
+    timeout: 2000
+  });
+
+  // Saved with the status given, whatever it scores
+  const discover = (name, website, status = 'pending') => store.transaction(tx => tx.insert('discovered', {
+    ...scoreCandidate(normalizeCandidate({ name, website }, 'search', { city: 'Raleigh, NC', date: '2026-01-15' }), 0),
+    status
+  }));
+
+  test('pending venues are filled in from their sites, with where each value was found', async () => {
+    const { id, score } = discover('The Cardinal Room', `${origin}/`);
+    const { results, remaining } = await enrichDiscoveredVenues(store, { fetcher: fetcher() });
+    const venue = store.find('discovered', id);
+
+    assert.equal(remaining, 0);
+    assert.deepEqual(results[0].fields.sort(), ['address', 'capacity', 'contact_email', 'contact_phone', 'typical_genres']);
+    assert.equal(venue.address, '412 W. Martin St, Raleigh, NC 27603');
+    assert.equal(venue.contact_phone, '(919) 555-0187');
+    assert.equal(venue.contact_email, 'booking@cardinalroom.test');
+    assert.equal(venue.capacity, 180);
+    assert.equal(venue.typical_genres, 'Bluegrass; Americana');
+    assert.match(venue.excerpt, /^A listening room for songwriters/);
+    assert.deepEqual(venue.enriched_fields.contact_phone, { extractor: 'json-ld', confidence: 0.9, source_url: `${origin}/contact` });
+    assert.ok(venue.enriched_at);
+    assert.equal(venue.enrichment_error, '');
+    // An address and phone number count in its favor
+    assert.ok(venue.score > score);
+    assert.equal(venue.status, 'pending');
+  });
+
+  test('a venue scoring under the minimum once its site is read is rejected, unless a reviewer got to it first', async () => {
+    // A café whose site says nothing about music, found before the minimum was raised
+    const { id } = discover('The Quiet Corner', `${origin}/quiet/`);
+    const { results } = await enrichDiscoveredVenues(store, { fetcher: fetcher(), minScore: 0.4 });
+    assert.equal(results[0].rejected, true);
+    assert.equal(store.find('discovered', id).status, 'rejected');
+    assert.equal(store.find('discovered', id).rejected_by, 'score');
+
+    // Approved while the site was being crawled
+    const { id: approvedId } = discover('The Quiet Corner Annex', `${origin}/quiet/`);
+    const http = fetcher();
+    const approving = { ...http, scrape: (...args) => {
+      store.transaction(tx => tx.update('discovered', approvedId, { status: 'approved' }));
+      return http.scrape(...args);
+    } };
+    const [approved] = (await enrichDiscoveredVenues(store, { fetcher: approving, minScore: 0.4 })).results;
+    assert.equal(approved.rejected, false);
+    assert.equal(store.find('discovered', approvedId).status, 'approved');
+    assert.equal(store.find('discovered', approvedId).rejected_by, '');
+    assert.ok(store.find('discovered', approvedId).enriched_at);
+  });
+
+  test('a site whose homepage is gone is marked, and not tried again', async () => {
+    const { id } = discover('The Gone Room', `${origin}/closed/`);
+    await enrichDiscoveredVenues(store, { fetcher: fetcher() });
+    const venue = store.find('discovered', id);
+    // The browser is tried when the static page fails, and there isn't one here, but
+    // the site's own answer is what's kept
+    assert.equal(venue.enrichment_error, 'HTTP 404');
+    assert.ok(venue.enriched_at);
+
+    assert.deepEqual((await enrichDiscoveredVenues(store, { fetcher: fetcher() })).results, []);
+  });
+
+  test('a site that\'s down for now is marked, and tried again next time', async () => {
+    const { id } = discover('The Quiet Room', `${origin}/down/`);
+    const [first] = (await enrichDiscoveredVenues(store, { fetcher: fetcher() })).results;
+    assert.equal(first.error, 'HTTP 503');
+    assert.equal(store.find('discovered', id).enrichment_error, 'HTTP 503');
+    assert.equal(store.find('discovered', id).enriched_at, '');
+
+    assert.deepEqual((await enrichDiscoveredVenues(store, { fetcher: fetcher() })).results.map(result => result.id), [id]);
+  });
+
+  test('only pending venues with a website are enriched, within the time budget', async () => {
+    discover('The Cardinal Room', `${origin}/`, 'rejected');
+    discover('The Quiet Corner', '');
+    assert.deepEqual((await enrichDiscoveredVenues(store, { fetcher: fetcher() })).results, []);
+
+    discover('The Cardinal Room Annex', `${origin}/`);
+    assert.deepEqual(await enrichDiscoveredVenues(store, { fetcher: fetcher(), timeBudget: 0 }), { results: [], remaining: 1 });
+  });
+
+  test('addresses come from schema.org markup or the page\'s text', () => {
+    const markup = page('', `<script type="application/ld+json">${JSON.stringify({
+      '@type': 'BarOrPub',
+      address: { '@type': 'PostalAddress', streetAddress: '311 W Davie St', addressLocality: 'Raleigh', addressRegion: 'NC', postalCode: '27601' }
+    })}</script>`);
+    const address = html => extractVenueInfo(createExtractorPage('https://example.test/', html), ['address']).address;
+
+    assert.equal(address(markup).value, '311 W Davie St, Raleigh, NC 27601');
+    assert.equal(address(page('<p>Find us</p><p>224 S Blount Street<br>Raleigh, NC 27601</p>')).value, '224 S Blount Street Raleigh, NC 27601');
+    assert.equal(address(page('<p>Serving Raleigh, NC 27601 since 1998</p>')), undefined);
+    // The scraper doesn't ask for addresses
+    assert.equal(extractVenueInfo(createExtractorPage('https://example.test/', markup)).address, undefined);
+  });
+
+  test('the excerpt is the page\'s description, or its first paragraphs', () => {
+    const described = createExtractorPage('https://example.test/', page('<p>Welcome to our site, we hope you enjoy your visit today.</p>', '<meta name="description" content="Jazz and blues  nightly.">'));
+    assert.equal(pageExcerpt(described), 'Jazz and blues nightly.');
+
+    const long = createExtractorPage('https://example.test/', page(`<p>${'Live music every night of the week. '.repeat(20)}</p>`));
+    assert.ok(pageExcerpt(long).length <= 401);
+    assert.match(pageExcerpt(long), /week\.…$/);
+  });
+});
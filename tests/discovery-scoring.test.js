@@ -0,0 +1,139 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scoreDiscoveredVenue, resolveMinScore, DEFAULT_MIN_SCORE } from '../src/lib/discovery-scoring.js';
+import { normalizeCandidate, scoreCandidate, discoverCandidates, registerDiscoverySource } from '../src/lib/discovery-sources/index.js';
+import { parseSearchResults } from '../src/lib/discovery-sources/search-results.js';
+
+// Scores the results from the saved search results pages in tests/fixtures/search:
+// the venues tests/fixtures/search.json expects should be kept, and the false
+// positives parsing lets through should be rejected.
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const expectations = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'search.json'), 'utf8'));
+
+const context = { city: 'Raleigh, NC', date: '2026-01-15' };
+const reasons = venue => scoreDiscoveredVenue(venue).score_reasons.map(({ reason }) => reason);
+
+function scorePage(file) {
+  const { searchTerm, city } = expectations[file];
+  const html = fs.readFileSync(path.join(fixturesDir, 'search', file), 'utf8');
+  return parseSearchResults(html, { searchTerm, city, date: '2026-01-15' })
+    .map(venue => scoreCandidate(normalizeCandidate(venue, 'search', context), DEFAULT_MIN_SCORE));
+}
+
+describe('discovery scoring', () => {
+  test('the expected venues are kept and the rest rejected', () => {
+    Object.keys(expectations).forEach(file => {
+      const expected = expectations[file].venues.map(venue => venue.name.toLowerCase());
+      scorePage(file).forEach(candidate => {
+        const isVenue = expected.includes(candidate.name.toLowerCase());
+        assert.equal(candidate.status, isVenue ? 'pending' : 'rejected', `${file}: ${candidate.name} scored ${candidate.score}`);
+        assert.equal(candidate.rejected_by, isVenue ? '' : 'score');
+      });
+    });
+  });
+
+  test('directories, tourism sites, news and list articles lose points', () => {
+    const yelp = reasons({ name: 'THE BEST 10 Music Venues in RALEIGH, NC', website: 'https://www.yelp.com/search?find_desc=Music+Venues' });
+    assert.ok(yelp.includes('yelp.com is a directory, review or social site'));
+    assert.ok(yelp.includes('Links to an article, list or search page'));
+    assert.ok(yelp.includes('The name reads like a list or article'));
+
+    assert.ok(reasons({ name: 'Live Music', website: 'https://www.visitraleigh.com/music/' })
+      .includes('visitraleigh.com is a tourism or government site'));
+    assert.ok(reasons({ name: 'Where to Hear Jazz', website: 'https://www.newsobserver.com/entertainment/article1.html' })
+      .includes('newsobserver.com is a news or magazine site'));
+    assert.ok(reasons({ name: 'Live Music', website: 'https://www.raleighchamber.org/events' })
+      .includes('raleighchamber.org is a tourism or government site'));
+    assert.ok(reasons({ name: 'Concerts', website: 'https://news.example.com/' })
+      .includes('news.example.com is a news or magazine site'));
+    ['visitwilmingtonnc.com', 'discoverdurham.com', 'visitwinstonsalem.com', 'visitnc.com', 'charlottesgotalot.com'].forEach(host => {
+      assert.ok(reasons({ name: 'Live Music', website: `https://www.${host}/` }).includes(`${host} is a tourism or government site`), host);
+    });
+  });
+
+  test('venues whose names only contain those words aren\'t mistaken for them', () => {
+    [
+      'https://chambermusicraleigh.org/', 'https://newsroomtavern.com/', 'https://thecvbarn.com/', 'https://tourismandtaps.com/',
+      'https://explorerbrewing.com/', 'https://visitorlounge.com/', 'https://discoverybaymusic.com/', 'https://goodnews.cafe/'
+    ]
+      .forEach(website => {
+        const found = reasons({ name: 'The Venue', website });
+        assert.ok(found.every(reason => !/is a (tourism|news)/.test(reason)), `${website}: ${found.join('; ')}`);
+      });
+  });
+
+  test('a venue\'s own site, address and phone number count in its favor', () => {
+    const { score, score_reasons } = scoreDiscoveredVenue({
+      name: 'The Pinhook', website: 'https://thepinhook.com/', address: '117 W Main St', contact_phone: '(919) 555-0100', description: 'Live music most nights'
+    });
+    assert.equal(score, 1);
+    assert.ok(score_reasons.every(({ points }) => points > 0));
+    assert.equal(scoreDiscoveredVenue({ name: 'The Pinhook', website: 'https://pinhook.example.com/shows' }).score_reasons
+      .some(({ reason }) => reason === 'Links to a homepage'), false);
+  });
+
+  test('venues added to the seed list by hand are kept', () => {
+    const seeded = scoreCandidate(normalizeCandidate({ name: 'Cat\'s Cradle Back Room' }, 'seed', context), DEFAULT_MIN_SCORE);
+    const searched = scoreCandidate(normalizeCandidate({ name: 'Cat\'s Cradle Back Room' }, 'search', context), DEFAULT_MIN_SCORE);
+    assert.equal(seeded.status, 'pending');
+    assert.equal(searched.status, 'rejected');
+  });
+
+  test('the minimum score comes from DISCOVERY_MIN_SCORE', () => {
+    assert.equal(resolveMinScore({}), DEFAULT_MIN_SCORE);
+    assert.equal(resolveMinScore({ DISCOVERY_MIN_SCORE: '0.6' }), 0.6);
+    assert.equal(resolveMinScore({ DISCOVERY_MIN_SCORE: '0' }), 0);
+    assert.equal(resolveMinScore({ DISCOVERY_MIN_SCORE: '2' }), DEFAULT_MIN_SCORE);
+    assert.equal(resolveMinScore({ DISCOVERY_MIN_SCORE: 'high' }), DEFAULT_MIN_SCORE);
+  });
+});
+
+// Hands discovery a fixed list of candidates, as a search would find them
+registerDiscoverySource({
+  name: 'fixed',
+  label: 'Fixed list',
+  configured: () => true,
+  discover: ({ results }) => results
+});
+
+describe('discovery with scoring', () => {
+  const discover = (results, options) => discoverCandidates(
+    { city: 'Raleigh, NC', date: '2026-01-15', options: { minScore: DEFAULT_MIN_SCORE }, log: () => {}, results },
+    { sources: ['fixed'], ...options }
+  );
+
+  const yelpPage = {
+    name: 'Slim\'s Downtown - Raleigh, NC - Yelp',
+    location: 'Raleigh, NC',
+    website: 'https://www.yelp.com/biz/slims-downtown-raleigh',
+    discovered_from: 'dive bars in Raleigh, NC'
+  };
+  const ownSite = {
+    name: 'Slim\'s Downtown',
+    location: 'Raleigh, NC',
+    address: '227 S Wilmington St',
+    website: 'https://slimsraleigh.com/',
+    discovered_from: 'dive bars in Raleigh, NC'
+  };
+
+  test('rejected candidates are returned, but don\'t count towards the results', async () => {
+    const candidates = await discover([yelpPage, ownSite], { maxResults: 1 });
+    assert.deepEqual(candidates.map(venue => [venue.name, venue.status, venue.rejected_by]), [
+      [yelpPage.name, 'rejected', 'score'],
+      [ownSite.name, 'pending', '']
+    ]);
+  });
+
+  test('a review page rejected before doesn\'t hide the venue\'s own site', async () => {
+    const known = [{ ...yelpPage, name: 'Slim\'s Downtown', status: 'rejected', rejected_by: 'score' }];
+    const candidates = await discover([ownSite], { known });
+    assert.deepEqual(candidates.map(venue => venue.name), [ownSite.name]);
+
+    const reviewed = [{ ...known[0], rejected_by: 'reviewer' }];
+    assert.deepEqual(await discover([ownSite], { known: reviewed }), []);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openVenueStore } from '../src/lib/venue-store.js';
+import { discoverCandidates, saveDiscoveredCandidates, normalizeCandidate, resolveDiscoveryOptions } from '../src/lib/discovery-sources/index.js';
+import { parseOverpassExtract } from '../src/lib/discovery-sources/openstreetmap.js';
+import { parseVenueListing } from '../src/lib/discovery-sources/ticketing.js';
+import { createSavedSearch } from '../src/lib/discovery-sources/search-results.js';
+
+// Runs each discovery source over the saved extracts, listings, seed list and
+// search results pages in tests/fixtures, with no network access.
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const fixture = file => path.join(fixturesDir, 'discovery', file);
+
+const CANDIDATE_FIELDS = [
+  'name', 'location', 'address', 'venue_type', 'website', 'contact_email', 'contact_phone', 'contact_name', 'capacity', 'typical_genres',
+  'description', 'excerpt', 'source', 'discovered_from', 'discovery_date', 'status', 'score', 'score_reasons', 'rejected_by',
+  'enriched_fields', 'enriched_at', 'enrichment_error'
+];
+
+describe('discovery sources', () => {
+  let searchDir;
+  let logged;
+
+  beforeEach(() => {
+    // The saved Raleigh results page, named for the first search
+    searchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discovery-search-'));
+    fs.copyFileSync(path.join(fixturesDir, 'search', 'raleigh-music-venues.html'), path.join(searchDir, 'music-venues-in-raleigh-nc.html'));
+    logged = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(searchDir, { recursive: true, force: true });
+  });
+
+  const context = (env = {}) => ({
+    city: 'Raleigh, NC',
+    date: '2026-01-15',
+    options: {
+      ...resolveDiscoveryOptions({
+        DISCOVERY_SEARCH_DIR: searchDir,
+        DISCOVERY_OSM_FILE: fixture('overpass-raleigh.json'),
+        DISCOVERY_TICKETING_PAGES: fixture('ticketing-raleigh.html'),
+        DISCOVERY_SEED_FILE: fixture('seeds.json'),
+        ...env
+      }),
+      searchTerms: ['music venues', 'jazz clubs']
+    },
+    search: createSavedSearch(searchDir),
+    log: message => logged.push(message)
+  });
+
+  test('OpenStreetMap music venues in the city, by address or distance', () => {
+    const extract = JSON.parse(fs.readFileSync(fixture('overpass-raleigh.json'), 'utf8'));
+    const venues = parseOverpassExtract(extract, 'Raleigh, NC');
+
+    assert.deepEqual(venues.map(venue => [venue.name, venue.venue_type]), [
+      ['Warehouse Row Music Hall', 'club'],
+      ['Glenwood Social', 'bar'],
+      ['Boylan Yard Brewing', 'brewery']
+    ]);
+    assert.equal(venues[0].address, '311 West Davie Street');
+    assert.equal(venues[0].discovered_from, 'OpenStreetMap node/4410021');
+    assert.equal(venues[1].website, 'https://glenwoodsocial.com');
+
+    assert.deepEqual(parseOverpassExtract(extract, 'Cary').map(venue => [venue.name, venue.venue_type]), [['Red Oak Amphitheater', 'outdoor']]);
+  });
+
+  test('ticketing listings give each event\'s venue once, with its own site', () => {
+    const url = 'https://tixhub.example/raleigh/concerts';
+    const venues = parseVenueListing(fs.readFileSync(fixture('ticketing-raleigh.html'), 'utf8'), url);
+    const byName = Object.fromEntries(venues.map(venue => [venue.name, venue]));
+
+    assert.equal(venues.filter(venue => venue.name === 'Warehouse Row Music Hall').length, 1);
+    assert.equal(byName['Warehouse Row Music Hall'].website, 'https://warehouserowmusic.com/');
+    assert.equal(byName['Warehouse Row Music Hall'].location, 'Raleigh, NC');
+    assert.equal(byName['The Blue Note Room'].website, '');
+    assert.equal(byName['The Blue Note Room'].venue_type, 'bar');
+    assert.equal(byName['Fayetteville Street Theatre'].venue_type, 'theater');
+    assert.equal(byName['Fayetteville Street Theatre'].address, '2 E South St');
+    assert.equal(byName['Venue to be announced'].location, '');
+  });
+
+  test('every source gives normalized candidates', async () => {
+    for (const source of ['seed', 'osm', 'ticketing', 'search']) {
+      const candidates = await discoverCandidates(context(), { sources: [source] });
+      assert.ok(candidates.length > 0, source);
+      candidates.forEach(candidate => {
+        assert.deepEqual(Object.keys(candidate), CANDIDATE_FIELDS);
+        assert.equal(candidate.source, source);
+        assert.equal(typeof candidate.score, 'number');
+      });
+    }
+  });
+
+  test('sources only give venues in the city', async () => {
+    const names = (await discoverCandidates(context(), { sources: ['seed', 'ticketing'] })).map(venue => venue.name);
+    assert.ok(!names.includes('Eno River Taproom'));
+    assert.ok(!names.includes('Bull City Ballroom'));
+    assert.ok(!names.includes('Venue to be announced'));
+  });
+
+  test('candidates are normalized', () => {
+    const candidate = normalizeCandidate(
+      { name: '  The Night Owl\n Listening Room ', venue_type: 'listening room', website: 'javascript:void(0)', contact_phone: '+1 919 555 0142' },
+      'seed',
+      { city: 'Raleigh, NC', date: '2026-01-15' }
+    );
+    assert.equal(candidate.name, 'The Night Owl Listening Room');
+    assert.equal(candidate.location, 'Raleigh, NC');
+    assert.equal(candidate.venue_type, 'club');
+    assert.equal(candidate.website, '');
+    assert.equal(candidate.contact_phone, '(919) 555-0142');
+    assert.equal(normalizeCandidate({ name: 'TN' }, 'seed', { city: 'Raleigh', date: '2026-01-15' }), null);
+  });
+
+  test('a venue found by several sources, or already known, is only kept once', async () => {
+    const known = [{ name: 'Glenwood Social', location: 'Raleigh, NC', website: 'https://glenwoodsocial.com/' }];
+    const candidates = await discoverCandidates(context(), { known });
+    const names = candidates.map(venue => venue.name);
+
+    assert.equal(names.filter(name => name === 'Warehouse Row Music Hall').length, 1);
+    assert.equal(candidates.find(venue => venue.name === 'Warehouse Row Music Hall').source, 'seed');
+    assert.ok(!names.includes('Glenwood Social'));
+  });
+
+  test('discovery stops once it has enough', async () => {
+    const candidates = await discoverCandidates(context(), { maxResults: 3 });
+    assert.equal(candidates.length, 3);
+    assert.ok(candidates.every(venue => venue.source === 'seed' || venue.source === 'osm'));
+  });
+
+  test('a source that fails, or a search with no saved page, doesn\'t stop the rest', async () => {
+    const candidates = await discoverCandidates(context({ DISCOVERY_OSM_FILE: fixture('missing.json') }), { sources: ['osm', 'search'] });
+    assert.ok(candidates.length > 0);
+    assert.ok(logged.some(message => message.startsWith('Error reading OpenStreetMap')));
+    assert.ok(logged.some(message => message.includes('No saved results page for "jazz clubs in Raleigh, NC"')));
+  });
+
+  test('sources without their files are skipped', async () => {
+    const candidates = await discoverCandidates(context({ DISCOVERY_OSM_FILE: '', DISCOVERY_TICKETING_PAGES: '' }), { sources: ['osm', 'ticketing'] });
+    assert.deepEqual(candidates, []);
+    assert.ok(logged.includes('OpenStreetMap isn\'t set up; skipping it'));
+  });
+});
+
+describe('saving discovered candidates', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discovery-save-'));
+    store = openVenueStore(path.join(dir, 'venues.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('candidates are queued for review, unless the venue was added meanwhile', () => {
+    const context = { city: 'Raleigh, NC', date: '2026-01-15' };
+    const candidates = [
+      normalizeCandidate({ name: 'Warehouse Row Music Hall', website: 'https://warehouserowmusic.com/' }, 'osm', context),
+      normalizeCandidate({ name: 'Glenwood Social', website: 'https://glenwoodsocial.com' }, 'osm', context)
+    ];
+    store.transaction(tx => tx.insert('venues', {
+      name: 'Glenwood Social', location: 'Raleigh, NC', venue_type: 'bar', website: 'https://glenwoodsocial.com'
+    }));
+
+    const saved = store.transaction(tx => saveDiscoveredCandidates(tx, candidates));
+    assert.deepEqual(saved.map(venue => venue.name), ['Warehouse Row Music Hall']);
+    assert.equal(store.all('discovered')[0].source, 'osm');
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseSearchResults } from '../src/lib/discovery-sources/search-results.js';
+import { VENUE_TYPE_VALUES } from '../src/lib/venue-types.js';
+import { score, scoreFields, formatScores } from './scoring.js';
+
+// Runs discovery's result parsing over saved search results pages in
+// tests/fixtures/search. The venues each page should give are in
+// tests/fixtures/search.json; anything else it returns is a false positive.
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const expectations = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'search.json'), 'utf8'));
+
+const DISCOVERED_FIELDS = ['website', 'address', 'venue_type'];
+
+// Current scores; raise them as the parsing gets better
+const MINIMUM_SCORES = {
+  venues: { precision: 0.75, recall: 1 },
+  website: { precision: 1, recall: 1 },
+  address: { precision: 0.75, recall: 0.75 },
+  venue_type: { precision: 1, recall: 1 }
+};
+
+function parsePage(file) {
+  const { searchTerm, city } = expectations[file];
+  const html = fs.readFileSync(path.join(fixturesDir, 'search', file), 'utf8');
+  return parseSearchResults(html, { searchTerm, city, date: '2026-01-15' });
+}
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+describe('search results parsing', () => {
+  test('results are pending discovered venues', () => {
+    const [{ description, ...venue }] = parsePage('raleigh-music-venues.html');
+    assert.match(description, /^Lincoln Crossing Music Hall.*126 E Cabarrus St/);
+    assert.deepEqual(venue, {
+      name: 'Lincoln Crossing Music Hall',
+      location: 'Raleigh',
+      address: '126 E Cabarrus St',
+      venue_type: 'club',
+      website: 'https://lincolncrossingraleigh.com/',
+      discovered_from: 'music venues in Raleigh, NC',
+      discovery_date: '2026-01-15',
+      status: 'pending'
+    });
+  });
+
+  test('search engine redirects are followed to the venue\'s own site', () => {
+    parsePage('raleigh-music-venues.html').forEach(venue => {
+      assert.ok(!venue.website.includes('google.com'), venue.website);
+    });
+  });
+
+  test('directories, ticket sellers and social media are left out', () => {
+    const websites = Object.keys(expectations).flatMap(file => parsePage(file).map(venue => venue.website));
+    ['wikipedia', 'ticketmaster', 'eventbrite', 'facebook.com', 'instagram.com'].forEach(site => {
+      assert.ok(!websites.some(website => website.includes(site)), site);
+    });
+  });
+
+  test('only the first results are read', () => {
+    const names = parsePage('raleigh-music-venues.html').map(venue => venue.name);
+    assert.ok(!names.includes('The Cardinal Room'));
+  });
+
+  test('venue types are from the vocabulary', () => {
+    Object.keys(expectations).flatMap(parsePage).forEach(venue => {
+      assert.ok(VENUE_TYPE_VALUES.includes(venue.venue_type), venue.venue_type);
+    });
+  });
+
+  test('precision and recall per field', t => {
+    let tp = 0, fp = 0, fn = 0;
+    const cases = [];
+
+    Object.entries(expectations).forEach(([file, { venues }]) => {
+      const found = parsePage(file);
+      venues.forEach(expected => {
+        const actual = found.find(venue => sameName(venue.name, expected.name));
+        if (actual) {
+          tp++;
+          cases.push({ expected, actual });
+        } else {
+          fn++;
+        }
+      });
+      fp += found.filter(venue => !venues.some(expected => sameName(venue.name, expected.name))).length;
+    });
+
+    // Fields are only scored for venues that were found
+    const scores = { venues: score(tp, fp, fn), ...scoreFields(cases, DISCOVERED_FIELDS) };
+    formatScores(scores).split('\n').forEach(line => t.diagnostic(line));
+
+    Object.entries(MINIMUM_SCORES).forEach(([field, minimum]) => {
+      assert.ok(scores[field].precision >= minimum.precision, `${field} precision ${scores[field].precision.toFixed(2)} is below ${minimum.precision}`);
+      assert.ok(scores[field].recall >= minimum.recall, `${field} recall ${scores[field].recall.toFixed(2)} is below ${minimum.recall}`);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createExtractorPage, extractVenueInfo, SCRAPED_FIELDS } from '../src/lib/extractors/index.js';
+import { cleanEmail, formatPhone, parseCapacity } from '../src/lib/extractors/values.js';
+import { jsonLdExtractor } from '../src/lib/extractors/structured-data.js';
+import { scoreFields, formatScores, mismatches } from './scoring.js';
+
+// Runs the extractors over saved venue pages in tests/fixtures/pages. What each page
+// should give is in tests/fixtures/pages.json.
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const expectations = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'pages.json'), 'utf8'));
+
+// Pages whose details are all in structured data, which should come out exactly right
+const EXACT_PAGES = [
+  'blue-lantern-home.html',
+  'old-mill-theater-home.html',
+  'harbor-lights-home.html',
+  'riverside-taproom-contact.html',
+  'cafe-noir-home.html'
+];
+
+// Current scores over the whole corpus. Raise these when the extractors get better;
+// falling below them means something regressed.
+const MINIMUM_SCORES = {
+  contact_email: { precision: 0.85, recall: 1 },
+  contact_phone: { precision: 1, recall: 1 },
+  capacity: { precision: 0.8, recall: 0.7 },
+  typical_genres: { precision: 0.75, recall: 0.85 },
+  contact_name: { precision: 0.65, recall: 0.8 }
+};
+
+function extractPage(file) {
+  const html = fs.readFileSync(path.join(fixturesDir, 'pages', file), 'utf8');
+  return extractVenueInfo(createExtractorPage(expectations[file].url, html));
+}
+
+// Just the values, keyed by field
+function values(found) {
+  return Object.fromEntries(Object.entries(found).map(([field, { value }]) => [field, value]));
+}
+
+describe('extractors on saved venue pages', () => {
+  EXACT_PAGES.forEach(file => {
+    test(file, () => {
+      const differences = mismatches(expectations[file].expected, values(extractPage(file)), SCRAPED_FIELDS);
+      assert.deepEqual(differences, []);
+    });
+  });
+
+  test('structured data is preferred over patterns in the page text', () => {
+    const found = extractPage('blue-lantern-home.html');
+    SCRAPED_FIELDS.forEach(field => assert.equal(found[field].extractor, 'json-ld', field));
+    assert.equal(extractPage('old-mill-theater-home.html').capacity.extractor, 'microdata');
+    assert.equal(extractPage('harbor-lights-home.html').contact_email.extractor, 'opengraph');
+  });
+
+  test('every value records the page it came from', () => {
+    Object.values(extractPage('riverside-taproom-contact.html')).forEach(({ source_url }) => {
+      assert.equal(source_url, 'https://riversidetaproomavl.com/contact');
+    });
+  });
+
+  test('invalid JSON-LD is skipped and an organization card gives no contact name', () => {
+    const found = extractPage('warehouse-510-home.html');
+    assert.equal(found.contact_phone.value, '(704) 555-0110');
+    assert.equal(found.contact_name, undefined);
+  });
+
+  test('a venue nested in an event listing is found', () => {
+    const found = extractPage('greenway-amphitheater-events.html');
+    assert.equal(found.contact_phone.value, '(252) 555-0131');
+    assert.equal(found.contact_phone.extractor, 'json-ld');
+  });
+
+  test('an event\'s organizer and ticket seller aren\'t taken for the venue', () => {
+    const event = {
+      '@context': 'https://schema.org',
+      '@type': 'MusicEvent',
+      name: 'Autumn Jazz Night',
+      organizer: { '@type': 'Organization', name: 'Triangle Jazz Promotions', email: 'shows@trianglejazz.com', telephone: '919-555-0199' },
+      offers: { '@type': 'Offer', seller: { '@type': 'Organization', name: 'TicketHub', email: 'help@tickethub.com' } },
+      location: { '@type': 'MusicVenue', name: 'The Blue Note Room', telephone: '919-555-0142' }
+    };
+    const page = `<html><head><script type="application/ld+json">${JSON.stringify(event)}</script></head><body><h1>Autumn Jazz Night</h1></body></html>`;
+    const extractions = jsonLdExtractor.extract(createExtractorPage('https://bluenoteroom.com/events/autumn-jazz', page));
+
+    // Only the event's location is the venue, and it's trusted less than the page's own venue
+    assert.deepEqual(extractions, [{ field: 'contact_phone', value: '(919) 555-0142', confidence: 0.75 }]);
+
+    // A generic type at the top of the page is trusted less than a venue type
+    const organization = `<script type="application/ld+json">${JSON.stringify({ '@type': 'Organization', telephone: '919-555-0142' })}</script>`;
+    assert.equal(extractVenueInfo(createExtractorPage('https://bluenoteroom.com/', organization)).contact_phone.confidence, 0.75);
+  });
+
+  test('only the fields asked for are extracted', () => {
+    const html = fs.readFileSync(path.join(fixturesDir, 'pages', 'blue-lantern-home.html'), 'utf8');
+    const found = extractVenueInfo(createExtractorPage(expectations['blue-lantern-home.html'].url, html), ['capacity']);
+    assert.deepEqual(Object.keys(found), ['capacity']);
+  });
+
+  test('precision and recall per field', t => {
+    const cases = Object.entries(expectations).map(([file, { expected }]) => ({ expected, actual: values(extractPage(file)) }));
+    const scores = scoreFields(cases, SCRAPED_FIELDS);
+    formatScores(scores).split('\n').forEach(line => t.diagnostic(line));
+
+    Object.entries(MINIMUM_SCORES).forEach(([field, minimum]) => {
+      assert.ok(scores[field].precision >= minimum.precision, `${field} precision ${scores[field].precision.toFixed(2)} is below ${minimum.precision}`);
+      assert.ok(scores[field].recall >= minimum.recall, `${field} recall ${scores[field].recall.toFixed(2)} is below ${minimum.recall}`);
+    });
+  });
+});
+
+describe('value cleanup', () => {
+  test('emails', () => {
+    assert.equal(cleanEmail('mailto:Booking@Venue.com?subject=Show'), 'booking@venue.com');
+    assert.equal(cleanEmail('noreply@venue.com'), null);
+    assert.equal(cleanEmail('you@example.com'), null);
+    assert.equal(cleanEmail('not an email'), null);
+  });
+
+  test('phone numbers', () => {
+    assert.equal(formatPhone('919.555.0148'), '(919) 555-0148');
+    assert.equal(formatPhone('tel:+1-919-555-0148'), '(919) 555-0148');
+    assert.equal(formatPhone('555-0148'), null);
+  });
+
+  test('capacities', () => {
+    assert.equal(parseCapacity('1,200'), 1200);
+    assert.equal(parseCapacity('25', 50), null);
+    assert.equal(parseCapacity('none'), null);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createExtractorPage } from '../src/lib/extractors/index.js';
+import { createTieredFetcher, looksJsRendered } from '../src/lib/page-fetcher.js';
+import { createPoliteFetcher } from '../src/lib/polite-fetch.js';
+
+// The tiered fetcher against a local server, with a stand-in for the headless
+// browser that records which pages it was asked for.
+
+// No pauses between requests and nothing cached between tests
+const testHttp = () => createPoliteFetcher({ minDelay: 0, cacheDir: null });
+
+const pagesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'pages');
+const fixture = file => fs.readFileSync(path.join(pagesDir, file), 'utf8');
+
+const APP_SHELL = '<html><head><script src="/app.js"></script></head><body><div id="root"></div><noscript>You need to enable JavaScript to run this app.</noscript></body></html>';
+
+const SITE = {
+  '/static': fixture('blue-lantern-home.html'),
+  '/shell': APP_SHELL,
+  '/no-contact': fixture('cafe-noir-home.html')
+};
+
+// What the browser sees once the app shell has run
+const RENDERED = {
+  '/shell': fixture('riverside-taproom-contact.html'),
+  '/no-contact': fixture('cafe-noir-home.html').replace('</body>', '<footer>Call (336) 555-0190</footer></body>')
+};
+
+function fakeBrowser(visited) {
+  return {
+    newPage: async () => {
+      let url;
+      return {
+        setUserAgent: async () => {},
+        setViewport: async () => {},
+        setRequestInterception: async () => {},
+        on: () => {},
+        goto: async target => {
+          url = target;
+          visited.push(new URL(target).pathname);
+        },
+        url: () => url,
+        content: async () => RENDERED[new URL(url).pathname],
+        evaluate: async () => createExtractorPage(url, RENDERED[new URL(url).pathname]).text,
+        close: async () => {}
+      };
+    },
+    close: async () => {}
+  };
+}
+
+describe('tiered page fetcher', () => {
+  let server;
+  let origin;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/down') {
+        res.writeHead(503);
+        res.end();
+        return;
+      }
+      res.writeHead(SITE[req.url] ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(SITE[req.url] || 'Not found');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const fetcherFor = visited => {
+    let launches = 0;
+    const fetcher = createTieredFetcher({
+      launchBrowser: async () => {
+        launches++;
+        return fakeBrowser(visited);
+      },
+      http: testHttp(),
+      timeout: 2000
+    });
+    return { fetcher, launches: () => launches };
+  };
+
+  test('a page with its details in the HTML never starts the browser', async () => {
+    const visited = [];
+    const { fetcher, launches } = fetcherFor(visited);
+    const result = await fetcher.scrape(`${origin}/static`, ['contact_email', 'contact_phone', 'capacity']);
+
+    assert.equal(result.method, 'http');
+    assert.equal(result.found.contact_email.value, 'booking@bluelanterndurham.com');
+    assert.equal(launches(), 0);
+    assert.deepEqual(fetcher.counts(), { http: 1, browser: 0 });
+  });
+
+  test('an app shell is loaded in the browser', async () => {
+    const visited = [];
+    const { fetcher } = fetcherFor(visited);
+    const result = await fetcher.scrape(`${origin}/shell`, ['contact_email', 'contact_name']);
+
+    assert.equal(result.method, 'browser');
+    assert.match(result.reason, /JavaScript/);
+    assert.equal(result.found.contact_email.value, 'booking@riversidetaproomavl.com');
+    assert.deepEqual(visited, ['/shell']);
+  });
+
+  test('a static page without an email or phone gets a second look in the browser', async () => {
+    const visited = [];
+    const { fetcher, launches } = fetcherFor(visited);
+    const result = await fetcher.scrape(`${origin}/no-contact`, ['contact_phone']);
+    await fetcher.scrape(`${origin}/shell`, ['contact_phone']);
+
+    assert.equal(result.method, 'browser');
+    assert.equal(result.found.contact_phone.value, '(336) 555-0190');
+    // One browser for the whole run
+    assert.equal(launches(), 1);
+  });
+
+  test('a page the server won\'t give out is tried in the browser before giving up', async () => {
+    const visited = [];
+    const { fetcher } = fetcherFor(visited);
+    await assert.rejects(fetcher.scrape(`${origin}/down`, ['contact_email']));
+    assert.deepEqual(visited, ['/down']);
+  });
+
+  test('the static results are kept when the browser can\'t start', async () => {
+    const fetcher = createTieredFetcher({
+      launchBrowser: async () => { throw new Error('no Chromium here'); },
+      http: testHttp(),
+      timeout: 2000
+    });
+    const result = await fetcher.scrape(`${origin}/no-contact`, ['contact_phone']);
+    assert.equal(result.method, 'http');
+    assert.deepEqual(result.found, {});
+  });
+});
+
+describe('page checks', () => {
+  test('saved venue pages are not mistaken for app shells', () => {
+    fs.readdirSync(pagesDir).forEach(file => {
+      assert.equal(looksJsRendered(createExtractorPage(`https://venue.test/${file}`, fixture(file))), false, file);
+    });
+    assert.equal(looksJsRendered(createExtractorPage('https://venue.test/', APP_SHELL)), true);
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createPoliteFetcher, parseRobots, RobotsDisallowedError, RobotsUnavailableError, DEFAULT_USER_AGENT } from '../src/lib/polite-fetch.js';
+
+describe('robots.txt rules', () => {
+  const ROBOTS = [
+    'User-agent: *',
+    'Disallow: /private/',
+    'Allow: /private/booking',
+    'Disallow: /*.pdf$',
+    'Crawl-delay: 2',
+    '',
+    'User-agent: NCMusicVenuesBot',
+    'User-agent: OtherBot',
+    'Disallow: /calendar # too many pages',
+    'Crawl-delay: 5',
+    '',
+    'Sitemap: https://venue.test/sitemap.xml'
+  ].join('\n');
+
+  test('the group naming our bot applies instead of *', () => {
+    const rules = parseRobots(ROBOTS, DEFAULT_USER_AGENT);
+    assert.equal(rules.isAllowed('/calendar/june'), false);
+    assert.equal(rules.isAllowed('/private/office'), true);
+    assert.equal(rules.crawlDelay, 5);
+  });
+
+  test('other bots get the * group, where the longest rule wins', () => {
+    const rules = parseRobots(ROBOTS, 'SomeCrawler/2.0');
+    assert.equal(rules.isAllowed('/private/office'), false);
+    assert.equal(rules.isAllowed('/private/booking'), true);
+    assert.equal(rules.isAllowed('/calendar'), true);
+    assert.equal(rules.crawlDelay, 2);
+  });
+
+  test('wildcards and end anchors', () => {
+    const rules = parseRobots(ROBOTS, 'SomeCrawler/2.0');
+    assert.equal(rules.isAllowed('/files/menu.pdf'), false);
+    assert.equal(rules.isAllowed('/files/menu.pdf?download=1'), true);
+  });
+
+  test('sitemaps are listed whichever group applies', () => {
+    assert.deepEqual(parseRobots(ROBOTS, DEFAULT_USER_AGENT).sitemaps, ['https://venue.test/sitemap.xml']);
+  });
+
+  test('an empty Disallow allows everything', () => {
+    assert.equal(parseRobots('User-agent: *\nDisallow:', DEFAULT_USER_AGENT).isAllowed('/anything'), true);
+  });
+});
+
+describe('polite fetcher', () => {
+  let server;
+  let origin;
+  let requests;
+  let robots;
+  let active;
+  let maxActive;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, at: Date.now(), headers: req.headers });
+      if (req.url === '/robots.txt') {
+        // A number is an error status
+        res.writeHead(robots === null ? 404 : typeof robots === 'number' ? robots : 200, { 'Content-Type': 'text/plain' });
+        res.end(typeof robots === 'string' ? robots : '');
+        return;
+      }
+      if (req.url.startsWith('/moved')) {
+        // /moved?to=... redirects there
+        res.writeHead(301, { Location: new URL(req.url, 'http://x').searchParams.get('to') });
+        res.end();
+        return;
+      }
+      if (req.url === '/cached' && req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+      active++;
+      maxActive = Math.max(maxActive, active);
+      setTimeout(() => {
+        active--;
+        res.writeHead(200, { 'Content-Type': 'text/html', ...(req.url === '/cached' ? { ETag: '"v1"' } : {}) });
+        res.end(`<p>Page ${req.url}</p>`);
+      }, 20);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const reset = robotsTxt => {
+    requests = [];
+    robots = robotsTxt;
+    active = 0;
+    maxActive = 0;
+  };
+
+  test('disallowed pages are never requested', async () => {
+    reset('User-agent: *\nDisallow: /members');
+    const fetcher = createPoliteFetcher({ minDelay: 0, cacheDir: null });
+    await assert.rejects(fetcher.fetch(`${origin}/members/list`), RobotsDisallowedError);
+    assert.deepEqual(requests.map(request => request.url), ['/robots.txt']);
+  });
+
+  test('a robots.txt that errors blocks the site until it\'s read again', async () => {
+    reset(503);
+    const fetcher = createPoliteFetcher({ minDelay: 0, cacheDir: null });
+    await assert.rejects(fetcher.fetch(`${origin}/`), error => error instanceof RobotsUnavailableError && !(error instanceof RobotsDisallowedError));
+
+    robots = '';
+    assert.equal((await fetcher.fetch(`${origin}/`)).ok, true);
+    assert.deepEqual(requests.map(request => request.url), ['/robots.txt', '/robots.txt', '/']);
+  });
+
+  test('each redirect is checked against robots.txt for the site it leads to', async () => {
+    reset('User-agent: *\nDisallow: /private');
+    const fetcher = createPoliteFetcher({ minDelay: 0, cacheDir: null });
+    const elsewhere = origin.replace('127.0.0.1', 'localhost');
+
+    const moved = await fetcher.fetch(`${origin}/moved?to=${encodeURIComponent(`${elsewhere}/new`)}`);
+    assert.equal(moved.url, `${elsewhere}/new`);
+    assert.equal(moved.text, '<p>Page /new</p>');
+    // The second host's robots.txt is read before it's asked for the page
+    assert.deepEqual(requests.map(request => [request.headers.host.split(':')[0], request.url]), [
+      ['127.0.0.1', '/robots.txt'],
+      ['127.0.0.1', `/moved?to=${encodeURIComponent(`${elsewhere}/new`)}`],
+      ['localhost', '/robots.txt'],
+      ['localhost', '/new']
+    ]);
+
+    requests = [];
+    await assert.rejects(fetcher.fetch(`${origin}/moved?to=/private/page`), RobotsDisallowedError);
+    assert.ok(requests.every(request => request.url !== '/private/page'));
+  });
+
+  test('robots.txt is read once per site', async () => {
+    reset(null);
+    const fetcher = createPoliteFetcher({ minDelay: 0, cacheDir: null });
+    await fetcher.fetch(`${origin}/one`);
+    await fetcher.fetch(`${origin}/two`);
+    assert.deepEqual(requests.map(request => request.url), ['/robots.txt', '/one', '/two']);
+  });
+
+  test('requests identify the bot', async () => {
+    reset(null);
+    const fetcher = createPoliteFetcher({ userAgent: 'TestBot/0.1 (+https://venue.test/bot)', minDelay: 0, cacheDir: null });
+    await fetcher.fetch(`${origin}/`);
+    assert.ok(requests.every(request => request.headers['user-agent'] === 'TestBot/0.1 (+https://venue.test/bot)'));
+  });
+
+  test('one request at a time per host, spaced by the Crawl-delay', async () => {
+    reset('User-agent: *\nCrawl-delay: 0.1');
+    const fetcher = createPoliteFetcher({ minDelay: 0, cacheDir: null });
+    await Promise.all(['/a', '/b', '/c'].map(page => fetcher.fetch(`${origin}${page}`)));
+
+    const pages = requests.filter(request => request.url !== '/robots.txt');
+    assert.equal(maxActive, 1);
+    pages.slice(1).forEach((request, index) => {
+      assert.ok(request.at - pages[index].at >= 95, `${request.url} came ${request.at - pages[index].at}ms after the last request`);
+    });
+  });
+
+  test('cached pages are revalidated instead of downloaded again', async () => {
+    reset(null);
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'polite-fetch-'));
+    try {
+      const first = await createPoliteFetcher({ minDelay: 0, cacheDir }).fetch(`${origin}/cached`);
+      // A later run, with a fresh fetcher over the same cache
+      const second = await createPoliteFetcher({ minDelay: 0, cacheDir }).fetch(`${origin}/cached`);
+
+      assert.equal(first.fromCache, false);
+      assert.equal(second.fromCache, true);
+      assert.equal(second.text, first.text);
+      assert.equal(requests.filter(request => request.url === '/cached').at(-1).headers['if-none-match'], '"v1"');
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+});
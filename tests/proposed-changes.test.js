@@ -0,0 +1,127 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openVenueStore } from '../src/lib/venue-store.js';
+import { proposeChanges, reviewProposedChange, ProposalReviewError } from '../src/lib/proposed-changes.js';
+import { fieldChanges, venueHistory, currentProvenance } from '../src/lib/provenance.js';
+
+const scraped = (value, source_url, confidence = 0.6) => ({ value, source_url, extractor: 'text-pattern', confidence });
+
+describe('proposed changes', () => {
+  let dir;
+  let store;
+  let venue;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proposed-changes-'));
+    const filePath = path.join(dir, 'venues.json');
+    // An empty store rather than the bundled directory
+    fs.writeFileSync(filePath, '');
+    store = openVenueStore(filePath);
+    venue = store.transaction(tx => tx.insert('venues', {
+      name: 'The Pinhook', location: 'Durham, NC', venue_type: 'Bar', contact_phone: '(919) 555-0100'
+    }, { source: 'import', source_url: 'venues_master.csv' }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const propose = found => store.transaction(tx => proposeChanges(tx, venue.id, found));
+  const review = (id, action, editedValue) => store.transaction(tx => reviewProposedChange(tx, id, action, editedValue));
+  const proposals = () => store.all('proposed_changes').map(({ field, value, status }) => [field, value, status]);
+
+  test('only new, valid values are queued, in the form the venue stores them', () => {
+    const count = propose({
+      contact_email: scraped('booking@pinhook.example', 'https://pinhook.example/contact'),
+      contact_phone: scraped('(919) 555-0100', 'https://pinhook.example/contact'),
+      capacity: scraped('250', 'https://pinhook.example/about'),
+      typical_genres: scraped('', 'https://pinhook.example/about'),
+      venue_type: scraped('Spaceship', 'https://pinhook.example/about')
+    });
+    assert.equal(count, 2);
+    assert.deepEqual(proposals(), [['contact_email', 'booking@pinhook.example', 'pending'], ['capacity', 250, 'pending']]);
+    assert.equal(store.all('proposed_changes')[0].confidence, 0.6);
+
+    assert.equal(propose({ contact_email: scraped('booking@pinhook.example', 'https://pinhook.example/') }), 0);
+  });
+
+  test('a different value replaces the one waiting, and a rejected value isn\'t asked about again', () => {
+    propose({ capacity: scraped(200, 'https://pinhook.example/about') });
+    const [waiting] = store.all('proposed_changes');
+    propose({ capacity: scraped(250, 'https://pinhook.example/faq') });
+    assert.deepEqual(proposals(), [['capacity', 250, 'pending']]);
+    assert.equal(store.all('proposed_changes')[0].id, waiting.id);
+    assert.equal(store.all('proposed_changes')[0].source_url, 'https://pinhook.example/faq');
+
+    review(waiting.id, 'reject');
+    assert.equal(store.find('venues', venue.id).capacity, null);
+    assert.equal(propose({ capacity: scraped(250, 'https://pinhook.example/faq') }), 0);
+    assert.equal(propose({ capacity: scraped(300, 'https://pinhook.example/faq') }), 1);
+  });
+
+  test('approving writes the value to the venue, with where it was found', () => {
+    propose({ capacity: scraped(250, 'https://pinhook.example/about', 0.7) });
+    const [proposal] = store.all('proposed_changes');
+    const { venue: updated } = review(proposal.id, 'approve');
+
+    assert.equal(updated.capacity, 250);
+    const entry = currentProvenance(store.all('venue_history'), venue.id).capacity;
+    assert.deepEqual([entry.value, entry.previous_value, entry.source, entry.source_url, entry.confidence], [250, null, 'scraper', 'https://pinhook.example/about', 0.7]);
+    assert.throws(() => review(proposal.id, 'approve'), new ProposalReviewError('Already approved'));
+  });
+
+  test('an edited value is the reviewer\'s own', () => {
+    propose({ contact_email: scraped('info@pinhook.example', 'https://pinhook.example/contact') });
+    const [proposal] = store.all('proposed_changes');
+    const { proposal: reviewed, venue: updated } = review(proposal.id, 'approve', 'booking@pinhook.example');
+
+    assert.equal(updated.contact_email, 'booking@pinhook.example');
+    assert.equal(reviewed.reviewed_value, 'booking@pinhook.example');
+    const entry = currentProvenance(store.all('venue_history'), venue.id).contact_email;
+    assert.deepEqual([entry.source, entry.confidence], ['manual', 1]);
+  });
+
+  test('a change for a venue that\'s gone can\'t be approved', () => {
+    propose({ capacity: scraped(250, 'https://pinhook.example/about') });
+    const [proposal] = store.all('proposed_changes');
+    store.transaction(tx => tx.remove('venues', venue.id));
+    assert.throws(() => review(proposal.id, 'approve'), /no longer in the directory/);
+    assert.throws(() => review('missing', 'approve'), /not found/);
+  });
+});
+
+describe('provenance', () => {
+  test('a new venue gets an entry for each field it has, with per-field overrides', () => {
+    const changes = fieldChanges(null, { id: 'v1', name: 'The Pinhook', capacity: null, website: 'https://pinhook.example/' }, ['name', 'capacity', 'website'], {
+      source: 'discovery',
+      source_url: 'https://pinhook.example/',
+      fields: { website: { source_url: 'https://search.example/?q=pinhook', confidence: 0.4 } }
+    });
+    assert.deepEqual(changes.map(({ field, source_url, confidence }) => [field, source_url, confidence]), [
+      ['name', 'https://pinhook.example/', 0.6],
+      ['website', 'https://search.example/?q=pinhook', 0.4]
+    ]);
+  });
+
+  test('changes are recorded with the value they replaced, manual unless said otherwise', () => {
+    const [change] = fieldChanges({ id: 'v1', name: 'Pinhook', capacity: 200 }, { id: 'v1', name: 'Pinhook', capacity: 250 }, ['name', 'capacity']);
+    assert.deepEqual(change, {
+      venue_id: 'v1', field: 'capacity', value: 250, previous_value: 200, source: 'manual', source_url: '', confidence: 1, reverted_from: ''
+    });
+  });
+
+  test('history is newest first, and the latest entry per field is its provenance', () => {
+    const history = [
+      { id: 'h1', venue_id: 'v1', field: 'capacity', value: 200 },
+      { id: 'h2', venue_id: 'v2', field: 'capacity', value: 900 },
+      { id: 'h3', venue_id: 'v1', field: 'name', value: 'Pinhook' },
+      { id: 'h4', venue_id: 'v1', field: 'capacity', value: 250 }
+    ];
+    assert.deepEqual(venueHistory(history, 'v1').map(({ id }) => id), ['h4', 'h3', 'h1']);
+    assert.deepEqual(venueHistory(history, 'v1', 'capacity').map(({ id }) => id), ['h4', 'h1']);
+    assert.deepEqual(Object.fromEntries(Object.entries(currentProvenance(history, 'v1')).map(([field, { id }]) => [field, id])), { capacity: 'h4', name: 'h3' });
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REGIONS, venueRegion, regionLabel } from '../src/lib/regions.js';
+
+describe('regions', () => {
+  test('a venue is in the region of its nearest hub', () => {
+    assert.equal(venueRegion({ lat: 35.6004, lng: -82.5443 }), 'mountains');
+    assert.equal(venueRegion({ lat: 35.9055, lng: -79.0901 }), 'triangle');
+    // Every hub is in its own region
+    REGIONS.forEach(region => region.hubs.forEach(hub => assert.equal(venueRegion(hub), region.value, hub.name)));
+  });
+
+  test('a venue that isn\'t placed has no region', () => {
+    assert.equal(venueRegion({ lat: null, lng: null }), '');
+    assert.equal(venueRegion({}), '');
+  });
+
+  test('labels', () => {
+    assert.equal(regionLabel('charlotte'), 'Charlotte Metro');
+    assert.equal(regionLabel(''), 'Unplaced');
+    assert.equal(regionLabel('atlantis'), 'atlantis');
+  });
+});
@@ -0,0 +1,99 @@
+// Precision and recall for the fixture tests. Each case pairs what a page should
+// give (null where it should give nothing) with what the code actually found.
+//
+// Per field: a correct value is a true positive; a wrong value is both a false
+// positive and a false negative; a value where none was expected is a false
+// positive; and a value that was missed is a false negative.
+
+/**
+ * @typedef {object} FieldScore
+ * @property {number} tp
+ * @property {number} fp
+ * @property {number} fn
+ * @property {number} precision 1 when nothing was found
+ * @property {number} recall 1 when nothing was expected
+ */
+
+const isEmpty = value => value === null || value === undefined || value === '';
+
+// Genre lists are equal whatever their order
+const genreSet = value => String(value).split(';').map(genre => genre.trim().toLowerCase()).filter(Boolean).sort().join(';');
+
+/**
+ * Whether a found value matches the expected one.
+ * @param {string} field
+ * @param {any} expected
+ * @param {any} actual
+ */
+export function sameValue(field, expected, actual) {
+  if (field === 'typical_genres') return genreSet(expected) === genreSet(actual);
+  return String(expected).trim().toLowerCase() === String(actual).trim().toLowerCase();
+}
+
+/**
+ * @param {number} tp
+ * @param {number} fp
+ * @param {number} fn
+ * @returns {FieldScore}
+ */
+export function score(tp, fp, fn) {
+  return {
+    tp, fp, fn,
+    precision: tp + fp === 0 ? 1 : tp / (tp + fp),
+    recall: tp + fn === 0 ? 1 : tp / (tp + fn)
+  };
+}
+
+/**
+ * Score each field over a set of cases.
+ * @param {{expected: Record<string, any>, actual: Record<string, any>}[]} cases
+ * @param {string[]} fields
+ * @returns {Record<string, FieldScore>}
+ */
+export function scoreFields(cases, fields) {
+  return Object.fromEntries(fields.map(field => {
+    let tp = 0, fp = 0, fn = 0;
+    cases.forEach(({ expected, actual }) => {
+      const want = expected[field];
+      const got = actual[field];
+      if (isEmpty(got)) {
+        if (!isEmpty(want)) fn++;
+      } else if (isEmpty(want)) {
+        fp++;
+      } else if (sameValue(field, want, got)) {
+        tp++;
+      } else {
+        fp++;
+        fn++;
+      }
+    });
+    return [field, score(tp, fp, fn)];
+  }));
+}
+
+const percent = value => `${Math.round(value * 100)}%`.padStart(5);
+
+/**
+ * A table of scores for the test output.
+ * @param {Record<string, FieldScore>} scores
+ */
+export function formatScores(scores) {
+  const width = Math.max(...Object.keys(scores).map(field => field.length));
+  return [
+    `${'field'.padEnd(width)}  precision  recall  tp  fp  fn`,
+    ...Object.entries(scores).map(([field, { tp, fp, fn, precision, recall }]) =>
+      `${field.padEnd(width)}      ${percent(precision)}   ${percent(recall)}  ${String(tp).padStart(2)}  ${String(fp).padStart(2)}  ${String(fn).padStart(2)}`)
+  ].join('\n');
+}
+
+/**
+ * Differences between what a case should give and what it did, for failure messages.
+ * @param {Record<string, any>} expected
+ * @param {Record<string, any>} actual
+ * @param {string[]} fields
+ */
+export function mismatches(expected, actual, fields) {
+  return fields
+    .filter(field => isEmpty(expected[field]) ? !isEmpty(actual[field]) : isEmpty(actual[field]) || !sameValue(field, expected[field], actual[field]))
+    .map(field => `${field}: expected ${JSON.stringify(expected[field] ?? null)}, got ${JSON.stringify(actual[field] ?? null)}`);
+}
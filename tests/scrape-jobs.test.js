@@ -0,0 +1,172 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openVenueStore } from '../src/lib/venue-store.js';
+import {
+  startScrapeJob, claimScrapeTask, completeScrapeTask, failScrapeTask, renewScrapeTask, scrapeJobProgress, withScrapeLease,
+  MAX_ATTEMPTS, ATTEMPT_TIMEOUT_MS, LEASE_RENEWAL_MS
+} from '../src/lib/scrape-jobs.js';
+
+const at = minutes => new Date(Date.UTC(2026, 5, 1, 12, minutes));
+const DAY = 24 * 60;
+
+describe('scrape jobs', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-jobs-'));
+    store = openVenueStore(path.join(dir, 'venues.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const start = (venueIds, now = at(0)) => store.transaction(tx => startScrapeJob(tx, venueIds, { trigger: 'test', now }));
+  const claim = (jobId, now) => store.transaction(tx => claimScrapeTask(tx, jobId, now));
+  const complete = (task, now, result = { fieldsFound: ['contact_email'], pages: 2, changesProposed: 1 }) =>
+    store.transaction(tx => completeScrapeTask(tx, task.id, result, now));
+  const fail = (task, now, options = {}) => store.transaction(tx => failScrapeTask(tx, task.id, 'HTTP 503', { now, ...options }));
+  const progress = (jobId, now) => scrapeJobProgress(store.find('scrape_jobs', jobId), store.all('scrape_tasks'), [], now);
+
+  test('a job has a pending task per venue, claimed in order', () => {
+    const { job, created } = start(['a', 'b']);
+    assert.equal(created, true);
+    assert.equal(job.total, 2);
+
+    const first = claim(job.id, at(1));
+    assert.equal(first.venue_id, 'a');
+    assert.equal(first.status, 'running');
+    assert.equal(first.attempts, 1);
+    assert.equal(claim(job.id, at(1)).venue_id, 'b');
+    assert.equal(claim(job.id, at(1)), null);
+  });
+
+  test('a running job is resumed rather than a second one started', () => {
+    const { job } = start(['a', 'b']);
+    const again = start(['c']);
+    assert.equal(again.created, false);
+    assert.equal(again.job.id, job.id);
+    assert.equal(store.all('scrape_jobs').length, 1);
+  });
+
+  test('the job completes when every task is finished', () => {
+    const { job } = start(['a', 'b']);
+    complete(claim(job.id, at(1)), at(2));
+    assert.equal(store.find('scrape_jobs', job.id).status, 'running');
+    fail(claim(job.id, at(2)), at(3), { retry: false });
+
+    const finished = store.find('scrape_jobs', job.id);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.finished_at, at(3).toISOString());
+  });
+
+  test('venues finished in the last week are left out of new jobs', () => {
+    const { job } = start(['a', 'b']);
+    complete(claim(job.id, at(1)), at(2));
+    complete(claim(job.id, at(2)), at(3));
+
+    assert.deepEqual(start(['a', 'b'], at(DAY)), { job: null, created: false });
+
+    const later = start(['a', 'b', 'c'], at(8 * DAY));
+    assert.equal(later.job.total, 3);
+  });
+
+  test('a failed venue waits before it is retried, up to the attempt limit', () => {
+    const { job } = start(['a']);
+    let task = claim(job.id, at(0));
+    const failed = fail(task, at(1));
+    assert.equal(failed.status, 'pending');
+    assert.equal(failed.last_error, 'HTTP 503');
+    assert.equal(failed.next_retry_at, at(6).toISOString());
+
+    assert.equal(claim(job.id, at(5)), null);
+    assert.equal(progress(job.id, at(5)).waiting, 1);
+    assert.equal(progress(job.id, at(5)).next_retry_at, at(6).toISOString());
+
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      task = claim(job.id, at(attempt * 60));
+      assert.equal(task.attempts, attempt);
+      fail(task, at(attempt * 60 + 1));
+    }
+
+    const last = store.find('scrape_tasks', task.id);
+    assert.equal(last.status, 'failed');
+    assert.equal(store.find('scrape_jobs', job.id).status, 'completed');
+  });
+
+  test('failures that will not go away are not retried', () => {
+    const { job } = start(['a']);
+    const failed = fail(claim(job.id, at(0)), at(1), { retry: false });
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 1);
+  });
+
+  test('an attempt that was cut off counts as a failure and is retried', () => {
+    const { job } = start(['a']);
+    claim(job.id, at(0));
+
+    // Still within the attempt timeout, so it may yet finish
+    assert.equal(claim(job.id, at(1)), null);
+
+    const cutOff = new Date(at(0).getTime() + ATTEMPT_TIMEOUT_MS + 1000);
+    assert.equal(claim(job.id, cutOff), null);
+    const task = store.all('scrape_tasks')[0];
+    assert.equal(task.status, 'pending');
+    assert.match(task.last_error, /timeout/);
+
+    const retried = claim(job.id, new Date(cutOff.getTime() + 5 * 60 * 1000));
+    assert.equal(retried.attempts, 2);
+  });
+
+  test('an attempt that renews its lease isn\'t cut off', () => {
+    const { job } = start(['a']);
+    const task = claim(job.id, at(0));
+    store.transaction(tx => renewScrapeTask(tx, task.id, at(2)));
+
+    // Longer than the timeout since it started, but not since it was last renewed
+    assert.equal(claim(job.id, new Date(at(1).getTime() + ATTEMPT_TIMEOUT_MS)), null);
+    assert.equal(store.find('scrape_tasks', task.id).status, 'running');
+
+    complete(task, at(5));
+    assert.equal(store.transaction(tx => renewScrapeTask(tx, task.id, at(6))), null);
+  });
+
+  test('the lease is renewed for as long as the attempt runs', async () => {
+    const { job } = start(['a']);
+    const task = claim(job.id, at(0));
+    mock.timers.enable({ apis: ['setInterval'] });
+    try {
+      const result = await withScrapeLease(store, task.id, async () => {
+        mock.timers.tick(LEASE_RENEWAL_MS);
+        return 'scraped';
+      });
+      assert.equal(result, 'scraped');
+      assert.ok(store.find('scrape_tasks', task.id).renewed_at);
+
+      // Not after it's settled
+      store.transaction(tx => tx.update('scrape_tasks', task.id, { renewed_at: '' }));
+      mock.timers.tick(LEASE_RENEWAL_MS * 2);
+      assert.equal(store.find('scrape_tasks', task.id).renewed_at, '');
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  test('progress counts tasks by status and lists the latest first', () => {
+    const { job } = start(['a', 'b', 'c', 'd']);
+    complete(claim(job.id, at(1)), at(2));
+    complete(claim(job.id, at(2)), at(3), { fieldsFound: [], pages: 3, changesProposed: 0 });
+    fail(claim(job.id, at(4)), at(5));
+
+    const { total, done, failed, running, pending, waiting, percent, venues_with_findings, changes_proposed, recent } = progress(job.id, at(5));
+    assert.deepEqual(
+      { total, done, failed, running, pending, waiting, percent, venues_with_findings, changes_proposed },
+      { total: 4, done: 2, failed: 0, running: 0, pending: 1, waiting: 1, percent: 50, venues_with_findings: 1, changes_proposed: 1 }
+    );
+    assert.deepEqual(recent.map(task => task.venue_id), ['c', 'b', 'a']);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createTieredFetcher } from '../src/lib/page-fetcher.js';
+import { createPoliteFetcher } from '../src/lib/polite-fetch.js';
+import { crawlSite, rankLink, parseSitemap } from '../src/lib/site-crawler.js';
+
+// The crawler against a small venue site served locally. Its best details are on a
+// booking page that the homepage doesn't link to, only the sitemap named in its
+// robots.txt.
+
+const page = (body, head = '') => `<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`;
+
+const SITE = {
+  '/': page(`
+    <nav><a href="/">Home</a><a href="/menu">Menu</a><a href="/contact">Contact</a><a href="/calendar">Shows</a>
+    <a href="/news/2025/06/read-about-our-new-stage">Read about our new stage</a><a href="/flyer.pdf">Booking flyer</a>
+    <a href="https://www.facebook.com/thefoundry">Contact us on Facebook</a></nav>
+    <h1>The Foundry</h1><p>Rock and blues every weekend. Questions? info@thefoundry.test or call 919-555-0100.</p>`),
+  '/contact': page('<h1>Contact</h1><p>Email hello@thefoundry.test for anything at all.</p>'),
+  '/calendar': page('<h1>Shows</h1><p>Friday: Americana night.</p>'),
+  '/menu': page('<h1>Menu</h1><p>Burgers, fries.</p>'),
+  '/booking': page('<h1>Play The Foundry</h1>', `<script type="application/ld+json">${JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'MusicVenue',
+    name: 'The Foundry',
+    email: 'booking@thefoundry.test',
+    telephone: '+1 919 555 0123',
+    maximumAttendeeCapacity: 320
+  })}</script>`),
+  '/faq': page('<h1>FAQ</h1><p>Is there parking? Yes.</p>'),
+  '/robots.txt': 'User-agent: *\nDisallow: /faq\nSitemap: ORIGIN/sitemap.xml\n',
+  '/sitemap.xml': `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url><loc>ORIGIN/</loc></url><url><loc>ORIGIN/booking</loc></url><url><loc>ORIGIN/faq</loc></url>
+    <url><loc>https://elsewhere.test/booking</loc></url></urlset>`
+};
+
+describe('site crawler', () => {
+  let server;
+  let origin;
+  let requested;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requested.push(req.url);
+      const body = SITE[req.url];
+      const type = req.url.endsWith('.xml') ? 'application/xml' : req.url.endsWith('.txt') ? 'text/plain' : 'text/html';
+      res.writeHead(body ? 200 : 404, { 'Content-Type': type });
+      res.end(body ? body.replace(/ORIGIN/g, origin) : 'Not found');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  // No page has a contact name, so the crawl doesn't stop early unless a test asks for less
+  const crawl = (options, fields = ['contact_email', 'contact_phone', 'capacity', 'contact_name']) => {
+    requested = [];
+    const fetcher = createTieredFetcher({
+      launchBrowser: async () => { throw new Error('no browser in tests'); },
+      http: createPoliteFetcher({ minDelay: 0, cacheDir: null }),
+      timeout: 2000
+    });
+    return crawlSite(`${origin}/`, fields, { fetcher, ...options });
+  };
+
+  test('the best ranked pages are visited first, from links and the sitemap', async () => {
+    const { pages } = await crawl({ maxPages: 3 });
+    assert.deepEqual(pages.map(visited => new URL(visited.url).pathname), ['/', '/booking', '/contact']);
+    assert.ok(requested.includes('/sitemap.xml'));
+  });
+
+  test('values are merged across pages by confidence', async () => {
+    const { found } = await crawl({ maxPages: 3 });
+    // The homepage's text and the contact page both have an email, but the booking
+    // page's structured data beats them
+    assert.equal(found.contact_email.value, 'booking@thefoundry.test');
+    assert.equal(found.contact_email.source_url, `${origin}/booking`);
+    assert.equal(found.contact_phone.value, '(919) 555-0123');
+    assert.equal(found.capacity.value, 320);
+  });
+
+  test('values only the homepage has are kept', async () => {
+    const { found } = await crawl({ maxPages: 3 }, ['contact_email', 'typical_genres']);
+    assert.equal(found.typical_genres.source_url, `${origin}/`);
+  });
+
+  test('the page budget includes the homepage', async () => {
+    const { pages } = await crawl({ maxPages: 1 });
+    assert.equal(pages.length, 1);
+    assert.ok(!requested.includes('/sitemap.xml'));
+  });
+
+  test('no page is started after the time budget', async () => {
+    const { pages } = await crawl({ maxPages: 5, timeBudget: -1 });
+    assert.equal(pages.length, 1);
+  });
+
+  test('the crawl stops once every field is settled', async () => {
+    const { pages } = await crawl({ maxPages: 5 }, ['capacity']);
+    assert.deepEqual(pages.map(visited => new URL(visited.url).pathname), ['/', '/booking']);
+  });
+
+  test('pages on other sites, files and unranked pages are never visited', async () => {
+    await crawl({ maxPages: 10 });
+    ['/menu', '/flyer.pdf'].forEach(path => assert.ok(!requested.includes(path), path));
+  });
+
+  test('pages robots.txt disallows are skipped', async () => {
+    const { pages } = await crawl({ maxPages: 10 });
+    assert.ok(!requested.includes('/faq'));
+    assert.ok(!pages.some(visited => visited.url.endsWith('/faq')));
+  });
+});
+
+describe('link ranking', () => {
+  const rank = (path, text) => rankLink(`https://venue.test${path}`, text);
+
+  test('booking beats contact beats about beats FAQ beats the calendar', () => {
+    const ranks = ['/booking', '/contact-us', '/about', '/faq', '/calendar'].map(path => rank(path));
+    assert.deepEqual([...ranks].sort((a, b) => b - a), ranks);
+    assert.ok(ranks.every(value => value > 0));
+  });
+
+  test('link text and path spellings count', () => {
+    assert.ok(rank('/page-12', 'Book a show') === 0);
+    assert.ok(rank('/page-12', 'Contact') > 0);
+    assert.ok(rank('/private_events') > 0);
+    assert.ok(rank('/privateEvents') > 0);
+  });
+
+  test('deep pages and files rank lower', () => {
+    assert.ok(rank('/blog/2025/06/about-our-stage') < rank('/about'));
+    assert.equal(rank('/booking-form.pdf'), 0);
+    assert.equal(rank('/menu'), 0);
+  });
+
+  test('sitemap indexes list their sitemaps', () => {
+    const index = parseSitemap('<sitemapindex><sitemap><loc>https://venue.test/page-sitemap.xml</loc></sitemap></sitemapindex>');
+    assert.deepEqual(index, { pages: [], sitemaps: ['https://venue.test/page-sitemap.xml'] });
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createPoliteFetcher } from '../src/lib/polite-fetch.js';
+import { openVenueStore } from '../src/lib/venue-store.js';
+import { listedVenues } from '../src/lib/venue-query.js';
+import { checkSite, findClosurePhrase, recordSiteCheck, reviewSiteCheck, isFlagged, venuesDueCheck } from '../src/lib/site-health.js';
+
+const page = (title, body) => `<html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+const PAGES = {
+  '/open/': page('The Pour House', '<h1>The Pour House</h1><p>Live music every night. Closed Mondays and for private events.</p>'),
+  '/closed/': page('The Cave', '<p>After 40 years, The Cave has closed its doors. Thanks for the memories.</p>'),
+  '/parked/': page('venue.test', '<p>This domain is for sale! Make an offer today.</p>')
+};
+
+describe('website checks', () => {
+  let server;
+  let base;
+  let closedPort;
+  let rdap;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/moved/') {
+        // Another host name for the same server, as a venue site handed over to another site
+        res.writeHead(301, { Location: base.replace('127.0.0.1', 'localhost') + '/open/' });
+        return res.end();
+      }
+      if (req.url.startsWith('/domain/')) {
+        res.writeHead(rdap.status, { 'Content-Type': 'application/rdap+json' });
+        return res.end(JSON.stringify(rdap.body));
+      }
+      if (PAGES[req.url]) {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end(PAGES[req.url]);
+      }
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end(page('Not found', '<p>Not found</p>'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+
+    // A port nothing listens on
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    closedPort = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const fetcher = () => createPoliteFetcher({ minDelay: 0, cacheDir: null });
+  const resolves = async () => ({ address: '127.0.0.1' });
+  const doesNotResolve = async () => {
+    throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+  };
+
+  test('a working site is ok, even if it mentions closing days', async () => {
+    const result = await checkSite(fetcher(), `${base}/open/`);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.http_status, 200);
+  });
+
+  test('a missing page is broken', async () => {
+    const result = await checkSite(fetcher(), `${base}/gone/`);
+    assert.equal(result.status, 'broken');
+    assert.equal(result.http_status, 404);
+  });
+
+  test('a site that says the venue has closed', async () => {
+    const result = await checkSite(fetcher(), `${base}/closed/`);
+    assert.equal(result.status, 'closed');
+    assert.equal(result.closure_phrase, 'closed its doors');
+  });
+
+  test('a parked domain', async () => {
+    assert.equal((await checkSite(fetcher(), `${base}/parked/`)).status, 'parked');
+  });
+
+  test('a site that redirects somewhere else', async () => {
+    const result = await checkSite(fetcher(), `${base}/moved/`);
+    assert.equal(result.status, 'redirected');
+    assert.match(result.final_url, /^http:\/\/localhost:\d+\/open\/$/);
+  });
+
+  test('a site that refuses connections is unreachable', async () => {
+    const result = await checkSite(fetcher(), `http://127.0.0.1:${closedPort}/`, { lookup: resolves });
+    assert.equal(result.status, 'unreachable');
+    assert.equal(result.error, 'ECONNREFUSED');
+  });
+
+  test('a domain that no longer resolves is looked up in RDAP', async () => {
+    const url = `http://127.0.0.1:${closedPort}/`;
+    const options = { lookup: doesNotResolve, rdapUrl: `${base}/domain/`, now: new Date('2026-06-01T00:00:00Z') };
+
+    rdap = { status: 404, body: { errorCode: 404 } };
+    assert.equal((await checkSite(fetcher(), url, options)).status, 'expired');
+
+    rdap = { status: 200, body: { events: [{ eventAction: 'expiration', eventDate: '2026-03-01T00:00:00Z' }] } };
+    const lapsed = await checkSite(fetcher(), url, options);
+    assert.equal(lapsed.status, 'expired');
+    assert.equal(lapsed.domain_expires_at, '2026-03-01T00:00:00Z');
+
+    rdap = { status: 200, body: { events: [{ eventAction: 'expiration', eventDate: '2027-03-01T00:00:00Z' }] } };
+    assert.equal((await checkSite(fetcher(), url, options)).status, 'unreachable');
+  });
+
+  test('closure phrases', () => {
+    assert.equal(findClosurePhrase('We are permanently closed. Thank you!'), 'permanently closed');
+    assert.equal(findClosurePhrase('Sadly the club is no longer operating'), 'no longer operating');
+    assert.equal(findClosurePhrase('We close our doors at 2am. Closed for a private event Friday.'), '');
+  });
+});
+
+describe('recording website checks', () => {
+  let dir;
+  let store;
+  let venue;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-health-'));
+    store = openVenueStore(path.join(dir, 'venues.json'));
+    venue = store.transaction(tx => tx.insert('venues', {
+      name: 'The Cave', location: 'Chapel Hill, NC', venue_type: 'bar', website: 'https://caverntavern.test'
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const result = (status, extra = {}) => ({
+    url: venue.website, status, http_status: null, final_url: '', error: '', closure_phrase: '', domain_expires_at: '', ...extra
+  });
+  const record = (status, when) => store.transaction(tx => recordSiteCheck(tx, venue.id, result(status), new Date(when)));
+
+  test('an outage is only flagged once it has lasted', () => {
+    const first = record('unreachable', '2026-06-01');
+    assert.equal(first.failures, 1);
+    assert.equal(isFlagged(first), false);
+
+    const second = record('unreachable', '2026-06-08');
+    assert.equal(second.failures, 2);
+    assert.equal(isFlagged(second), true);
+    assert.equal(store.all('site_checks').length, 1);
+
+    assert.equal(record('ok', '2026-06-15').failures, 0);
+  });
+
+  test('a closure is flagged at once, and a dismissal lasts until the status changes', () => {
+    assert.equal(isFlagged(record('closed', '2026-06-01')), true);
+
+    store.transaction(tx => reviewSiteCheck(tx, venue.id, 'dismiss'));
+    assert.equal(isFlagged(record('closed', '2026-06-08')), false);
+    assert.equal(isFlagged(record('parked', '2026-06-15')), true);
+  });
+
+  test('marking a venue closed is kept in its history', () => {
+    record('closed', '2026-06-01');
+    const { venue: closed } = store.transaction(tx => reviewSiteCheck(tx, venue.id, 'close'));
+    assert.equal(closed.operating_status, 'closed');
+
+    const entry = store.all('venue_history').find(entry => entry.field === 'operating_status' && entry.value === 'closed');
+    assert.equal(entry.previous_value, 'open');
+    assert.equal(entry.source_url, venue.website);
+  });
+
+  test('closed venues are not checked again, and can be hidden from the directory', () => {
+    assert.deepEqual(venuesDueCheck([venue], []).map(v => v.id), [venue.id]);
+    assert.deepEqual(venuesDueCheck([venue], [{ venue_id: venue.id, checked_at: '2026-06-01T00:00:00Z' }], new Date('2026-06-03')), []);
+
+    const closed = { ...venue, operating_status: 'closed' };
+    assert.deepEqual(venuesDueCheck([closed], []), []);
+    assert.equal(listedVenues([closed], 'mark').length, 1);
+    assert.equal(listedVenues([closed], 'hide').length, 0);
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openVenueStore } from '../src/lib/venue-store.js';
+import {
+  scoreDuplicate, findLikelyDuplicate, findDuplicatePairs, findDiscoveredDuplicates, dismissedPairKeys, compareFields, mergeVenues,
+  normalizeName, normalizePhone, normalizeStreet, websiteDomain
+} from '../src/lib/venue-duplicates.js';
+import { proposeChanges } from '../src/lib/proposed-changes.js';
+import { currentProvenance } from '../src/lib/provenance.js';
+import { recordSiteCheck } from '../src/lib/site-health.js';
+import { startScrapeJob, claimScrapeTask, completeScrapeTask } from '../src/lib/scrape-jobs.js';
+
+const venue = (name, fields = {}) => ({ name, location: 'Durham, NC', venue_type: 'Bar', ...fields });
+const scraped = (value, source_url) => ({ value, source_url, extractor: 'text-pattern', confidence: 0.6 });
+
+const PINHOOK = {
+  id: 'pinhook',
+  name: 'The Pinhook',
+  location: 'Durham, NC',
+  address: '117 W Main St, Durham, NC 27701',
+  contact_phone: '919-555-0100',
+  website: 'https://thepinhook.com/'
+};
+
+describe('duplicate scoring', () => {
+  test('names, streets and phone numbers are compared in a common form', () => {
+    assert.equal(normalizeName('The Cat’s Cradle & Back Room'), 'cats cradle and back room');
+    assert.equal(normalizeStreet('117 West Main Street, Suite 4, Durham, NC 27701', 'Durham, NC'), '117 w main st');
+    assert.equal(normalizePhone('+1 (919) 555-0100'), '9195550100');
+    assert.equal(normalizePhone('555-0100'), '');
+    assert.equal(websiteDomain('https://www.thepinhook.com/shows'), 'thepinhook.com');
+    // Shared hosts say nothing about which venue it is
+    assert.equal(websiteDomain('https://facebook.com/thepinhook'), '');
+  });
+
+  test('several matching details add up', () => {
+    const match = scoreDuplicate(PINHOOK, { name: 'Pinhook', location: 'Durham, NC', address: '117 West Main Street Durham NC' });
+    assert.deepEqual(match.reasons, ['Same name', 'Same address']);
+    assert.ok(match.score >= 0.9);
+    assert.equal(findLikelyDuplicate({ name: 'Pinhook', location: 'Durham, NC', website: 'http://www.thepinhook.com' }, [PINHOOK]).venue, PINHOOK);
+  });
+
+  test('a venue in another town or at another number is probably a different one', () => {
+    assert.deepEqual(scoreDuplicate(PINHOOK, { name: 'The Pinhook', location: 'Asheville, NC' }), { score: 0.3, reasons: ['Same name (different town)'] });
+    const neighbour = scoreDuplicate(PINHOOK, { name: 'Pinhook Bar', location: 'Durham, NC', address: '200 W Main St, Durham, NC' });
+    assert.ok(neighbour.reasons.includes('Different street numbers'));
+    assert.ok(neighbour.score < 0.5);
+    // A booking agency's number is listed for venues all over the state
+    assert.deepEqual(scoreDuplicate(PINHOOK, { name: 'Motorco', location: 'Raleigh, NC', contact_phone: '(919) 555-0100' }).reasons, ['Same phone (different town)']);
+    assert.equal(findLikelyDuplicate({ name: 'Arcana', location: 'Durham, NC' }, [PINHOOK]), null);
+  });
+
+  test('dismissed pairs aren\'t suggested again', () => {
+    const twin = { ...PINHOOK, id: 'twin', name: 'Pinhook' };
+    const other = { id: 'motorco', name: 'Motorco Music Hall', location: 'Durham, NC' };
+    assert.deepEqual(findDuplicatePairs([PINHOOK, other, twin]).map(({ target, source }) => [target.id, source.id]), [['pinhook', 'twin']]);
+    const dismissed = dismissedPairKeys([{ venue_id: 'twin', other_id: 'pinhook' }]);
+    assert.deepEqual(findDuplicatePairs([PINHOOK, other, twin], dismissed), []);
+
+    const discovered = [{ ...twin, status: 'pending' }, { ...twin, id: 'reviewed', status: 'rejected' }];
+    assert.deepEqual(findDiscoveredDuplicates(discovered, [PINHOOK]).map(({ source }) => source.id), ['twin']);
+    assert.deepEqual(findDiscoveredDuplicates(discovered, [PINHOOK], dismissed), []);
+  });
+
+  test('the merge screen lists the source\'s directory fields, flagging real differences', () => {
+    assert.deepEqual(compareFields({ name: 'The Pinhook', capacity: 250, website: '' }, { name: 'the pinhook ', capacity: 300, website: 'https://thepinhook.com/', status: 'pending' }), [
+      { field: 'name', target: 'The Pinhook', source: 'the pinhook ', conflict: false },
+      { field: 'capacity', target: 250, source: 300, conflict: true },
+      { field: 'website', target: '', source: 'https://thepinhook.com/', conflict: false }
+    ]);
+  });
+});
+
+describe('merging venues', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'venue-duplicates-'));
+    store = openVenueStore(path.join(dir, 'venues.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('what pointed at a merged directory venue moves to the target or goes with it', () => {
+    const { target, source, job } = store.transaction(tx => {
+      const target = tx.insert('venues', venue('The Pinhook'));
+      const source = tx.insert('venues', venue('Pinhook Bar', { website: 'https://pinhook.example/' }));
+      tx.update('venues', source.id, { contact_phone: '(919) 555-0100' });
+      proposeChanges(tx, source.id, {
+        contact_email: scraped('hello@pinhook.example', 'https://pinhook.example/contact'),
+        capacity: scraped(250, 'https://pinhook.example/about')
+      });
+      recordSiteCheck(tx, source.id, { url: source.website, status: 'ok' });
+      const { job } = startScrapeJob(tx, [source.id, target.id, 'other'], { trigger: 'test' });
+      return { target, source, job };
+    });
+    store.transaction(tx => {
+      const [email] = tx.all('proposed_changes').filter(proposal => proposal.field === 'contact_email');
+      tx.update('proposed_changes', email.id, { status: 'rejected' });
+      completeScrapeTask(tx, claimScrapeTask(tx, job.id).id, { fieldsFound: ['capacity'], pages: 2, changesProposed: 1 });
+      // The target's task is left running, and the third venue's pending
+      claimScrapeTask(tx, job.id);
+    });
+
+    store.transaction(tx => mergeVenues(tx, target, source, 'venues', { contact_phone: '(919) 555-0100' }));
+    const of = (name, id) => store.all(name).filter(record => record.venue_id === id);
+
+    assert.equal(store.find('venues', source.id), null);
+    assert.equal(store.find('venues', target.id).contact_phone, '(919) 555-0100');
+    assert.equal(of('venue_history', source.id).length, 0);
+    assert.ok(of('venue_history', target.id).some(entry => entry.field === 'contact_phone' && entry.value === '(919) 555-0100'));
+    // The reviewed proposal is kept with the target; the pending one was for the source's site
+    assert.deepEqual(store.all('proposed_changes').map(proposal => [proposal.venue_id, proposal.field, proposal.status]), [
+      [target.id, 'contact_email', 'rejected']
+    ]);
+    assert.deepEqual(store.all('site_checks'), []);
+    assert.deepEqual(store.all('scrape_tasks').map(task => [task.venue_id, task.status]), [
+      [target.id, 'done'],
+      [target.id, 'running'],
+      ['other', 'pending']
+    ]);
+  });
+
+  test('the newest history entry for each field is still the value the target kept', () => {
+    const { target, source } = store.transaction(tx => ({
+      target: tx.insert('venues', venue('The Pinhook', { capacity: 250 }), { source: 'import', source_url: 'venues_master.csv' }),
+      source: tx.insert('venues', venue('Pinhook', { website: 'https://pinhook.example/' }), { source: 'upload', source_url: 'upload.csv' })
+    }));
+    // The source's changes are newer than the target's
+    store.transaction(tx => tx.update('venues', source.id, { capacity: 300 }, { source: 'upload', source_url: 'upload.csv' }));
+
+    store.transaction(tx => mergeVenues(tx, target, source, 'venues', { website: 'https://pinhook.example/' }));
+    const merged = store.find('venues', target.id);
+    const current = currentProvenance(store.all('venue_history'), target.id);
+
+    assert.deepEqual([merged.name, merged.capacity, merged.website], ['The Pinhook', 250, 'https://pinhook.example/']);
+    Object.entries(current).forEach(([field, entry]) => assert.equal(entry.value, merged[field], field));
+    // Kept values keep where they came from
+    assert.deepEqual([current.capacity.source, current.capacity.source_url, current.capacity.previous_value], ['import', 'venues_master.csv', 300]);
+    assert.equal(current.name.source, 'import');
+  });
+
+  test('a job left with nothing to do once the merged venue\'s task is dropped is finished', () => {
+    const { target, source, job } = store.transaction(tx => {
+      const target = tx.insert('venues', venue('The Pinhook'));
+      const source = tx.insert('venues', venue('Pinhook Bar'));
+      return { target, source, job: startScrapeJob(tx, [source.id], { trigger: 'test' }).job };
+    });
+
+    store.transaction(tx => mergeVenues(tx, target, source, 'venues', {}));
+    assert.deepEqual(store.all('scrape_tasks'), []);
+    assert.equal(store.find('scrape_jobs', job.id).status, 'completed');
+  });
+
+  test('a merged discovery is approved and linked to the target', () => {
+    const { target, source } = store.transaction(tx => ({
+      target: tx.insert('venues', venue('The Pinhook')),
+      source: tx.insert('discovered', { name: 'Pinhook', location: 'Durham, NC', status: 'pending' })
+    }));
+
+    store.transaction(tx => mergeVenues(tx, target, source, 'discovered', {}));
+    const discovered = store.find('discovered', source.id);
+    assert.equal(discovered.status, 'approved');
+    assert.equal(discovered.venue_id, target.id);
+    assert.ok(store.find('venues', target.id));
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVenueQuery, queryVenues, VenueQueryError } from '../src/lib/venue-query.js';
+import { locatePlace } from '../src/lib/address.js';
+
+const venue = (id, name, fields = {}) => ({
+  id,
+  name,
+  location: 'Durham, NC',
+  venue_type: 'Bar',
+  capacity: null,
+  typical_genres: '',
+  lat: null,
+  lng: null,
+  region: '',
+  updated_at: '2026-01-10T12:00:00.000Z',
+  ...fields
+});
+
+const VENUES = [
+  venue('v1', 'Motorco Music Hall', { capacity: 450, lat: 36.0, lng: -78.9, region: 'triangle', typical_genres: 'Rock; Indie' }),
+  venue('v2', 'The Pinhook', { capacity: 250, lat: 35.996, lng: -78.902, region: 'triangle', typical_genres: 'Indie' }),
+  venue('v3', 'Cat\'s Cradle', { location: 'Carrboro, NC', capacity: 750, lat: 35.91, lng: -79.07, region: 'triangle' }),
+  venue('v4', 'Arcana', { venue_type: 'Club' }),
+  venue('v5', 'The Orange Peel', { location: 'Asheville, NC', capacity: 1100, lat: 35.59, lng: -82.55, region: 'mountains' }),
+  venue('v6', 'Blue Note Grill', { capacity: 250 })
+];
+
+const query = (search, venues = VENUES) => queryVenues(venues, parseVenueQuery(new URLSearchParams(search), locatePlace));
+const ids = result => result.data.map(({ id }) => id);
+
+// Every page of a query, following the cursors
+function allPages(search, venues = VENUES) {
+  const pages = [];
+  let cursor = '';
+  do {
+    const result = query(`${search}${cursor ? `&cursor=${cursor}` : ''}`, venues);
+    pages.push(ids(result));
+    cursor = result.next_cursor;
+  } while (cursor);
+  return pages;
+}
+
+describe('venue queries', () => {
+  describe('sorting', () => {
+    test('by name unless asked otherwise', () => {
+      assert.deepEqual(ids(query('')), ['v4', 'v6', 'v3', 'v1', 'v5', 'v2']);
+      assert.deepEqual(ids(query('sort=-name')), ['v2', 'v5', 'v1', 'v3', 'v6', 'v4']);
+    });
+
+    test('venues without a value come last either way, and ties go by id', () => {
+      assert.deepEqual(ids(query('sort=capacity')), ['v2', 'v6', 'v1', 'v3', 'v5', 'v4']);
+      assert.deepEqual(ids(query('sort=-capacity')), ['v5', 'v3', 'v1', 'v2', 'v6', 'v4']);
+    });
+
+    test('searches near a place are closest first, leaving out venues that aren\'t placed', () => {
+      const result = query('near=Durham&radius=500');
+      assert.deepEqual(ids(result), ['v1', 'v2', 'v3', 'v5']);
+      const distances = result.data.map(({ distance_miles }) => distance_miles);
+      assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+
+      assert.deepEqual(ids(query('near=Durham')), ['v1', 'v2', 'v3']);
+      assert.deepEqual(ids(query('near=Durham&sort=-capacity')), ['v3', 'v1', 'v2']);
+    });
+  });
+
+  describe('cursors', () => {
+    test('following them gives every venue once, in order', () => {
+      assert.deepEqual(allPages('limit=2'), [['v4', 'v6'], ['v3', 'v1'], ['v5', 'v2']]);
+      assert.deepEqual(allPages('limit=4&sort=-capacity'), [['v5', 'v3', 'v1', 'v2'], ['v6', 'v4']]);
+      assert.deepEqual(allPages('limit=1&near=Durham').flat(), ['v1', 'v2', 'v3']);
+    });
+
+    test('the last page has none, and the total counts every match', () => {
+      const first = query('limit=4');
+      assert.equal(first.total, 6);
+      assert.ok(first.next_cursor);
+      assert.equal(query(`limit=4&cursor=${first.next_cursor}`).next_cursor, null);
+      assert.equal(query('limit=6').next_cursor, null);
+    });
+
+    test('paging stays put when venues are added or removed between pages', () => {
+      const { next_cursor } = query('limit=2');
+      const changed = [
+        ...VENUES.filter(({ id }) => id !== 'v6'),
+        venue('v7', 'Alley Twenty Six')
+      ];
+      // Neither the venue the cursor points at nor one added before it moves the next page
+      assert.deepEqual(ids(query(`limit=2&cursor=${next_cursor}`, changed)), ['v3', 'v1']);
+    });
+
+    test('a cursor that isn\'t one is refused', () => {
+      assert.throws(() => query('cursor=not-a-cursor'), VenueQueryError);
+      assert.throws(() => query(`cursor=${Buffer.from('{"a":1}').toString('base64url')}`), /Invalid cursor/);
+    });
+  });
+
+  describe('parameters', () => {
+    test('fields picks what each venue has, always with its id', () => {
+      assert.deepEqual(query('fields=name&limit=1').data, [{ id: 'v4', name: 'Arcana' }]);
+      assert.deepEqual(Object.keys(query('fields=name&near=Durham&limit=1').data[0]), ['id', 'name', 'distance_miles']);
+    });
+
+    test('filters combine', () => {
+      assert.deepEqual(ids(query('region=triangle&min_capacity=300')), ['v3', 'v1']);
+      assert.deepEqual(ids(query('q=indie')), ['v1', 'v2']);
+      assert.deepEqual(ids(query('type=club')), ['v4']);
+    });
+
+    test('bad values are refused with what was wrong', () => {
+      assert.throws(() => query('sort=distance'), /needs a 'near' place/);
+      assert.throws(() => query('sort=popularity'), /'sort' must be one of/);
+      assert.throws(() => query('limit=0'), /'limit' must be a whole number between 1 and 100/);
+      assert.throws(() => query('near=Atlantis'), /Unknown place 'Atlantis'/);
+      assert.throws(() => query('region=piedmont-ish'), /Unknown region/);
+      assert.throws(() => query('min_capacity=500&max_capacity=100'), /can't be greater than/);
+      assert.throws(() => query('fields=name,secret'), /Unknown fields: secret/);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openVenueStore } from '../src/lib/venue-store.js';
+import { proposeChanges } from '../src/lib/proposed-changes.js';
+import { currentProvenance, venueHistory } from '../src/lib/provenance.js';
+import { findDuplicatePairs, dismissedPairKeys } from '../src/lib/venue-duplicates.js';
+import { handler as updateVenueStatus } from '../netlify/functions/update-venue-status.js';
+import { handler as addApprovedVenues } from '../netlify/functions/add-approved-venues.js';
+import { handler as mergeVenues } from '../netlify/functions/merge-venues.js';
+import { handler as reviewProposedChanges } from '../netlify/functions/review-proposed-changes.js';
+import { handler as revertVenueField } from '../netlify/functions/revert-venue-field.js';
+
+// Reviews on /admin from end to end: the functions the admin pages post to, against
+// a store of their own in VENUE_STORE_PATH.
+
+const post = async (handler, body) => {
+  const { statusCode, body: response } = await handler({ httpMethod: 'POST', body: JSON.stringify(body) }, {});
+  return { statusCode, ...JSON.parse(response) };
+};
+
+const directoryVenue = (name, fields = {}) => ({ name, location: 'Durham, NC', venue_type: 'Bar', ...fields });
+
+describe('reviewing venues', () => {
+  let dir;
+  let store;
+  let storePath;
+
+  beforeEach(t => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'venue-review-'));
+    storePath = process.env.VENUE_STORE_PATH;
+    process.env.VENUE_STORE_PATH = path.join(dir, 'venues.json');
+    // An empty store rather than the bundled directory
+    fs.writeFileSync(process.env.VENUE_STORE_PATH, '');
+    store = openVenueStore();
+    t.mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    if (storePath === undefined) {
+      delete process.env.VENUE_STORE_PATH;
+    } else {
+      process.env.VENUE_STORE_PATH = storePath;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('approving discoveries', () => {
+    const discover = fields => store.transaction(tx => tx.insert('discovered', {
+      location: 'Durham, NC', source: 'search', status: 'pending', ...fields
+    }));
+
+    test('an approved discovery joins the directory once, with what enrichment found and where', async () => {
+      const discovered = discover({
+        name: 'The Cardinal Room',
+        address: '412 W Martin St, Raleigh, NC 27603',
+        website: 'https://cardinalroom.example/',
+        contact_phone: '(919) 555-0187',
+        capacity: 180,
+        enriched_fields: { contact_phone: { extractor: 'json-ld', confidence: 0.9, source_url: 'https://cardinalroom.example/contact' } }
+      });
+
+      assert.equal((await post(updateVenueStatus, { id: discovered.id, status: 'approved' })).statusCode, 200);
+      const added = await post(addApprovedVenues, {});
+      assert.equal(added.venuesAdded, 1);
+
+      const [venue] = store.all('venues');
+      assert.equal(store.find('discovered', discovered.id).venue_id, venue.id);
+      assert.deepEqual(added.addedVenues, [{ id: venue.id, slug: venue.slug, name: 'The Cardinal Room', location: 'Raleigh, NC' }]);
+      assert.equal(venue.capacity, 180);
+      assert.equal(venue.region, 'triangle');
+
+      const provenance = currentProvenance(store.all('venue_history'), venue.id);
+      assert.deepEqual([provenance.name.source, provenance.name.source_url], ['discovery', 'https://cardinalroom.example/']);
+      assert.deepEqual([provenance.contact_phone.source_url, provenance.contact_phone.confidence], ['https://cardinalroom.example/contact', 0.9]);
+
+      // Already in the directory
+      assert.equal((await post(addApprovedVenues, {})).venuesAdded, 0);
+      assert.equal(store.all('venues').length, 1);
+    });
+
+    test('an approved discovery already in the directory is linked to it rather than added', async () => {
+      const existing = store.transaction(tx => tx.insert('venues', directoryVenue('The Pinhook', { website: 'https://thepinhook.com/' })));
+      const discovered = discover({ name: 'Pinhook', website: 'https://www.thepinhook.com/' });
+
+      await post(updateVenueStatus, { id: discovered.id, status: 'approved' });
+      const added = await post(addApprovedVenues, {});
+      assert.deepEqual([added.venuesAdded, added.duplicates], [0, 1]);
+      assert.equal(store.find('discovered', discovered.id).venue_id, existing.id);
+      assert.equal(store.all('venues').length, 1);
+    });
+
+    test('what enrichment found for a venue already in the directory is proposed as changes to it', async () => {
+      const existing = store.transaction(tx => tx.insert('venues', directoryVenue('The Pinhook', { website: 'https://thepinhook.com/', capacity: 250 })));
+      const discovered = discover({
+        name: 'Pinhook',
+        website: 'https://www.thepinhook.com/',
+        contact_email: 'booking@thepinhook.com',
+        capacity: 250,
+        enriched_fields: {
+          contact_email: { extractor: 'mailto', confidence: 0.8, source_url: 'https://www.thepinhook.com/contact' },
+          capacity: { extractor: 'text-pattern', confidence: 0.6, source_url: 'https://www.thepinhook.com/about' }
+        }
+      });
+
+      await post(updateVenueStatus, { id: discovered.id, status: 'approved' });
+      const added = await post(addApprovedVenues, {});
+      assert.deepEqual([added.venuesAdded, added.duplicates, added.changesProposed], [0, 1, 1]);
+      // The listing itself waits for the proposal to be reviewed
+      assert.equal(store.find('venues', existing.id).contact_email, '');
+      assert.deepEqual(
+        store.all('proposed_changes').map(({ venue_id, field, value, source_url }) => [venue_id, field, value, source_url]),
+        [[existing.id, 'contact_email', 'booking@thepinhook.com', 'https://www.thepinhook.com/contact']]
+      );
+    });
+
+    test('an approved discovery the directory won\'t take is skipped with why, and the rest are added', async t => {
+      const broken = discover({
+        name: 'Motorco Music Hall',
+        contact_phone: '(919) 555-0142',
+        enriched_fields: { contact_phone: { extractor: 'json-ld', confidence: 9, source_url: 'https://motorco.example/' } }
+      });
+      const discovered = discover({ name: 'The Cardinal Room' });
+      await post(updateVenueStatus, { id: broken.id, status: 'approved' });
+      await post(updateVenueStatus, { id: discovered.id, status: 'approved' });
+
+      t.mock.method(console, 'error', () => {});
+      const added = await post(addApprovedVenues, {});
+      assert.equal(added.statusCode, 200);
+      assert.equal(added.venuesAdded, 1);
+      assert.deepEqual(added.skipped.map(({ id, name }) => [id, name]), [[broken.id, 'Motorco Music Hall']]);
+      assert.match(added.skipped[0].reason, /confidence/);
+
+      // Nothing of it is written, and it stays approved to be added once it's fixed
+      assert.deepEqual(store.all('venues').map(({ name }) => name), ['The Cardinal Room']);
+      assert.deepEqual([store.find('discovered', broken.id).status, store.find('discovered', broken.id).venue_id], ['approved', '']);
+      assert.ok(store.all('venue_history').every(({ venue_id }) => venue_id === store.all('venues')[0].id));
+    });
+
+    test('a reviewer\'s decision replaces a rejection for the score', async () => {
+      const discovered = discover({ name: 'Best Bars in Durham', status: 'rejected', rejected_by: 'score' });
+      await post(updateVenueStatus, { id: discovered.id, status: 'rejected' });
+      assert.equal(store.find('discovered', discovered.id).rejected_by, 'reviewer');
+
+      await post(updateVenueStatus, { id: discovered.id, status: 'approved' });
+      assert.deepEqual([store.find('discovered', discovered.id).status, store.find('discovered', discovered.id).rejected_by], ['approved', '']);
+      assert.equal((await post(updateVenueStatus, { id: 'missing', status: 'approved' })).statusCode, 404);
+    });
+  });
+
+  describe('duplicates', () => {
+    let target;
+    let source;
+
+    beforeEach(() => {
+      ({ target, source } = store.transaction(tx => ({
+        target: tx.insert('venues', directoryVenue('The Pinhook', { address: '117 W Main St, Durham, NC 27701' })),
+        source: tx.insert('venues', directoryVenue('Pinhook', { address: '117 West Main Street, Durham, NC', capacity: 250 }))
+      })));
+    });
+
+    const pairs = () => findDuplicatePairs(store.all('venues'), dismissedPairKeys(store.all('not_duplicates')));
+
+    test('merging keeps the chosen values on the target and removes the source', async () => {
+      assert.equal(pairs().length, 1);
+      const merged = await post(mergeVenues, { targetId: target.id, source: { id: source.id, collection: 'venues' }, values: { capacity: 250, status: 'bogus' } });
+      assert.equal(merged.statusCode, 200);
+
+      assert.deepEqual(store.all('venues').map(({ id, capacity }) => [id, capacity]), [[target.id, 250]]);
+      // The source's history moves with it
+      assert.deepEqual(venueHistory(store.all('venue_history'), source.id), []);
+      assert.ok(venueHistory(store.all('venue_history'), target.id, 'capacity').length >= 2);
+      assert.deepEqual(pairs(), []);
+    });
+
+    test('a dismissed pair isn\'t suggested again', async () => {
+      assert.equal((await post(mergeVenues, { action: 'dismiss', targetId: target.id, source: { id: source.id, collection: 'venues' } })).statusCode, 200);
+      assert.deepEqual(pairs(), []);
+      assert.equal(store.all('venues').length, 2);
+    });
+
+    test('merges that can\'t happen are refused', async () => {
+      const merge = (targetId, sourceId, values = {}) => post(mergeVenues, { targetId, source: { id: sourceId, collection: 'venues' }, values });
+      assert.equal((await merge(target.id, target.id)).statusCode, 400);
+      assert.equal((await merge(target.id, 'missing')).statusCode, 404);
+      assert.equal((await merge(target.id, source.id, { capacity: -5 })).statusCode, 400);
+      assert.equal(store.all('venues').length, 2);
+    });
+  });
+
+  describe('scraped changes', () => {
+    test('an approved change can be reverted to the value it replaced', async () => {
+      const venue = store.transaction(tx => tx.insert('venues', directoryVenue('The Pinhook', { capacity: 200 })));
+      store.transaction(tx => proposeChanges(tx, venue.id, {
+        capacity: { value: 250, source_url: 'https://thepinhook.com/about', extractor: 'text-pattern', confidence: 0.6 }
+      }));
+      const [proposal] = store.all('proposed_changes');
+
+      const reviewed = await post(reviewProposedChanges, { ids: [proposal.id], action: 'approve' });
+      assert.equal(reviewed.statusCode, 200);
+      assert.equal(store.find('venues', venue.id).capacity, 250);
+
+      const [approved] = venueHistory(store.all('venue_history'), venue.id, 'capacity');
+      assert.deepEqual([approved.source, approved.previous_value], ['scraper', 200]);
+      assert.equal((await post(revertVenueField, { historyId: approved.id, restore: 'previous_value' })).statusCode, 200);
+
+      const [reverted] = venueHistory(store.all('venue_history'), venue.id, 'capacity');
+      assert.equal(store.find('venues', venue.id).capacity, 200);
+      assert.deepEqual([reverted.source, reverted.reverted_from], ['manual', approved.id]);
+      // A change that's been reviewed can't be reviewed again
+      assert.equal((await post(reviewProposedChanges, { ids: [proposal.id], action: 'reject' })).statusCode, 400);
+    });
+  });
+});
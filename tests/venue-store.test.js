@@ -0,0 +1,224 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openVenueStore, COLLECTIONS } from '../src/lib/venue-store.js';
+
+const STORE_MODULE = fileURLToPath(new URL('../src/lib/venue-store.js', import.meta.url));
+
+// A store as the first version wrote it, before slugs, addresses, scores or any of
+// the collections after the first two
+const VERSION_1 = {
+  version: 1,
+  updated_at: '2026-01-10T12:00:00.000Z',
+  venues: [{
+    id: 'adeeafecf96a',
+    name: 'The Local',
+    location: 'Boone, NC',
+    address: '179 Howard St. Boone, NC 28607',
+    venue_type: 'bar',
+    capacity: null,
+    contact_email: 'thelocalboone@gmail.com',
+    contact_phone: '(828) 266-2179',
+    contact_name: '',
+    website: 'https://www.thelocalboone.com/',
+    typical_genres: 'pop, Rock',
+    created_at: '2026-01-10T12:00:00.000Z',
+    updated_at: '2026-01-10T12:00:00.000Z'
+  }],
+  discovered: [{
+    id: '0f1e2d3c4b5a',
+    name: 'Cat\'s Cradle',
+    location: 'Carrboro, NC',
+    address: '300 E Main St, Carrboro, NC 27510',
+    venue_type: 'club',
+    website: 'https://catscradle.com/',
+    discovered_from: 'live music venues Carrboro NC',
+    discovery_date: '2026-01-10',
+    status: 'rejected',
+    created_at: '2026-01-10T12:00:00.000Z',
+    updated_at: '2026-01-10T12:00:00.000Z'
+  }]
+};
+
+// Run a script in another process, resolving when it exits
+function runNode(script) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(stderr || `exited with ${code}`))));
+  });
+}
+
+describe('venue store', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'venue-store-'));
+    filePath = path.join(dir, 'venues.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readFile = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  describe('migrations', () => {
+    test('a first-version store is brought up to date as it\'s read, and written back by the next transaction', () => {
+      fs.writeFileSync(filePath, JSON.stringify(VERSION_1));
+      const store = openVenueStore(filePath);
+
+      const [venue] = store.all('venues');
+      assert.equal(venue.slug, 'the-local-boone');
+      assert.deepEqual(
+        [venue.street, venue.city, venue.state, venue.zip, venue.geo_precision, venue.region, venue.address_issue],
+        ['179 Howard St', 'Boone', 'NC', '28607', 'zip', 'mountains', '']
+      );
+      assert.equal(typeof venue.lat, 'number');
+      assert.equal(venue.typical_genres, 'Pop; Rock');
+      assert.equal(venue.operating_status, 'open');
+      assert.equal(venue.created_at, '2026-01-10T12:00:00.000Z');
+
+      const [discovered] = store.all('discovered');
+      assert.equal(discovered.venue_id, '');
+      assert.equal(discovered.source, 'search');
+      assert.equal(discovered.discovered_from, 'live music venues Carrboro NC');
+      assert.equal(typeof discovered.score, 'number');
+      assert.ok(discovered.score_reasons.length > 0);
+      // A rejection from before scoring was a reviewer's
+      assert.equal(discovered.rejected_by, 'reviewer');
+      assert.deepEqual(discovered.enriched_fields, {});
+      COLLECTIONS.forEach(name => assert.ok(Array.isArray(store.all(name)), name));
+
+      // Reading doesn't write
+      assert.equal(readFile().version, 1);
+      store.transaction(() => {});
+      const written = readFile();
+      assert.notEqual(written.version, 1);
+      assert.deepEqual(written.venues, [venue]);
+      assert.deepEqual(written.discovered, [discovered]);
+      assert.ok(fs.existsSync(`${filePath}.bak`));
+    });
+
+    test('migrated records are valid as they stand', () => {
+      fs.writeFileSync(filePath, JSON.stringify(VERSION_1));
+      const store = openVenueStore(filePath);
+      store.transaction(tx => {
+        tx.all('venues').forEach(venue => tx.update('venues', venue.id, {}));
+        tx.all('discovered').forEach(venue => tx.update('discovered', venue.id, {}));
+      });
+      // Saving a venue unchanged adds nothing to its history
+      assert.deepEqual(store.all('venue_history'), []);
+    });
+
+    test('a store from a newer version isn\'t read', () => {
+      fs.writeFileSync(filePath, JSON.stringify({ ...VERSION_1, version: 999 }));
+      assert.throws(() => openVenueStore(filePath).all('venues'), /Unsupported venue store version 999/);
+    });
+
+    test('an empty file is an empty store', () => {
+      fs.writeFileSync(filePath, '');
+      const store = openVenueStore(filePath);
+      COLLECTIONS.forEach(name => assert.deepEqual(store.all(name), [], name));
+    });
+  });
+
+  describe('transactions', () => {
+    let store;
+
+    beforeEach(() => {
+      fs.writeFileSync(filePath, '');
+      store = openVenueStore(filePath);
+    });
+
+    test('nothing is written when a transaction throws, and the lock is let go', () => {
+      store.transaction(tx => tx.insert('not_duplicates', { venue_id: 'a', other_id: 'b' }));
+      assert.throws(() => store.transaction(tx => {
+        tx.insert('not_duplicates', { venue_id: 'c', other_id: 'd' });
+        throw new Error('changed my mind');
+      }), /changed my mind/);
+
+      assert.deepEqual(store.all('not_duplicates').map(record => record.venue_id), ['a']);
+      assert.equal(fs.existsSync(`${filePath}.lock`), false);
+    });
+
+    test('transactions must be synchronous', () => {
+      assert.throws(() => store.transaction(async tx => tx.insert('not_duplicates', { venue_id: 'a', other_id: 'b' })), /must be synchronous/);
+      assert.deepEqual(store.all('not_duplicates'), []);
+    });
+
+    test('invalid records and unknown collections are refused', () => {
+      assert.throws(() => store.transaction(tx => tx.insert('venues', { location: 'Durham, NC' })), /Invalid venues record/);
+      assert.throws(() => store.transaction(tx => tx.all('gigs')), /Unknown venue store collection: gigs/);
+    });
+
+    test('ids, slugs and creation times survive updates', () => {
+      const venue = store.transaction(tx => tx.insert('venues', { name: 'The Pinhook', location: 'Durham, NC', venue_type: 'Bar' }));
+      const renamed = store.transaction(tx => tx.update('venues', venue.id, { name: 'Pinhook', id: 'other', slug: 'other', created_at: '2000-01-01' }));
+      assert.equal(renamed.id, venue.id);
+      assert.equal(renamed.slug, venue.slug);
+      assert.equal(renamed.created_at, venue.created_at);
+      assert.equal(renamed.name, 'Pinhook');
+    });
+
+    test('slugs are made from the name and city, leaving out apostrophes', () => {
+      const insert = name => store.transaction(tx => tx.insert('venues', { name, location: 'Durham, NC', venue_type: 'Bar' }));
+      assert.equal(insert('Sammy\'s Tap & Grill').slug, 'sammys-tap-and-grill-durham');
+      assert.equal(insert('Sammy\u2019s Tap & Grill').slug, 'sammys-tap-and-grill-durham-2');
+    });
+  });
+
+  describe('locking', () => {
+    beforeEach(() => {
+      fs.writeFileSync(filePath, '');
+    });
+
+    test('a transaction waits for another process to let go of the lock', async () => {
+      const lockPath = `${filePath}.lock`;
+      fs.writeFileSync(lockPath, '');
+      const releasing = runNode(`
+        import fs from 'fs';
+        setTimeout(() => fs.rmSync(${JSON.stringify(lockPath)}), 300);
+      `);
+
+      const started = Date.now();
+      openVenueStore(filePath).transaction(tx => tx.insert('not_duplicates', { venue_id: 'a', other_id: 'b' }));
+      assert.ok(Date.now() - started >= 200);
+      await releasing;
+      assert.equal(openVenueStore(filePath).all('not_duplicates').length, 1);
+    });
+
+    test('a lock left behind by a crashed process is cleared', () => {
+      const lockPath = `${filePath}.lock`;
+      fs.writeFileSync(lockPath, '');
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      fs.utimesSync(lockPath, anHourAgo, anHourAgo);
+
+      openVenueStore(filePath).transaction(tx => tx.insert('not_duplicates', { venue_id: 'a', other_id: 'b' }));
+      assert.equal(openVenueStore(filePath).all('not_duplicates').length, 1);
+      assert.equal(fs.existsSync(lockPath), false);
+    });
+
+    test('writers in separate processes don\'t lose each other\'s changes', async () => {
+      const writer = name => runNode(`
+        import { openVenueStore } from ${JSON.stringify(STORE_MODULE)};
+        const store = openVenueStore(${JSON.stringify(filePath)});
+        for (let i = 0; i < 15; i++) {
+          store.transaction(tx => tx.insert('not_duplicates', { venue_id: ${JSON.stringify(name)}, other_id: String(i) }));
+        }
+      `);
+      await Promise.all([writer('first'), writer('second')]);
+
+      const records = openVenueStore(filePath).all('not_duplicates');
+      assert.equal(records.filter(record => record.venue_id === 'first').length, 15);
+      assert.equal(records.filter(record => record.venue_id === 'second').length, 15);
+    });
+  });
+});